@@ -2,36 +2,133 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const { detectPackageManager, translateCommand } = require('./package-manager');
+const { loadDiagnosisCatalog, diagnose } = require('./diagnosis-catalog');
 
 /**
  * Script inteligente para analisar logs e identificar erros específicos no código
  * Escaneia o projeto inteiro, identifica arquivos com problemas e gera soluções precisas
  */
 
-// Função para encontrar o arquivo de log mais recente
-function findMostRecentLog() {
+// Gerenciador de pacotes do projeto, definido na inicialização (--package-manager=pnpm para forçar)
+let packageManager = null;
+
+// Catálogo de diagnósticos por código do TypeScript/regra do ESLint, carregado na inicialização
+// (entradas padrão + analyze-logs.catalog.js do projeto, ou --catalog=arquivo)
+let diagnosisCatalog = null;
+
+// Função para escrever um comando sugerido com o gerenciador de pacotes do projeto
+function localCommand(command) {
+  return translateCommand(command, packageManager);
+}
+
+// Função para montar as informações de um arquivo de log (execução, relatório JSON e data)
+function describeLogFile(logPath) {
+  const name = path.basename(logPath);
+  
+  return {
+    name,
+    runId: name.replace(/\.log(\.gz)?$/, ''),
+    path: logPath,
+    jsonPath: findRunRecordPath(logPath),
+    stats: fs.statSync(logPath)
+  };
+}
+
+// Função para listar os logs da pasta logs/, do mais recente para o mais antigo
+function listLogFiles() {
   const logsDir = path.join(process.cwd(), 'logs');
+  if (!fs.existsSync(logsDir)) return [];
   
-  if (!fs.existsSync(logsDir)) {
+  // Logs antigos podem ter sido comprimidos pela retenção (.log.gz)
+  return fs.readdirSync(logsDir)
+    .filter(file => file.endsWith('.log') || file.endsWith('.log.gz'))
+    .map(file => describeLogFile(path.join(logsDir, file)))
+    .sort((a, b) => b.stats.mtime - a.stats.mtime);
+}
+
+// Função para encontrar o arquivo de log mais recente
+function findMostRecentLog() {
+  if (!fs.existsSync(path.join(process.cwd(), 'logs'))) {
     console.log('❌ Pasta "logs" não encontrada. Execute primeiro o build-logger.js');
     return null;
   }
   
-  const logFiles = fs.readdirSync(logsDir)
-    .filter(file => file.endsWith('.log'))
-    .map(file => ({
-      name: file,
-      path: path.join(logsDir, file),
-      stats: fs.statSync(path.join(logsDir, file))
-    }))
-    .sort((a, b) => b.stats.mtime - a.stats.mtime);
-  
+  const logFiles = listLogFiles();
   return logFiles.length > 0 ? logFiles[0] : null;
 }
 
+// Função para encontrar um log pelo caminho (.log, .log.gz ou o .json da execução) ou pelo id da execução
+// O id pode ser só o começo ou o final (ex.: "2026-10-19-18-54" ou "cc7c50"), desde que seja de uma única execução
+function resolveLogFile(reference) {
+  const filePath = path.resolve(process.cwd(), reference);
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+    const basePath = filePath.replace(/\.(log|json)(\.gz)?$/, '');
+    const logPath = [`${basePath}.log`, `${basePath}.log.gz`].find(candidate => fs.existsSync(candidate));
+    if (!logPath) {
+      throw new Error(`Log em texto não encontrado para ${reference}`);
+    }
+    return describeLogFile(logPath);
+  }
+  
+  const runId = path.basename(reference).replace(/\.(log|json)(\.gz)?$/, '');
+  const logFiles = listLogFiles();
+  const exact = logFiles.find(logFile => logFile.runId === runId);
+  if (exact) return exact;
+  
+  const matches = logFiles.filter(logFile => logFile.runId.startsWith(runId) ||
+    logFile.runId.startsWith(`log-${runId}`) ||
+    logFile.runId.endsWith(runId));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error(`"${reference}" corresponde a ${matches.length} execuções (${matches.slice(0, 3).map(logFile => logFile.runId).join(', ')}${matches.length > 3 ? ', ...' : ''}) - use o id completo`);
+  }
+  
+  throw new Error(`Execução não encontrada: ${reference} (veja node analyze-logs.js --list)`);
+}
+
+// Função para localizar o relatório JSON gerado junto com o log (log-*.json ou log-*.json.gz)
+function findRunRecordPath(logPath) {
+  const basePath = logPath.replace(/\.log(\.gz)?$/, '');
+  const candidates = [`${basePath}.json`, `${basePath}.json.gz`];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Função para ler um arquivo de log, descomprimindo quando for .gz
+function readLogFile(filePath) {
+  const content = fs.readFileSync(filePath);
+  return filePath.endsWith('.gz')
+    ? zlib.gunzipSync(content).toString('utf8')
+    : content.toString('utf8');
+}
+
+// Função para carregar o relatório JSON de uma execução
+function loadRunRecord(jsonPath) {
+  if (!jsonPath) return null;
+  
+  try {
+    const runRecord = JSON.parse(readLogFile(jsonPath));
+    return Array.isArray(runRecord.testResults) ? runRecord : null;
+  } catch (error) {
+    console.log(`⚠️  Relatório JSON inválido (${error.message}) - usando o log em texto`);
+    return null;
+  }
+}
+
+// Função para saber se um resultado do relatório JSON é uma falha real (não suprimida, não aviso)
+function isFailedResult(result) {
+  if (result.suppressed || result.baselined || result.filtered) return false;
+  if (result.status) return result.status === 'failed' || result.status === 'timeout';
+  return !result.success && !result.skipped;
+}
+
 // Função para extrair informações específicas do erro do log
-function extractErrorDetails(logContent) {
+// Quando o relatório JSON existe, os dados vêm dele em vez do texto do log
+function extractErrorDetails(logContent, runRecord = null) {
   const errorDetails = {
     type: '',
     message: '',
@@ -39,50 +136,66 @@ function extractErrorDetails(logContent) {
     lineNumber: null,
     stackTrace: '',
     fullError: '',
-    failedTests: []
+    failedTests: [],
+    locations: []
   };
   
-  // Extrair testes que falharam do log estruturado
-  const failedTestsSection = logContent.split('🚨 ERROS DETALHADOS')[1];
-  if (failedTestsSection) {
-    const errorMatches = failedTestsSection.match(/Erro \d+: (.+?)\n-{20}/g);
-    if (errorMatches) {
-      errorDetails.failedTests = errorMatches.map(match => {
-        const testName = match.match(/Erro \d+: (.+?)\n/)[1];
-        return testName;
-      });
+  let searchContent = logContent;
+  
+  if (runRecord) {
+    const failedResults = runRecord.testResults.filter(isFailedResult);
+    errorDetails.failedTests = failedResults.map(r => r.description);
+    
+    searchContent = failedResults
+      .map(r => [r.stderr, r.stdout !== r.stderr ? r.stdout : ''].filter(Boolean).join('\n'))
+      .join('\n');
+    errorDetails.fullError = searchContent.trim();
+  } else {
+    // Extrair testes que falharam do log estruturado
+    const failedTestsSection = logContent.split('🚨 ERROS DETALHADOS')[1];
+    if (failedTestsSection) {
+      const errorMatches = failedTestsSection.match(/Erro \d+: (.+?)\n-{20}/g);
+      if (errorMatches) {
+        errorDetails.failedTests = errorMatches.map(match => {
+          const testName = match.match(/Erro \d+: (.+?)\n/)[1];
+          return testName;
+        });
+      }
     }
+    
+    // Extrair erro completo da seção de detalhes
+    const errorSection = logContent.split('Detalhes do erro:')[1] || 
+                         logContent.split('🚨 ERROS DETALHADOS')[1] || 
+                         logContent;
+    errorDetails.fullError = errorSection.trim();
   }
   
-  // Extrair erro completo da seção de detalhes
-  const errorSection = logContent.split('Detalhes do erro:')[1] || 
-                       logContent.split('🚨 ERROS DETALHADOS')[1] || 
-                       logContent;
-  errorDetails.fullError = errorSection.trim();
+  // Todos os locais (arquivo:linha) das verificações que falharam, agrupados por arquivo
+  // O arquivo com mais erros vem primeiro e sua primeira linha vira o "arquivo problemático"
+  errorDetails.locations = collectErrorLocations(runRecord ? searchContent : getDetailedErrorsSection(logContent), runRecord);
+  const locatedDiagnostic = runRecord
+    ? runRecord.testResults.filter(isFailedResult).flatMap(r => r.diagnostics || []).find(d => d.file)
+    : null;
   
-  // Procurar por arquivos e linhas específicas no log completo
-  const filePatterns = [
-    /(\S+\.tsx?)\((\d+),\d+\)/g,  // TypeScript error format
-    /(\S+\.tsx?):(\d+):\d+/g,      // Error with line number  
-    /at\s+(.+?):(\d+):\d+/g,       // Stack trace com linha
-    /Error in (.+\.tsx?)/g,        // Erro específico em arquivo
-    /(\S+\.tsx?):\s*(.+)/g         // Formato geral
-  ];
-  
-  for (const pattern of filePatterns) {
-    const matches = [...logContent.matchAll(pattern)];
-    if (matches.length > 0) {
-      const match = matches[0];
-      errorDetails.fileName = match[1];
-      errorDetails.lineNumber = match[2] ? parseInt(match[2]) : null;
-      break;
+  if (errorDetails.locations.length > 0) {
+    errorDetails.fileName = errorDetails.locations[0].file;
+    errorDetails.lineNumber = errorDetails.locations[0].lines[0].line;
+  } else {
+    // Sem linha identificada: aceitar só o nome do arquivo citado no erro
+    const fileMatch = searchContent.match(/Error in (.+\.tsx?)/) || searchContent.match(/(\S+\.tsx?):\s*(.+)/);
+    if (fileMatch) {
+      errorDetails.fileName = fileMatch[1];
     }
   }
   
   // Identificar tipo de erro baseado no conteúdo do log e testes falhados
-  const errorLower = logContent.toLowerCase();
+  const errorLower = searchContent.toLowerCase();
   
-  if (errorDetails.failedTests.some(test => test.includes('TypeScript')) || 
+  if (locatedDiagnostic && DIAGNOSTIC_TOOL_TYPES[locatedDiagnostic.tool]) {
+    errorDetails.type = locatedDiagnostic.code === 'module-not-found'
+      ? 'MODULE_ERROR'
+      : DIAGNOSTIC_TOOL_TYPES[locatedDiagnostic.tool];
+  } else if (errorDetails.failedTests.some(test => test.includes('TypeScript')) || 
       errorLower.includes('typescript') || errorLower.includes('tsc')) {
     errorDetails.type = 'TYPESCRIPT_ERROR';
   } else if (errorDetails.failedTests.some(test => test.includes('ESLint')) || 
@@ -105,183 +218,877 @@ function extractErrorDetails(logContent) {
   return errorDetails;
 }
 
+// Função para isolar a seção "ERROS DETALHADOS" do log em texto (até a próxima seção ou o rodapé)
+// Evita contar de novo os locais que também aparecem nos detalhes dos testes e no histórico
+function getDetailedErrorsSection(logContent) {
+  const detailed = logContent.split('🚨 ERROS DETALHADOS')[1];
+  if (!detailed) return logContent;
+  
+  return detailed.replace(/^\n-{30}\n/, '').split(/\n[^\n]*\n-{30}\n|\n={60}\n/)[0];
+}
+
+// Padrões de arquivo:linha procurados na saída das verificações (sem relatório JSON)
+const ERROR_LOCATION_PATTERNS = [
+  /(\S+\.[cm]?[jt]sx?)\((\d+),(\d+)\)/g,    // TypeScript: arquivo(linha,coluna)
+  /(\S+\.[cm]?[jt]sx?):(\d+)(?::(\d+))?/g     // arquivo:linha:coluna (Next.js, ESLint, stack traces)
+];
+
+// Função para normalizar o caminho de um local de erro (relativo à raiz, com "/")
+// Retorna null para arquivos fora do projeto (node_modules, módulos internos do Node)
+function normalizeErrorFile(file) {
+  const cleaned = String(file).replace(/^file:\/\//, '').replace(/^[('"`]+|[)'"`,]+$/g, '');
+  if (!cleaned || cleaned.startsWith('node:') || cleaned.includes('node_modules')) return null;
+  
+  const relative = path.relative(process.cwd(), path.resolve(process.cwd(), cleaned));
+  return relative.startsWith('..') ? null : relative.split(path.sep).join('/');
+}
+
+// Função para extrair todos os locais arquivo:linha das verificações que falharam
+// Locais repetidos são unidos; o resultado é agrupado por arquivo e ordenado pela quantidade de erros
+function collectErrorLocations(searchContent, runRecord = null) {
+  const occurrences = [];
+  
+  if (runRecord) {
+    runRecord.testResults.filter(isFailedResult).forEach(result => {
+      (result.diagnostics || []).filter(d => d.file && d.line).forEach(diagnostic => {
+        occurrences.push({
+          file: diagnostic.file,
+          line: diagnostic.line,
+          column: diagnostic.column,
+          tool: diagnostic.tool || result.id,
+          code: diagnostic.code,
+          message: diagnostic.message
+        });
+      });
+    });
+  }
+  
+  // Sem diagnósticos estruturados, os locais vêm do texto da saída
+  if (occurrences.length === 0) {
+    ERROR_LOCATION_PATTERNS.forEach(pattern => {
+      for (const match of searchContent.matchAll(pattern)) {
+        const lineEnd = searchContent.indexOf('\n', match.index);
+        const message = searchContent.slice(match.index + match[0].length, lineEnd === -1 ? undefined : lineEnd)
+          .replace(/^[\s:-]+/, '').trim();
+        occurrences.push({
+          file: match[1],
+          line: parseInt(match[2]),
+          column: match[3] ? parseInt(match[3]) : null,
+          tool: null,
+          code: (message.match(/\b(TS\d+)\b/) || [])[1] || null,
+          message
+        });
+      }
+    });
+  }
+  
+  const groups = new Map();
+  occurrences.forEach(occurrence => {
+    const file = normalizeErrorFile(occurrence.file);
+    if (!file) return;
+    
+    if (!groups.has(file)) {
+      groups.set(file, { file, count: 0, lines: new Map() });
+    }
+    const group = groups.get(file);
+    group.count++;
+    
+    if (!group.lines.has(occurrence.line)) {
+      group.lines.set(occurrence.line, { line: occurrence.line, column: occurrence.column, count: 0, errors: [] });
+    }
+    const location = group.lines.get(occurrence.line);
+    location.count++;
+    if (occurrence.message && !location.errors.some(error => error.message === occurrence.message && error.code === occurrence.code)) {
+      location.errors.push({ tool: occurrence.tool, code: occurrence.code, message: occurrence.message });
+    }
+  });
+  
+  return [...groups.values()]
+    .map(group => ({
+      file: group.file,
+      count: group.count,
+      lines: [...group.lines.values()].sort((a, b) => a.line - b.line)
+    }))
+    .sort((a, b) => b.count - a.count || a.file.localeCompare(b.file));
+}
+
+// Tipo de erro do relatório para cada ferramenta do modelo de diagnósticos do build-logger
+const DIAGNOSTIC_TOOL_TYPES = {
+  tsc: 'TYPESCRIPT_ERROR',
+  eslint: 'ESLINT_ERROR',
+  next: 'NEXTJS_ERROR',
+  prisma: 'PRISMA_ERROR',
+  'npm-audit': 'SECURITY_ERROR',
+  'npm-ls': 'MODULE_ERROR'
+};
+
+// Função para converter os diagnósticos do relatório JSON em erros do projeto
+// Os diagnósticos já vêm estruturados do build-logger, sem precisar rodar as ferramentas de novo
+function collectRunRecordErrors(runRecord) {
+  if (!runRecord) return [];
+  
+  return runRecord.testResults.flatMap(result => (result.diagnostics || []).map(diagnostic => {
+    const tool = diagnostic.tool || result.id;
+    const type = diagnostic.code === 'module-not-found'
+      ? 'MODULE_ERROR'
+      : DIAGNOSTIC_TOOL_TYPES[tool] || 'UNKNOWN_ERROR';
+    
+    return {
+      type,
+      tool,
+      checkId: result.id,
+      file: diagnostic.file,
+      line: diagnostic.line,
+      column: diagnostic.column,
+      severity: diagnostic.severity,
+      // Formato usado no restante do relatório: código TS sem prefixo e regra do ESLint em "rule"
+      code: type === 'TYPESCRIPT_ERROR' && diagnostic.code ? diagnostic.code.replace(/^TS/, '') : diagnostic.code,
+      rule: type === 'ESLINT_ERROR' ? diagnostic.code : undefined,
+      message: diagnostic.message,
+      fingerprint: diagnostic.fingerprint
+    };
+  }));
+}
+
 // Função para escanear projeto e encontrar arquivos com problemas
-async function scanProjectForErrors() {
+// TypeScript, ESLint, build, Prisma e auditoria vêm do relatório JSON do build-logger
+async function scanProjectForErrors(runRecord = null) {
   console.log('🔍 Escaneando projeto em busca de erros...');
   
   const projectErrors = [];
   
-  // Executar TypeScript check
-  try {
-    console.log('📝 Verificando erros de TypeScript...');
-    const tsErrors = await runTypeScriptCheck();
-    projectErrors.push(...tsErrors);
-  } catch (error) {
-    console.log('⚠️  TypeScript check não disponível');
-  }
-  
-  // Executar ESLint check
-  try {
-    console.log('🔧 Verificando erros de ESLint...');
-    const lintErrors = await runESLintCheck();
-    projectErrors.push(...lintErrors);
-  } catch (error) {
-    console.log('⚠️  ESLint check não disponível');
+  if (runRecord) {
+    console.log('🧾 Lendo diagnósticos do relatório estruturado...');
+    projectErrors.push(...collectRunRecordErrors(runRecord));
+  } else {
+    console.log('⚠️  Relatório JSON não encontrado - execute node build-logger.js para obter os diagnósticos de TypeScript e ESLint');
   }
   
   // Verificar erros de sintaxe nos arquivos
-  console.log('📋 Verificando sintaxe dos arquivos...');
+  console.log('📋 Analisando a sintaxe dos arquivos (AST do TypeScript) e as regras do Next.js...');
   const syntaxErrors = await checkSyntaxErrors();
   projectErrors.push(...syntaxErrors);
   
   // Verificar problemas do Prisma
-  console.log('🗄️  Verificando configuração do Prisma...');
+  console.log('🗄️  Verificando o Prisma (cliente gerado, .env, validate e migrações)...');
   const prismaErrors = await checkPrismaErrors();
   projectErrors.push(...prismaErrors);
   
   return projectErrors;
 }
 
-// Função para executar verificação do TypeScript
-function runTypeScriptCheck() {
-  return new Promise((resolve) => {
-    const tsProcess = spawn('npx', ['tsc', '--noEmit', '--pretty', 'false'], {
-      stdio: 'pipe',
-      shell: true
+// Pastas procuradas no scan do projeto (a segunda é para projetos sem "src/")
+const SCAN_DIRECTORIES = ['src', 'app'];
+
+// Pastas ignoradas no scan (dependências, build e código gerado, como o cliente do Prisma)
+const SCAN_IGNORED_DIRECTORIES = new Set(['node_modules', 'generated', 'dist', 'build', 'out', 'coverage']);
+
+// Extensões analisadas pela AST
+const SCAN_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Módulos que só existem no servidor e não podem ser importados por componentes "use client"
+// (path, os e crypto ficam de fora: o Next.js fornece versões para o navegador)
+const SERVER_ONLY_MODULES = [
+  'server-only', 'next/headers', '@prisma/client', 'fs', 'fs/promises', 'child_process',
+  'net', 'tls', 'dns', 'worker_threads', 'bcrypt', 'bcryptjs', 'jsonwebtoken'
+];
+
+// Arquivos especiais do App Router que precisam de export default
+const APP_DEFAULT_EXPORT_FILES = ['page', 'layout', 'template', 'loading', 'error', 'not-found', 'global-error', 'default'];
+
+// Métodos HTTP aceitos em route.ts
+const ROUTE_HANDLER_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+
+// Função para carregar o compilador do TypeScript do projeto (ou o instalado junto com este script)
+// Retorna null se não estiver instalado
+function loadTypeScript() {
+  try {
+    return require(require.resolve('typescript', { paths: [process.cwd(), __dirname] }));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Função para saber se um módulo importado só funciona no servidor
+function isServerOnlyModule(moduleName) {
+  return moduleName.startsWith('node:') ||
+    moduleName.includes('generated/prisma') ||
+    SERVER_ONLY_MODULES.includes(moduleName);
+}
+
+// Função para ler as diretivas do início do arquivo ("use client", "use server")
+function getDirectives(ts, sourceFile) {
+  const directives = [];
+  for (const statement of sourceFile.statements) {
+    if (!ts.isExpressionStatement(statement) || !ts.isStringLiteral(statement.expression)) break;
+    directives.push(statement.expression.text);
+  }
+  return directives;
+}
+
+// Função para saber se uma declaração tem o modificador indicado (export, default)
+function hasModifier(ts, node, kind) {
+  const modifiers = ts.canHaveModifiers(node) ? ts.getModifiers(node) : undefined;
+  return Boolean(modifiers && modifiers.some(modifier => modifier.kind === kind));
+}
+
+// Função para juntar os nomes declarados por um binding, inclusive desestruturado
+// (export const { GET, POST } = handlers)
+function addBindingNames(ts, name, names) {
+  if (ts.isIdentifier(name)) {
+    names.add(name.text);
+  } else if (ts.isObjectBindingPattern(name) || ts.isArrayBindingPattern(name)) {
+    name.elements.forEach(element => {
+      if (ts.isBindingElement(element)) addBindingNames(ts, element.name, names);
     });
-    
-    let output = '';
-    
-    tsProcess.stdout.on('data', (data) => {
-      output += data.toString();
+  }
+}
+
+// Função para listar os exports de um arquivo (nomes e se há export default)
+function collectExports(ts, sourceFile) {
+  const names = new Set();
+  let hasDefault = false;
+  
+  for (const statement of sourceFile.statements) {
+    if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      hasDefault = true;
+    } else if (ts.isExportDeclaration(statement) && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+      statement.exportClause.elements.forEach(element => {
+        if (element.name.text === 'default') hasDefault = true;
+        names.add(element.name.text);
+      });
+    } else if (hasModifier(ts, statement, ts.SyntaxKind.ExportKeyword)) {
+      if (hasModifier(ts, statement, ts.SyntaxKind.DefaultKeyword)) {
+        hasDefault = true;
+      } else if (ts.isVariableStatement(statement)) {
+        statement.declarationList.declarations.forEach(declaration => addBindingNames(ts, declaration.name, names));
+      } else if (statement.name && ts.isIdentifier(statement.name)) {
+        names.add(statement.name.text);
+      }
+    }
+  }
+  
+  return { names, hasDefault };
+}
+
+// Função para verificar as regras do Next.js em um arquivo já analisado pelo compilador
+// ("use client" fora do lugar, imports de servidor em componentes cliente, exports do App Router)
+function checkNextjsRules(ts, sourceFile, relativePath) {
+  const errors = [];
+  const report = (node, code, message, severity = 'error') => {
+    const position = sourceFile.getLineAndCharacterOfPosition(node ? node.getStart(sourceFile) : 0);
+    errors.push({
+      type: 'NEXTJS_ERROR',
+      tool: 'next',
+      file: relativePath,
+      line: position.line + 1,
+      column: position.character + 1,
+      code,
+      message,
+      severity
     });
-    
-    tsProcess.stderr.on('data', (data) => {
-      output += data.toString();
+  };
+  
+  const directives = getDirectives(ts, sourceFile);
+  const isClient = directives.includes('use client');
+  
+  // Diretivas só valem no início do arquivo; depois de imports ou código são strings soltas
+  sourceFile.statements.slice(directives.length).forEach(statement => {
+    if (ts.isExpressionStatement(statement) && ts.isStringLiteral(statement.expression) &&
+        ['use client', 'use server'].includes(statement.expression.text)) {
+      report(statement, 'nextjs/directive-position', `"${statement.expression.text}" precisa ser a primeira instrução do arquivo (antes dos imports)`);
+    }
+  });
+  
+  // "use client" dentro de funções não tem efeito ("use server" é permitido em server actions)
+  const visit = (node) => {
+    if (node !== sourceFile && ts.isBlock(node) && node.statements.length > 0) {
+      const first = node.statements[0];
+      if (ts.isExpressionStatement(first) && ts.isStringLiteral(first.expression) && first.expression.text === 'use client') {
+        report(first, 'nextjs/directive-position', '"use client" dentro de uma função não tem efeito - mova para o início do arquivo');
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  
+  // Componentes cliente não podem importar módulos de servidor
+  if (isClient) {
+    sourceFile.statements.forEach(statement => {
+      if (!ts.isImportDeclaration(statement) || !ts.isStringLiteral(statement.moduleSpecifier)) return;
+      if (statement.importClause && statement.importClause.isTypeOnly) return;
+      
+      const moduleName = statement.moduleSpecifier.text;
+      if (isServerOnlyModule(moduleName)) {
+        report(statement, 'nextjs/server-import-in-client', `Componente "use client" importa '${moduleName}', que só funciona no servidor`);
+      }
     });
+  }
+  
+  // Arquivos especiais do App Router (app/ ou src/app/)
+  const segments = relativePath.split('/');
+  if (segments[0] !== 'app' && !(segments[0] === 'src' && segments[1] === 'app')) return errors;
+  
+  const baseName = path.basename(relativePath).replace(/\.[^.]+$/, '');
+  const exports = collectExports(ts, sourceFile);
+  
+  if (APP_DEFAULT_EXPORT_FILES.includes(baseName) && !exports.hasDefault) {
+    report(null, 'nextjs/missing-default-export', `${path.basename(relativePath)} precisa de um export default com o componente`);
+  }
+  
+  if (['error', 'global-error'].includes(baseName) && !isClient) {
+    report(null, 'nextjs/error-boundary-not-client', `${path.basename(relativePath)} precisa começar com "use client" (error boundaries são componentes cliente)`);
+  }
+  
+  if (baseName === 'route') {
+    if (exports.hasDefault) {
+      report(null, 'nextjs/route-default-export', `route.ts não usa export default - exporte funções com o nome do método HTTP (${ROUTE_HANDLER_METHODS.join(', ')})`);
+    }
+    if (!ROUTE_HANDLER_METHODS.some(method => exports.names.has(method))) {
+      report(null, 'nextjs/missing-route-handler', `${path.basename(relativePath)} não exporta nenhum handler (${ROUTE_HANDLER_METHODS.join(', ')})`);
+    }
+  }
+  
+  return errors;
+}
+
+// Função para analisar os arquivos do projeto com o compilador do TypeScript
+// Erros de sintaxe vêm com a posição exata; depois são aplicadas as regras do Next.js
+async function checkSyntaxErrors() {
+  const errors = [];
+  const files = SCAN_DIRECTORIES
+    .map(dir => path.join(process.cwd(), dir))
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => getAllSourceFiles(dir));
+  
+  if (files.length === 0) return errors;
+  
+  const ts = loadTypeScript();
+  if (!ts) {
+    console.log(`⚠️  Pacote typescript não encontrado - scan de sintaxe ignorado (${localCommand('npm install -D typescript')})`);
+    return errors;
+  }
+  
+  // Só análise sintática: sem resolver imports nem carregar as libs, então é rápido
+  const program = ts.createProgram(files, {
+    allowJs: true,
+    jsx: ts.JsxEmit.Preserve,
+    noEmit: true,
+    noResolve: true,
+    noLib: true,
+    types: []
+  });
+  
+  for (const file of files) {
+    const relativePath = path.relative(process.cwd(), file).split(path.sep).join('/');
+    const sourceFile = program.getSourceFile(file);
     
-    tsProcess.on('close', (code) => {
-      const errors = parseTypeScriptErrors(output);
-      resolve(errors);
-    });
+    if (!sourceFile) {
+      errors.push({
+        type: 'FILE_READ_ERROR',
+        file: relativePath,
+        line: 1,
+        message: 'Erro ao ler arquivo',
+        severity: 'error'
+      });
+      continue;
+    }
     
-    tsProcess.on('error', () => {
-      resolve([]);
+    program.getSyntacticDiagnostics(sourceFile).forEach(diagnostic => {
+      const position = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0);
+      errors.push({
+        type: 'SYNTAX_ERROR',
+        tool: 'tsc',
+        file: relativePath,
+        line: position.line + 1,
+        column: position.character + 1,
+        code: `TS${diagnostic.code}`,
+        message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+        severity: 'error'
+      });
     });
+    
+    errors.push(...checkNextjsRules(ts, sourceFile, relativePath));
+  }
+  
+  return errors;
+}
+
+// Geradores que produzem o cliente Prisma (outros geradores, como diagramas, não são verificados)
+const PRISMA_CLIENT_GENERATORS = ['prisma-client-js', 'prisma-client'];
+
+// Tipos escalares do Prisma; os demais tipos de campo são enums ou relações (que não viram coluna)
+const PRISMA_SCALAR_TYPES = ['String', 'Boolean', 'Int', 'BigInt', 'Float', 'Decimal', 'DateTime', 'Json', 'Bytes', 'Unsupported'];
+
+// Prefixos de URL aceitos por cada provider do datasource
+const PRISMA_URL_PROTOCOLS = {
+  postgresql: ['postgresql://', 'postgres://'],
+  cockroachdb: ['postgresql://', 'postgres://'],
+  mysql: ['mysql://'],
+  sqlserver: ['sqlserver://'],
+  sqlite: ['file:'],
+  mongodb: ['mongodb://', 'mongodb+srv://']
+};
+
+// URLs do Prisma Accelerate / Prisma Postgres valem para qualquer provider
+const PRISMA_PROXY_PROTOCOLS = ['prisma://', 'prisma+postgres://'];
+
+// Tempo limite do prisma validate e do prisma format --check
+const PRISMA_COMMAND_TIMEOUT = 60 * 1000;
+
+// Função para encontrar o schema do Prisma: "prisma.schema" do package.json, "schema" do
+// prisma.config.ts ou o padrão prisma/schema.prisma (pode ser uma pasta com vários .prisma)
+function findPrismaSchemaPath() {
+  const candidates = [];
+  
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+    if (packageJson.prisma && packageJson.prisma.schema) candidates.push(packageJson.prisma.schema);
+  } catch (error) {
+    // package.json inválido: segue com os outros locais
+  }
+  
+  ['prisma.config.ts', 'prisma.config.mjs', 'prisma.config.js'].forEach(configFile => {
+    const configPath = path.join(process.cwd(), configFile);
+    if (!fs.existsSync(configPath)) return;
+    const match = fs.readFileSync(configPath, 'utf8').match(/schema\s*:\s*(?:path\.join\(\s*)?['"]([^'"]+)['"]/);
+    if (match) candidates.push(match[1]);
   });
+  
+  candidates.push(path.join('prisma', 'schema.prisma'), path.join('prisma', 'schema'));
+  
+  const found = candidates.map(candidate => path.resolve(process.cwd(), candidate)).find(candidate => fs.existsSync(candidate));
+  return found || null;
 }
 
-// Função para executar verificação do ESLint
-function runESLintCheck() {
-  return new Promise((resolve) => {
-    const eslintProcess = spawn('npx', ['eslint', '.', '--format', 'json'], {
-      stdio: 'pipe',
-      shell: true
+// Função para ler os arquivos do schema (um arquivo ou todos os .prisma de uma pasta)
+function readPrismaSchemaFiles(schemaPath) {
+  const collect = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'migrations' ? [] : collect(entryPath);
+    return entry.name.endsWith('.prisma') ? [entryPath] : [];
+  });
+  const files = fs.statSync(schemaPath).isDirectory() ? collect(schemaPath).sort() : [schemaPath];
+  
+  return files.map(file => ({
+    path: file,
+    file: path.relative(process.cwd(), file).split(path.sep).join('/'),
+    content: fs.readFileSync(file, 'utf8')
+  }));
+}
+
+// Função para separar os blocos do schema (generator, datasource, model, enum, view, type) com as linhas de cada um
+function parsePrismaBlocks(schemaFiles) {
+  const blocks = [];
+  
+  schemaFiles.forEach(schemaFile => {
+    let current = null;
+    schemaFile.content.split(/\r?\n/).forEach((text, index) => {
+      const start = text.match(/^\s*(generator|datasource|model|enum|view|type)\s+(\w+)\s*\{/);
+      if (!current && start) {
+        current = { kind: start[1], name: start[2], path: schemaFile.path, file: schemaFile.file, line: index + 1, lines: [] };
+      } else if (current && /^\s*\}/.test(text)) {
+        blocks.push(current);
+        current = null;
+      } else if (current) {
+        current.lines.push({ text: text.replace(/\/\/.*$/, '').trim(), line: index + 1 });
+      }
     });
+  });
+  
+  return blocks;
+}
+
+// Função para ler uma propriedade de um bloco generator/datasource (ex.: output = "../generated")
+function getPrismaBlockProperty(block, key) {
+  const entry = block.lines.find(item => new RegExp(`^${key}\\s*=`).test(item.text));
+  if (!entry) return null;
+  
+  const raw = entry.text.replace(new RegExp(`^${key}\\s*=\\s*`), '');
+  const quoted = raw.match(/^"([^"]*)"$/);
+  return { raw, value: quoted ? quoted[1] : null, line: entry.line };
+}
+
+// Função para ler as variáveis de um .env (KEY=valor, com ou sem aspas e "export")
+function readEnvFile(envPath) {
+  const variables = new Map();
+  if (!fs.existsSync(envPath)) return variables;
+  
+  fs.readFileSync(envPath, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
     
-    let output = '';
-    
-    eslintProcess.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+    const quoted = match[2].match(/^(['"`])([\s\S]*)\1$/);
+    variables.set(match[1], quoted ? quoted[2] : match[2].replace(/\s+#.*$/, ''));
+  });
+  
+  return variables;
+}
+
+// Função para normalizar o schema antes do hash (comentários, linhas vazias e espaços finais não contam)
+function hashPrismaSchema(content) {
+  const normalized = content
+    .split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() && !line.trim().startsWith('//'))
+    .join('\n');
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 12);
+}
+
+// Função para ler o schema usado na última geração do cliente: a cópia schema.prisma da pasta
+// gerada ou o "inlineSchema" embutido no código (em base64 nas versões 5.x)
+function readGeneratedSchema(outputDir) {
+  const copyPath = path.join(outputDir, 'schema.prisma');
+  if (fs.existsSync(copyPath)) {
+    return fs.readFileSync(copyPath, 'utf8');
+  }
+  
+  const generatedFiles = ['index.js', 'default.js', 'edge.js', path.join('internal', 'class.ts'), path.join('internal', 'class.js')];
+  for (const generatedFile of generatedFiles) {
+    const filePath = path.join(outputDir, generatedFile);
+    if (!fs.existsSync(filePath)) continue;
     
-    eslintProcess.on('close', (code) => {
-      try {
-        const results = JSON.parse(output);
-        const errors = parseESLintErrors(results);
-        resolve(errors);
-      } catch (error) {
-        resolve([]);
-      }
-    });
+    const match = fs.readFileSync(filePath, 'utf8').match(/"?inlineSchema"?\s*:\s*("(?:[^"\\]|\\.)*")/);
+    if (!match) continue;
     
-    eslintProcess.on('error', () => {
-      resolve([]);
-    });
+    try {
+      const inlineSchema = JSON.parse(match[1]);
+      return /^[A-Za-z0-9+/=]+$/.test(inlineSchema) ? Buffer.from(inlineSchema, 'base64').toString('utf8') : inlineSchema;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  return null;
+}
+
+// Função para achar a pasta do cliente gerado: "output" do generator (relativo ao schema)
+// ou, no prisma-client-js, o padrão node_modules/.prisma/client ao lado do @prisma/client
+function resolvePrismaClientOutput(generator) {
+  const output = getPrismaBlockProperty(generator, 'output');
+  if (output && output.value) {
+    return path.resolve(path.dirname(generator.path), output.value);
+  }
+  
+  try {
+    const clientPackage = require.resolve('@prisma/client/package.json', { paths: [process.cwd()] });
+    return path.join(path.dirname(clientPackage), '..', '..', '.prisma', 'client');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Função para rodar a CLI do Prisma instalada no projeto (direto pelo node, sem o npx baixar outra versão)
+// Retorna null se o pacote prisma não estiver instalado
+function runPrismaCli(args) {
+  let packageJsonPath;
+  try {
+    packageJsonPath = require.resolve('prisma/package.json', { paths: [process.cwd()] });
+  } catch (error) {
+    return null;
+  }
+  
+  const { bin } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  const binPath = typeof bin === 'string' ? bin : bin.prisma;
+  const result = spawnSync(process.execPath, [path.join(path.dirname(packageJsonPath), binPath), ...args], {
+    cwd: process.cwd(),
+    encoding: 'utf8',
+    timeout: PRISMA_COMMAND_TIMEOUT,
+    env: { ...process.env, PRISMA_HIDE_UPDATE_MESSAGE: '1' }
   });
+  
+  return { status: result.status, output: `${result.stdout || ''}\n${result.stderr || ''}` };
 }
 
-// Função para verificar erros de sintaxe
-async function checkSyntaxErrors() {
-  const errors = [];
-  const srcDir = path.join(process.cwd(), 'src');
+// Função para extrair os erros do prisma validate (mensagem e arquivo:linha do schema)
+function parsePrismaValidateOutput(output, schemaFiles) {
+  const resolveFile = (file) => {
+    const match = schemaFiles.find(schemaFile => schemaFile.file === file || schemaFile.file.endsWith(`/${file}`) ||
+      path.resolve(process.cwd(), file) === schemaFile.path);
+    return match ? match.file : schemaFiles[0].file;
+  };
   
-  if (!fs.existsSync(srcDir)) return errors;
+  const errors = [...output.matchAll(/error: ([^\n]+)\n\s*-->\s+(\S+?):(\d+)/g)].map(match => ({
+    message: match[1].trim(),
+    file: resolveFile(match[2]),
+    line: parseInt(match[3], 10)
+  }));
   
-  const files = getAllTsFiles(srcDir);
+  if (errors.length > 0) return errors;
   
-  for (const file of files) {
-    try {
-      const content = fs.readFileSync(file, 'utf8');
+  // Sem erro de validação (P1012), a falha foi da própria CLI (ex.: download do engine sem rede)
+  if (!/P1012|schema validation/i.test(output)) return null;
+  
+  return [{ message: getPrismaOutputSummary(output) || 'prisma validate falhou', file: schemaFiles[0].file, line: 1 }];
+}
+
+// Função para pegar a primeira linha relevante da saída da CLI do Prisma
+function getPrismaOutputSummary(output) {
+  return output.split('\n')
+    .map(line => line.trim())
+    .find(line => line && !/^(Prisma schema loaded|Environment variables loaded|Loaded Prisma config)/.test(line));
+}
+
+// Função para montar as tabelas e colunas criadas pelas migrações, aplicando o SQL de cada uma em ordem
+// Entende o SQL gerado pelo prisma migrate (CREATE/DROP/ALTER TABLE, ADD/DROP/RENAME COLUMN)
+function collectMigrationTables(migrationsDir) {
+  const identifier = '(?:[`"\\[]?\\w+[`"\\]]?\\.)?[`"\\[]?(\\w+)[`"\\]]?';
+  const tables = new Map();
+  const key = (name) => name.toLowerCase();
+  
+  const migrations = fs.readdirSync(migrationsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(migrationsDir, entry.name, 'migration.sql')))
+    .map(entry => entry.name)
+    .sort();
+  
+  migrations.forEach(migration => {
+    const file = path.relative(process.cwd(), path.join(migrationsDir, migration, 'migration.sql')).split(path.sep).join('/');
+    const sql = fs.readFileSync(path.join(migrationsDir, migration, 'migration.sql'), 'utf8').replace(/--.*$/gm, '');
+    
+    sql.split(';').map(statement => statement.trim()).filter(Boolean).forEach(statement => {
+      const create = statement.match(new RegExp(`^CREATE\\s+TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?${identifier}\\s*\\(([\\s\\S]*)\\)$`, 'i'));
+      if (create) {
+        const columns = create[2].split('\n')
+          .map(line => line.trim())
+          .filter(line => !/^(CONSTRAINT|PRIMARY|UNIQUE|INDEX|KEY|FOREIGN|CHECK)\b/i.test(line))
+          .map(line => line.match(new RegExp(`^${identifier}\\s+`)))
+          .filter(Boolean)
+          .map(match => key(match[1]));
+        tables.set(key(create[1]), { name: create[1], columns: new Set(columns), file });
+        return;
+      }
       
-      // Verificações básicas de sintaxe
-      const syntaxIssues = checkBasicSyntax(content, file);
-      errors.push(...syntaxIssues);
+      const drop = statement.match(new RegExp(`^DROP\\s+TABLE\\s+(?:IF\\s+EXISTS\\s+)?${identifier}`, 'i'));
+      if (drop) {
+        tables.delete(key(drop[1]));
+        return;
+      }
       
-    } catch (error) {
-      errors.push({
-        type: 'FILE_READ_ERROR',
-        file: file,
-        line: 1,
-        message: `Erro ao ler arquivo: ${error.message}`,
-        severity: 'error'
+      const renameTable = statement.match(new RegExp(`^ALTER\\s+TABLE\\s+${identifier}\\s+RENAME\\s+TO\\s+${identifier}$`, 'i'));
+      if (renameTable && tables.has(key(renameTable[1]))) {
+        const table = tables.get(key(renameTable[1]));
+        tables.delete(key(renameTable[1]));
+        tables.set(key(renameTable[2]), { ...table, name: renameTable[2], file });
+        return;
+      }
+      
+      const alter = statement.match(new RegExp(`^ALTER\\s+TABLE\\s+${identifier}\\s+([\\s\\S]+)$`, 'i'));
+      const table = alter ? tables.get(key(alter[1])) : null;
+      if (!table) return;
+      
+      table.file = file;
+      alter[2].split(/,\s*\n/).map(clause => clause.trim()).forEach(clause => {
+        const renameColumn = clause.match(new RegExp(`^RENAME\\s+COLUMN\\s+${identifier}\\s+TO\\s+${identifier}`, 'i'));
+        const dropColumn = clause.match(new RegExp(`^DROP\\s+COLUMN\\s+${identifier}`, 'i'));
+        const addColumn = !/^ADD\s+(CONSTRAINT|PRIMARY|UNIQUE|INDEX|KEY|FOREIGN|CHECK)\b/i.test(clause) &&
+          clause.match(new RegExp(`^ADD\\s+(?:COLUMN\\s+)?${identifier}`, 'i'));
+        
+        if (renameColumn) {
+          table.columns.delete(key(renameColumn[1]));
+          table.columns.add(key(renameColumn[2]));
+        } else if (dropColumn) {
+          table.columns.delete(key(dropColumn[1]));
+        } else if (addColumn) {
+          table.columns.add(key(addColumn[1]));
+        }
       });
+    });
+  });
+  
+  return { migrations, tables };
+}
+
+// Função para comparar os models do schema com as tabelas das migrações (sem banco de dados)
+// Models, campos ou tabelas que só existem de um dos lados indicam migração faltando
+function checkPrismaMigrationDrift(blocks, datasource, report) {
+  const migrationsDir = path.join(path.dirname(datasource.path), 'migrations');
+  if (!fs.existsSync(migrationsDir)) return;
+  
+  const migrateCommand = localCommand('npx prisma migrate dev');
+  const provider = getPrismaBlockProperty(datasource, 'provider');
+  const lockPath = path.join(migrationsDir, 'migration_lock.toml');
+  if (provider && provider.value && fs.existsSync(lockPath)) {
+    const lockMatch = fs.readFileSync(lockPath, 'utf8').match(/provider\s*=\s*"([^"]+)"/);
+    if (lockMatch && lockMatch[1] !== provider.value) {
+      report(datasource.file, provider.line, 'prisma/migration-drift',
+        `As migrações foram criadas para "${lockMatch[1]}", mas o datasource usa "${provider.value}" - recrie as migrações para o novo provider`, 'error');
     }
   }
   
-  return errors;
+  const { migrations, tables } = collectMigrationTables(migrationsDir);
+  if (migrations.length === 0) return;
+  
+  const enums = new Set(blocks.filter(block => block.kind === 'enum').map(block => block.name));
+  const models = blocks.filter(block => block.kind === 'model');
+  const modelTables = new Set();
+  
+  models.forEach(model => {
+    const mapped = model.lines.map(item => item.text.match(/^@@map\(\s*(?:name:\s*)?"([^"]+)"/)).find(Boolean);
+    const tableName = mapped ? mapped[1] : model.name;
+    const table = tables.get(tableName.toLowerCase());
+    modelTables.add(tableName.toLowerCase());
+    
+    if (!table) {
+      report(model.file, model.line, 'prisma/migration-drift',
+        `Model "${model.name}" (tabela "${tableName}") não existe em nenhuma migração - crie com ${migrateCommand}`, 'warning');
+      return;
+    }
+    
+    const fieldColumns = new Set();
+    model.lines.forEach(item => {
+      const field = item.text.match(/^(\w+)\s+(\w+)/);
+      if (!field || item.text.startsWith('@@')) return;
+      if (!PRISMA_SCALAR_TYPES.includes(field[2]) && !enums.has(field[2])) return;
+      
+      const columnMap = item.text.match(/@map\(\s*(?:name:\s*)?"([^"]+)"/);
+      const columnName = columnMap ? columnMap[1] : field[1];
+      fieldColumns.add(columnName.toLowerCase());
+      
+      if (!table.columns.has(columnName.toLowerCase())) {
+        report(model.file, item.line, 'prisma/migration-drift',
+          `Campo "${model.name}.${field[1]}" (coluna "${columnName}") não existe nas migrações - crie com ${migrateCommand}`, 'warning');
+      }
+    });
+    
+    [...table.columns].filter(column => !fieldColumns.has(column)).forEach(column => {
+      report(model.file, model.line, 'prisma/migration-drift',
+        `Coluna "${column}" da tabela "${tableName}" existe nas migrações mas não no model "${model.name}" - crie a migração de remoção com ${migrateCommand}`, 'warning');
+    });
+  });
+  
+  // Tabelas com "_" são as tabelas implícitas de relações muitos-para-muitos
+  [...tables.entries()]
+    .filter(([name]) => !modelTables.has(name) && !name.startsWith('_'))
+    .forEach(([, table]) => {
+      report(table.file, 1, 'prisma/migration-drift',
+        `Tabela "${table.name}" existe nas migrações mas não há model no schema - crie a migração de remoção com ${migrateCommand}`, 'warning');
+    });
 }
 
-// Função para verificar problemas do Prisma
+// Função para verificar problemas do Prisma sem banco de dados: cliente gerado (local e hash do schema),
+// variáveis env("...") do .env, prisma validate, prisma format --check e migrações x schema
 async function checkPrismaErrors() {
   const errors = [];
-  const schemaPath = path.join(process.cwd(), 'prisma', 'schema.prisma');
+  const schemaPath = findPrismaSchemaPath();
   
-  if (!fs.existsSync(schemaPath)) {
+  if (!schemaPath) {
     return errors;
   }
   
+  const report = (file, line, code, message, severity = 'error') => {
+    errors.push({ type: 'PRISMA_ERROR', tool: 'prisma', file, line, code, message, severity });
+  };
+  
+  let schemaFiles;
   try {
-    const schemaContent = fs.readFileSync(schemaPath, 'utf8');
+    schemaFiles = readPrismaSchemaFiles(schemaPath);
+  } catch (error) {
+    report(path.relative(process.cwd(), schemaPath), 1, 'prisma/read-error', `Erro ao ler o schema do Prisma: ${error.message}`);
+    return errors;
+  }
+  if (schemaFiles.length === 0) return errors;
+  
+  const blocks = parsePrismaBlocks(schemaFiles);
+  const datasource = blocks.find(block => block.kind === 'datasource');
+  const generators = blocks.filter(block => block.kind === 'generator');
+  
+  // Cliente gerado: pasta do "output" (ou a padrão) e schema igual ao atual
+  generators.forEach(generator => {
+    const provider = getPrismaBlockProperty(generator, 'provider');
+    if (!provider || !PRISMA_CLIENT_GENERATORS.includes(provider.value)) return;
     
-    // Verificar se há URL de database
-    if (!schemaContent.includes('DATABASE_URL')) {
-      errors.push({
-        type: 'PRISMA_CONFIG_ERROR',
-        file: schemaPath,
-        line: 1,
-        message: 'DATABASE_URL não encontrada no schema.prisma',
-        severity: 'error'
-      });
+    const outputDir = resolvePrismaClientOutput(generator);
+    if (!outputDir) {
+      report(generator.file, generator.line, 'prisma/client-not-installed',
+        `Pacote @prisma/client não instalado. Execute: ${localCommand('npm install @prisma/client')}`);
+      return;
     }
     
-    // Verificar se cliente foi gerado
-    const clientPath = path.join(process.cwd(), 'src', 'generated', 'prisma');
-    if (!fs.existsSync(clientPath)) {
-      errors.push({
-        type: 'PRISMA_CLIENT_ERROR',
-        file: schemaPath,
-        line: 1,
-        message: 'Cliente Prisma não foi gerado. Execute: npx prisma generate',
-        severity: 'error'
+    const relativeOutput = path.relative(process.cwd(), outputDir).split(path.sep).join('/');
+    if (!fs.existsSync(outputDir) || fs.readdirSync(outputDir).length === 0) {
+      report(generator.file, generator.line, 'prisma/client-not-generated',
+        `Cliente Prisma não foi gerado em ${relativeOutput}. Execute: ${localCommand('npx prisma generate')}`);
+      return;
+    }
+    
+    // Schema em pasta: a cópia gerada junta os arquivos, então o hash não é comparável
+    const generatedSchema = schemaFiles.length === 1 ? readGeneratedSchema(outputDir) : null;
+    if (generatedSchema !== null) {
+      const currentHash = hashPrismaSchema(schemaFiles[0].content);
+      const generatedHash = hashPrismaSchema(generatedSchema);
+      if (currentHash !== generatedHash) {
+        report(generator.file, generator.line, 'prisma/client-outdated',
+          `Cliente Prisma em ${relativeOutput} foi gerado de outra versão do schema (hash ${generatedHash}, atual ${currentHash}). Execute: ${localCommand('npx prisma generate')}`);
+      }
+    }
+  });
+  
+  // Variáveis env("...") do datasource e dos generators: .env da raiz e da pasta do schema
+  const envFiles = [...new Set([process.cwd(), path.dirname(datasource ? datasource.path : schemaFiles[0].path)])]
+    .map(dir => path.join(dir, '.env'));
+  const envVariables = new Map(envFiles.flatMap(envFile => [...readEnvFile(envFile).entries()]));
+  const envFileNames = envFiles.map(envFile => path.relative(process.cwd(), envFile).split(path.sep).join('/')).join(' ou ');
+  const datasourceProvider = datasource ? getPrismaBlockProperty(datasource, 'provider') : null;
+  
+  [datasource, ...generators].filter(Boolean).forEach(block => {
+    block.lines.forEach(item => {
+      [...item.text.matchAll(/env\(\s*"([^"]+)"\s*\)/g)].forEach(match => {
+        const variable = match[1];
+        const value = envVariables.has(variable) ? envVariables.get(variable) : process.env[variable];
+        
+        if (value === undefined) {
+          report(block.file, item.line, 'prisma/missing-env', `Variável "${variable}" usada no schema não está definida em ${envFileNames}`);
+        } else if (value.trim() === '') {
+          report(block.file, item.line, 'prisma/missing-env', `Variável "${variable}" usada no schema está vazia em ${envFileNames}`);
+        } else if (block === datasource && /^url\s*=/.test(item.text) && datasourceProvider &&
+                   PRISMA_URL_PROTOCOLS[datasourceProvider.value]) {
+          const protocols = [...PRISMA_URL_PROTOCOLS[datasourceProvider.value], ...PRISMA_PROXY_PROTOCOLS];
+          if (!protocols.some(protocol => value.startsWith(protocol))) {
+            report(block.file, item.line, 'prisma/env-url-provider',
+              `"${variable}" não é uma URL de ${datasourceProvider.value} (esperado ${PRISMA_URL_PROTOCOLS[datasourceProvider.value].join(' ou ')})`);
+          }
+        }
       });
+    });
+  });
+  
+  // Prisma 7 tira a URL do schema e lê do prisma.config.ts
+  const hasPrismaConfig = ['prisma.config.ts', 'prisma.config.mjs', 'prisma.config.js'].some(file => fs.existsSync(path.join(process.cwd(), file)));
+  if (datasource && !getPrismaBlockProperty(datasource, 'url') && !hasPrismaConfig) {
+    report(datasource.file, datasource.line, 'prisma/missing-datasource-url', 'Datasource sem "url" e sem prisma.config.ts com a URL do banco');
+  }
+  
+  // prisma validate / prisma format --check com a CLI do projeto (não acessam o banco)
+  const schemaArgument = ['--schema', path.relative(process.cwd(), schemaPath) || '.'];
+  const validate = runPrismaCli(['validate', ...schemaArgument]);
+  const validateErrors = validate && validate.status !== 0 ? parsePrismaValidateOutput(validate.output, schemaFiles) : [];
+  if (validateErrors === null) {
+    console.log(`⚠️  prisma validate não pôde ser executado (${getPrismaOutputSummary(validate.output) || `código ${validate.status}`}) - validação do schema ignorada`);
+  } else {
+    // Variáveis ausentes já foram apontadas acima
+    validateErrors
+      .filter(error => !/Environment variable not found/i.test(error.message))
+      .forEach(error => report(error.file, error.line, 'prisma/validate', error.message));
+  }
+  
+  const format = validate && validate.status === 0 ? runPrismaCli(['format', '--check', ...schemaArgument]) : null;
+  if (format && format.status !== 0 && !/unknown or unexpected option/i.test(format.output)) {
+    report(schemaFiles[0].file, 1, 'prisma/format', `Schema fora da formatação padrão. Execute: ${localCommand('npx prisma format')}`, 'warning');
+  }
+  
+  if (datasource && (!datasourceProvider || datasourceProvider.value !== 'mongodb')) {
+    try {
+      checkPrismaMigrationDrift(blocks, datasource, report);
+    } catch (error) {
+      report(datasource.file, datasource.line, 'prisma/read-error', `Erro ao ler as migrações: ${error.message}`);
     }
-    
-  } catch (error) {
-    errors.push({
-      type: 'PRISMA_READ_ERROR',
-      file: schemaPath,
-      line: 1,
-      message: `Erro ao ler schema.prisma: ${error.message}`,
-      severity: 'error'
-    });
   }
   
   return errors;
 }
 
 // Função para analisar arquivos específicos com erro
-async function analyzeSpecificFile(filePath, lineNumber) {
+async function analyzeSpecificFile(filePath, lineNumber, errors = []) {
   if (!fs.existsSync(filePath)) {
     return {
       exists: false,
@@ -300,7 +1107,7 @@ async function analyzeSpecificFile(filePath, lineNumber) {
   const errorContext = lines.slice(startLine, endLine).join('\n');
   
   // Analisar o conteúdo e gerar sugestões específicas
-  const analysis = analyzeFileContent(content, filePath, lineNumber);
+  const analysis = analyzeFileContent(content, filePath, lineNumber, errors);
   
   return {
     exists: true,
@@ -312,51 +1119,8 @@ async function analyzeSpecificFile(filePath, lineNumber) {
   };
 }
 
-// Funções auxiliares para parsing de erros
-
-function parseTypeScriptErrors(output) {
-  const errors = [];
-  const lines = output.split('\n');
-  
-  for (const line of lines) {
-    const match = line.match(/^(.+?)\((\d+),(\d+)\):\s*(error|warning)\s*TS(\d+):\s*(.+)$/);
-    if (match) {
-      errors.push({
-        type: 'TYPESCRIPT_ERROR',
-        file: match[1],
-        line: parseInt(match[2]),
-        column: parseInt(match[3]),
-        severity: match[4],
-        code: match[5],
-        message: match[6]
-      });
-    }
-  }
-  
-  return errors;
-}
-
-function parseESLintErrors(results) {
-  const errors = [];
-  
-  for (const result of results) {
-    for (const message of result.messages) {
-      errors.push({
-        type: 'ESLINT_ERROR',
-        file: result.filePath,
-        line: message.line,
-        column: message.column,
-        severity: message.severity === 2 ? 'error' : 'warning',
-        rule: message.ruleId,
-        message: message.message
-      });
-    }
-  }
-  
-  return errors;
-}
-
-function getAllTsFiles(dir) {
+// Função para listar os arquivos de código de uma pasta (recursivo)
+function getAllSourceFiles(dir) {
   const files = [];
   
   function traverse(currentDir) {
@@ -366,9 +1130,9 @@ function getAllTsFiles(dir) {
       const fullPath = path.join(currentDir, item);
       const stat = fs.statSync(fullPath);
       
-      if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
+      if (stat.isDirectory() && !item.startsWith('.') && !SCAN_IGNORED_DIRECTORIES.has(item)) {
         traverse(fullPath);
-      } else if (stat.isFile() && (item.endsWith('.ts') || item.endsWith('.tsx'))) {
+      } else if (stat.isFile() && SCAN_EXTENSIONS.includes(path.extname(item)) && !item.endsWith('.d.ts')) {
         files.push(fullPath);
       }
     }
@@ -378,137 +1142,47 @@ function getAllTsFiles(dir) {
   return files;
 }
 
-function checkBasicSyntax(content, filePath) {
-  const errors = [];
-  const lines = content.split('\n');
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const lineNumber = i + 1;
-    
-    // Verificar parênteses desbalanceados
-    const openParens = (line.match(/\(/g) || []).length;
-    const closeParens = (line.match(/\)/g) || []).length;
-    
-    // Verificar chaves desbalanceadas
-    const openBraces = (line.match(/\{/g) || []).length;
-    const closeBraces = (line.match(/\}/g) || []).length;
-    
-    // Verificar imports mal formados
-    if (line.includes('import') && !line.includes('from') && !line.includes('*')) {
-      if (!line.trim().endsWith(';') && !line.trim().endsWith('{')) {
-        errors.push({
-          type: 'SYNTAX_ERROR',
-          file: filePath,
-          line: lineNumber,
-          message: 'Import mal formado - verifique a sintaxe',
-          severity: 'error'
-        });
-      }
-    }
-    
-    // Verificar variáveis não declaradas (básico)
-    const undeclaredMatch = line.match(/(\w+)\s+is not defined/);
-    if (undeclaredMatch) {
-      errors.push({
-        type: 'REFERENCE_ERROR',
-        file: filePath,
-        line: lineNumber,
-        message: `Variável '${undeclaredMatch[1]}' não está definida`,
-        severity: 'error'
-      });
-    }
-  }
-  
-  return errors;
-}
-
-function analyzeFileContent(content, filePath, lineNumber) {
+// Função para diagnosticar os erros de uma linha pelo código do TypeScript ou regra do ESLint
+// "errors" são os erros apontados para a linha ({ code, message }); códigos sem entrada no
+// catálogo recebem um diagnóstico genérico com a própria mensagem
+function analyzeFileContent(content, filePath, lineNumber, errors = []) {
   const analysis = {
     type: '',
     problem: '',
+    explanation: '',
     solution: '',
     code_example: '',
-    specific_steps: []
-  };
-  
-  const lines = content.split('\n');
-  const problemLine = lines[lineNumber - 1] || '';
-  
-  // Análise específica baseada no tipo de arquivo e conteúdo
-  if (filePath.includes('.tsx') || filePath.includes('.ts')) {
-    return analyzeTypeScriptFile(content, problemLine, lineNumber, filePath);
-  }
-  
-  return analysis;
-}
-
-function analyzeTypeScriptFile(content, problemLine, lineNumber, filePath) {
-  const analysis = {
-    type: 'TypeScript/React',
-    problem: '',
-    solution: '',
-    code_example: '',
-    specific_steps: []
+    specific_steps: [],
+    diagnoses: []
   };
   
-  // Verificar imports ausentes
-  if (problemLine.includes('React') && !content.includes("import React")) {
-    analysis.problem = 'Import do React está ausente';
-    analysis.solution = 'Adicionar import do React no topo do arquivo';
-    analysis.code_example = `import React from 'react';`;
-    analysis.specific_steps = [
-      'Adicione a linha de import no topo do arquivo',
-      'Certifique-se de que está antes de outros imports locais',
-      'Salve o arquivo e execute o build novamente'
-    ];
-  }
-  
-  // Verificar problemas de tipagem
-  else if (problemLine.includes(':') && (problemLine.includes('string') || problemLine.includes('number') || problemLine.includes('boolean'))) {
-    analysis.problem = 'Problema de tipagem TypeScript';
-    analysis.solution = 'Corrigir a declaração de tipo na linha';
-    analysis.code_example = `// Exemplo de tipagem correta:\nconst variavel: string = "valor";\nconst numero: number = 42;`;
+  const seenCodes = new Set();
+  analysis.diagnoses = errors
+    .map(error => diagnose(diagnosisCatalog, error))
+    .filter(diagnosis => diagnosis && !seenCodes.has(diagnosis.code) && seenCodes.add(diagnosis.code));
+  
+  if (analysis.diagnoses.length > 0) {
+    const [primary] = analysis.diagnoses;
+    analysis.type = primary.code;
+    analysis.problem = primary.title;
+    analysis.explanation = primary.explanation;
+    analysis.solution = primary.solution;
+    analysis.code_example = primary.example;
     analysis.specific_steps = [
-      'Verifique se o tipo declarado corresponde ao valor atribuído',
-      'Certifique-se de que a sintaxe está correta (: tipo)',
-      'Se for uma prop, verifique a interface do componente pai'
+      ...primary.steps,
+      ...primary.commands.map(command => `Execute: ${localCommand(command)}`)
     ];
-  }
-  
-  // Verificar problemas de export/import
-  else if (problemLine.includes('export') || problemLine.includes('import')) {
-    analysis.problem = 'Problema com export/import';
-    analysis.solution = 'Corrigir a declaração de import/export';
-    analysis.code_example = `// Export correto:\nexport default function ComponentName() {}\n\n// Import correto:\nimport ComponentName from './ComponentName';`;
-    analysis.specific_steps = [
-      'Verifique se o caminho do arquivo está correto',
-      'Certifique-se de que o arquivo exportado existe',
-      'Verifique se é export default ou named export'
-    ];
-  }
-  
-  // Verificar problemas de componente React
-  else if (filePath.includes('.tsx') && (problemLine.includes('function') || problemLine.includes('const'))) {
-    analysis.problem = 'Problema na declaração do componente React';
-    analysis.solution = 'Corrigir a estrutura do componente';
-    analysis.code_example = `// Componente funcional correto:\nfunction ComponentName() {\n  return (\n    <div>\n      {/* conteúdo */}\n    </div>\n  );\n}`;
-    analysis.specific_steps = [
-      'Verifique se o componente retorna JSX válido',
-      'Certifique-se de que está dentro de um único elemento pai',
-      'Verifique se todas as tags JSX estão fechadas corretamente'
-    ];
-  }
-  
-  // Problema genérico
-  else {
-    analysis.problem = 'Erro de sintaxe ou lógica detectado';
-    analysis.solution = 'Revisar a linha indicada e corrigir o erro';
-    analysis.code_example = '// Verifique a sintaxe da linha com erro';
+  } else if (errors.length > 0) {
+    const codes = [...new Set(errors.map(error => error.code).filter(Boolean))];
+    analysis.type = codes.join(', ');
+    analysis.problem = codes.length > 0
+      ? `${codes.join(', ')} sem entrada no catálogo de diagnósticos`
+      : 'Erro sem código identificado';
+    analysis.solution = 'Revise a mensagem do erro e a linha indicada';
     analysis.specific_steps = [
-      'Examine a linha indicada no erro',
-      'Verifique sintaxe (pontos e vírgulas, chaves, parênteses)',
-      'Execute o linter para mais detalhes: npm run lint'
+      'Examine a linha indicada e a mensagem completa do erro',
+      `Execute o linter para mais detalhes: ${localCommand('npm run lint')}`,
+      'Registre a explicação em analyze-logs.catalog.js para os próximos relatórios'
     ];
   }
   
@@ -534,6 +1208,7 @@ function getErrorTypeIcon(type) {
     'PRISMA_ERROR': '🗄️',
     'MODULE_ERROR': '📦',
     'NEXTJS_ERROR': '⚛️',
+    'SECURITY_ERROR': '🔒',
     'FILE_READ_ERROR': '📄'
   };
   return icons[type] || '❓';
@@ -547,13 +1222,543 @@ function getErrorTypeName(type) {
     'PRISMA_ERROR': 'Problemas do Prisma',
     'MODULE_ERROR': 'Módulos não encontrados',
     'NEXTJS_ERROR': 'Problemas do Next.js',
+    'SECURITY_ERROR': 'Vulnerabilidades de Dependências',
     'FILE_READ_ERROR': 'Problemas de Leitura'
   };
   return names[type] || 'Erro Desconhecido';
 }
+// Ferramentas de origem de cada tipo de erro no SARIF
+const SARIF_TOOLS = {
+  TYPESCRIPT_ERROR: { name: 'TypeScript', informationUri: 'https://www.typescriptlang.org/' },
+  ESLINT_ERROR: { name: 'ESLint', informationUri: 'https://eslint.org/' },
+  NEXTJS_ERROR: { name: 'Next.js', informationUri: 'https://nextjs.org/' },
+  PRISMA_ERROR: { name: 'Prisma', informationUri: 'https://www.prisma.io/' },
+  SECURITY_ERROR: { name: 'npm audit', informationUri: 'https://docs.npmjs.com/cli/commands/npm-audit' }
+};
+
+// Função para obter o id da regra SARIF de um erro do projeto
+function getSarifRuleId(error) {
+  if (error.type === 'TYPESCRIPT_ERROR' && error.code) return `TS${error.code}`;
+  if (error.type === 'ESLINT_ERROR') return error.rule || 'eslint';
+  return error.code || error.type;
+}
+
+// Função para converter a severidade do erro no nível SARIF
+function getSarifLevel(severity) {
+  if (severity === 'error') return 'error';
+  if (severity === 'warning') return 'warning';
+  return 'note';
+}
+
+// Função para gerar o relatório SARIF 2.1.0 com os diagnósticos com arquivo/linha
+// Um "run" por ferramenta (TypeScript, ESLint e verificações do próprio analyze-logs)
+function generateSarifReport(projectErrors, sarifPath) {
+  const runsByTool = new Map();
+  
+  for (const error of projectErrors.filter(e => e.file)) {
+    const tool = SARIF_TOOLS[DIAGNOSTIC_TOOL_TYPES[error.tool]] || SARIF_TOOLS[error.type] || { name: 'analyze-logs' };
+    
+    if (!runsByTool.has(tool.name)) {
+      runsByTool.set(tool.name, { tool, rules: new Map(), results: [] });
+    }
+    const run = runsByTool.get(tool.name);
+    
+    const ruleId = getSarifRuleId(error);
+    if (!run.rules.has(ruleId)) {
+      run.rules.set(ruleId, {
+        id: ruleId,
+        shortDescription: { text: error.type === 'TYPESCRIPT_ERROR' || error.type === 'ESLINT_ERROR' ? ruleId : getErrorTypeName(error.type) }
+      });
+    }
+    
+    const uri = path.relative(process.cwd(), path.resolve(process.cwd(), error.file)).split(path.sep).join('/');
+    const region = { startLine: Math.max(1, error.line || 1) };
+    if (error.column) {
+      region.startColumn = error.column;
+    }
+    
+    run.results.push({
+      ruleId,
+      level: getSarifLevel(error.severity),
+      message: { text: error.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri, uriBaseId: '%SRCROOT%' },
+          region
+        }
+      }]
+    });
+  }
+  
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [...runsByTool.values()].map(run => ({
+      tool: {
+        driver: {
+          ...run.tool,
+          rules: [...run.rules.values()]
+        }
+      },
+      originalUriBaseIds: {
+        '%SRCROOT%': { uri: `${pathToFileURL(process.cwd()).href}/` }
+      },
+      results: run.results
+    }))
+  };
+  
+  fs.mkdirSync(path.dirname(sarifPath), { recursive: true });
+  fs.writeFileSync(sarifPath, JSON.stringify(sarif, null, 2) + '\n');
+  return sarifPath;
+}
+
+// Função para escapar texto para HTML
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Tokens destacados no código do relatório HTML (comentários, strings, palavras-chave e números)
+const HIGHLIGHT_PATTERN = /(\/\/.*$|\/\*.*?\*\/)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`\\]|\\.)*`)|\b(import|from|export|default|const|let|var|function|return|if|else|for|while|switch|case|break|async|await|new|class|interface|type|extends|implements|try|catch|finally|throw|typeof|as|null|undefined|true|false)\b|\b(\d+(?:\.\d+)?)\b/g;
+
+// Função para destacar a sintaxe de uma linha de TypeScript/JavaScript (HTML já escapado)
+function highlightCode(line) {
+  let html = '';
+  let lastIndex = 0;
+  
+  for (const match of line.matchAll(HIGHLIGHT_PATTERN)) {
+    html += escapeHtml(line.slice(lastIndex, match.index));
+    const className = match[1] ? 'tok-comment' : match[2] ? 'tok-string' : match[3] ? 'tok-keyword' : 'tok-number';
+    html += `<span class="${className}">${escapeHtml(match[0])}</span>`;
+    lastIndex = match.index + match[0].length;
+  }
+  
+  return html + escapeHtml(line.slice(lastIndex));
+}
+
+// Função para carregar o status das últimas execuções (logs/error-history.json do build-logger)
+function loadRunHistory(logsDir, limit = 30) {
+  try {
+    const history = JSON.parse(fs.readFileSync(path.join(logsDir, 'error-history.json'), 'utf8'));
+    return Array.isArray(history.runs) ? history.runs.slice(-limit) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Função para desenhar o histórico de sucesso/falha como sparkline em SVG (uma barra por execução)
+function renderHistorySparkline(runs, currentRunId) {
+  if (runs.length === 0) {
+    return '<p class="muted">Sem histórico de execuções (logs/error-history.json).</p>';
+  }
+  
+  const barWidth = 10;
+  const gap = 3;
+  const bars = runs.map((run, index) => {
+    const failed = run.status !== 'success';
+    const height = failed ? 28 : 14;
+    const current = run.runId === currentRunId ? ' stroke="#1f2937" stroke-width="2"' : '';
+    return `<rect x="${index * (barWidth + gap)}" y="${30 - height}" width="${barWidth}" height="${height}" rx="2" fill="${failed ? '#dc2626' : '#16a34a'}"${current}><title>${escapeHtml(run.runId)} - ${failed ? 'falhou' : 'sucesso'}</title></rect>`;
+  }).join('');
+  
+  const failures = runs.filter(run => run.status !== 'success').length;
+  return `<svg class="sparkline" width="${runs.length * (barWidth + gap)}" height="32" role="img" aria-label="Histórico de execuções">${bars}</svg>
+<p class="muted">${runs.length} execução(ões): ${runs.length - failures} com sucesso, ${failures} com falha.</p>`;
+}
+
+// Função para montar o contexto de código (com destaque de sintaxe) de um local com erro
+async function renderCodeContext(file, line, errors = []) {
+  const fileAnalysis = await analyzeSpecificFile(file, line, errors);
+  if (!fileAnalysis.exists) {
+    return '<p class="muted">Arquivo não encontrado no projeto.</p>';
+  }
+  
+  const lines = fileAnalysis.content.split('\n');
+  const start = Math.max(0, (line || 1) - 4);
+  const end = Math.min(lines.length, (line || 1) + 3);
+  let html = '<pre class="code">';
+  for (let index = start; index < end; index++) {
+    const current = index + 1 === line ? ' current' : '';
+    html += `<span class="line${current}"><span class="ln">${index + 1}</span>${highlightCode(lines[index])}</span>\n`;
+  }
+  html += '</pre>';
+  
+  fileAnalysis.analysis.diagnoses.forEach(diagnosis => {
+    html += `<p><strong>${escapeHtml(diagnosis.code)} - ${escapeHtml(diagnosis.title)}</strong><br>${escapeHtml(diagnosis.explanation)}<br>💡 ${escapeHtml(diagnosis.solution)}</p>`;
+    if (diagnosis.example) {
+      html += `<pre class="code">${diagnosis.example.split('\n').map(highlightCode).join('\n')}</pre>`;
+    }
+  });
+  
+  return html;
+}
+
+// Estilos e filtros embutidos no relatório HTML (sem recursos externos)
+const HTML_REPORT_STYLE = `
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #1f2937; background: #f9fafb; }
+h1 { font-size: 1.5rem; } h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+.muted { color: #6b7280; } .status-success { color: #16a34a; } .status-error { color: #dc2626; }
+.cards { display: flex; gap: 12px; flex-wrap: wrap; } .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 8px 16px; }
+.card strong { display: block; font-size: 1.4rem; }
+table { width: 100%; border-collapse: collapse; background: #fff; font-size: 0.9rem; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+.filters { display: flex; gap: 8px; margin-bottom: 8px; } .filters select, .filters input { padding: 4px 8px; }
+.sev-error { color: #dc2626; font-weight: 600; } .sev-warning { color: #d97706; font-weight: 600; }
+details { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; margin: 8px 0; padding: 8px 12px; }
+summary { cursor: pointer; font-weight: 600; }
+pre { background: #111827; color: #e5e7eb; padding: 12px; border-radius: 6px; overflow-x: auto; font-size: 0.85rem; }
+.code .line { display: block; } .code .current { background: #7f1d1d; }
+.code .ln { display: inline-block; width: 3em; color: #6b7280; user-select: none; }
+.tok-comment { color: #9ca3af; font-style: italic; } .tok-string { color: #86efac; } .tok-keyword { color: #93c5fd; } .tok-number { color: #fcd34d; }
+`;
+
+const HTML_REPORT_SCRIPT = `
+(function () {
+  var rows = Array.prototype.slice.call(document.querySelectorAll('#diagnostics tbody tr'));
+  var tool = document.getElementById('filter-tool');
+  var severity = document.getElementById('filter-severity');
+  var file = document.getElementById('filter-file');
+  var count = document.getElementById('filter-count');
+  if (!tool || !severity || !file || !count) return;
+  function apply() {
+    var visible = 0;
+    rows.forEach(function (row) {
+      var show = (!tool.value || row.dataset.tool === tool.value) &&
+        (!severity.value || row.dataset.severity === severity.value) &&
+        row.dataset.file.toLowerCase().indexOf(file.value.toLowerCase()) !== -1;
+      row.hidden = !show;
+      if (show) visible++;
+    });
+    count.textContent = visible + ' de ' + rows.length;
+  }
+  [tool, severity, file].forEach(function (input) { input.addEventListener('input', apply); });
+  apply();
+})();
+`;
+
+// Limite de locais com contexto de código no relatório HTML
+const HTML_CONTEXT_LIMIT = 30;
+
+// Função para gerar o relatório HTML autocontido (diagnósticos filtráveis, contexto de código,
+// saída de cada verificação e histórico de execuções)
+async function generateHtmlReport(logFile, logContent, projectErrors, runRecord, htmlPath) {
+  const status = runRecord ? runRecord.status : hasError(logContent) ? 'error' : 'success';
+  const toolOf = (error) => error.tool || (SARIF_TOOLS[error.type] ? SARIF_TOOLS[error.type].name : 'analyze-logs');
+  const tools = [...new Set(projectErrors.map(toolOf))].sort();
+  const severities = [...new Set(projectErrors.map(error => error.severity || 'error'))].sort();
+  
+  let body = `<h1>🔧 Relatório do Build - <code>${escapeHtml(logFile.runId)}</code></h1>\n`;
+  body += `<p>Data: ${escapeHtml(logFile.stats.mtime.toLocaleString('pt-BR'))} · Status: `;
+  body += status === 'error' ? '<strong class="status-error">❌ ERRO</strong></p>\n' : '<strong class="status-success">✅ SUCESSO</strong></p>\n';
+  
+  if (runRecord) {
+    const { summary } = runRecord;
+    const cards = [['✅ Sucessos', summary.success], ['❌ Falhas', summary.failed], ['🟡 Avisos', summary.warnings], ['⚠️ Ignorados', summary.skipped], ['📈 Total', summary.total]];
+    body += `<div class="cards">${cards.map(([label, value]) => `<div class="card">${label}<strong>${value}</strong></div>`).join('')}</div>\n`;
+  }
+  
+  // Histórico de execuções
+  body += `<h2>📊 Histórico</h2>\n`;
+  body += renderHistorySparkline(loadRunHistory(path.dirname(logFile.path)), logFile.runId);
+  
+  // Diagnósticos filtráveis
+  body += `<h2>🔎 Diagnósticos (${projectErrors.length})</h2>\n`;
+  if (projectErrors.length > 0) {
+    body += `<div class="filters">`;
+    body += `<select id="filter-tool"><option value="">Todas as ferramentas</option>${tools.map(tool => `<option>${escapeHtml(tool)}</option>`).join('')}</select>`;
+    body += `<select id="filter-severity"><option value="">Todas as severidades</option>${severities.map(severity => `<option>${escapeHtml(severity)}</option>`).join('')}</select>`;
+    body += `<input id="filter-file" type="search" placeholder="Filtrar por arquivo">`;
+    body += `<span id="filter-count" class="muted"></span></div>\n`;
+    body += `<table id="diagnostics"><thead><tr><th>Ferramenta</th><th>Severidade</th><th>Local</th><th>Código</th><th>Mensagem</th></tr></thead><tbody>\n`;
+    projectErrors.forEach(error => {
+      const file = error.file ? path.relative(process.cwd(), path.resolve(process.cwd(), error.file)).split(path.sep).join('/') : '';
+      const location = file ? `${file}${error.line ? `:${error.line}` : ''}${error.column ? `:${error.column}` : ''}` : '-';
+      const severity = error.severity || 'error';
+      body += `<tr data-tool="${escapeHtml(toolOf(error))}" data-severity="${escapeHtml(severity)}" data-file="${escapeHtml(file)}">`;
+      body += `<td>${escapeHtml(toolOf(error))}</td><td class="sev-${escapeHtml(severity)}">${escapeHtml(severity)}</td>`;
+      body += `<td><code>${escapeHtml(location)}</code></td><td>${escapeHtml(error.rule || error.code || '')}</td><td>${escapeHtml(error.message)}</td></tr>\n`;
+    });
+    body += `</tbody></table>\n`;
+  } else {
+    body += `<p class="muted">Nenhum diagnóstico encontrado.</p>\n`;
+  }
+  
+  // Contexto de código de cada local com erro (um bloco por arquivo:linha)
+  const locations = [...new Map(projectErrors
+    .filter(error => error.file && error.line)
+    .map(error => [`${error.file}:${error.line}`, error])).values()];
+  if (locations.length > 0) {
+    body += `<h2>📝 Contexto do Código</h2>\n`;
+    for (const error of locations.slice(0, HTML_CONTEXT_LIMIT)) {
+      body += `<details><summary><code>${escapeHtml(error.file)}:${error.line}</code> - ${escapeHtml(error.message)}</summary>\n`;
+      body += await renderCodeContext(error.file, error.line, [{ code: error.rule || error.code, message: error.message }]);
+      body += `</details>\n`;
+    }
+    if (locations.length > HTML_CONTEXT_LIMIT) {
+      body += `<p class="muted">... e mais ${locations.length - HTML_CONTEXT_LIMIT} local(is).</p>\n`;
+    }
+  }
+  
+  // Saída de cada verificação (recolhida; falhas abertas)
+  body += `<h2>📋 Verificações</h2>\n`;
+  if (runRecord) {
+    runRecord.testResults.forEach(result => {
+      const failed = isFailedResult(result);
+      const duration = typeof result.durationMs === 'number' ? ` · ${(result.durationMs / 1000).toFixed(1)}s` : '';
+      const output = [result.stdout, result.stderr !== result.stdout ? result.stderr : ''].filter(Boolean).join('\n');
+      body += `<details${failed ? ' open' : ''}><summary>${failed ? '❌' : result.skipped ? '⚠️' : '✅'} ${escapeHtml(result.description)} <span class="muted">(${escapeHtml(result.status || '')}${duration})</span></summary>\n`;
+      body += `<p><code>${escapeHtml(result.command)}</code></p>\n`;
+      body += output ? `<pre>${escapeHtml(output)}</pre>\n` : `<p class="muted">Sem saída.</p>\n`;
+      body += `</details>\n`;
+    });
+  } else {
+    body += `<details><summary>Log completo</summary>\n<pre>${escapeHtml(logContent)}</pre>\n</details>\n`;
+  }
+  
+  const html = `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Relatório do Build - ${escapeHtml(logFile.runId)}</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+${body}
+${projectErrors.length > 0 ? `<script>${HTML_REPORT_SCRIPT}</script>\n` : ''}</body>
+</html>
+`;
+  
+  fs.mkdirSync(path.dirname(htmlPath), { recursive: true });
+  fs.writeFileSync(htmlPath, html);
+  return htmlPath;
+}
+
+// Função para descrever um diagnóstico do histórico em uma linha
+function describeHistoryEntry(entry) {
+  const location = entry.file ? ` \`${entry.file}${entry.line ? `:${entry.line}` : ''}\`` : '';
+  const code = entry.code ? ` **${entry.code}**` : '';
+  return `[${entry.checkId || '?'}]${location}${code} ${entry.message}`;
+}
+
+// Função para montar a seção de histórico de erros (novos, corrigidos e recorrentes)
+function formatHistoryMarkdown(history) {
+  let markdown = `## 🔁 Histórico de Erros\n\n`;
+  
+  if (history.previousRunId) {
+    markdown += `Comparado com \`${history.previousRunId}\`: **${history.introduced.length}** novo(s), **${history.fixed.length}** corrigido(s).\n\n`;
+    
+    if (history.introduced.length > 0) {
+      markdown += `### 🆕 Novos nesta execução\n\n`;
+      history.introduced.slice(0, 20).forEach(entry => {
+        markdown += `- ${describeHistoryEntry(entry)}\n`;
+      });
+      markdown += `\n`;
+    }
+    
+    if (history.fixed.length > 0) {
+      markdown += `### ✅ Corrigidos desde a execução anterior\n\n`;
+      history.fixed.slice(0, 20).forEach(entry => {
+        markdown += `- ${describeHistoryEntry(entry)}\n`;
+      });
+      markdown += `\n`;
+    }
+  } else {
+    markdown += `Primeira execução registrada no histórico.\n\n`;
+  }
+  
+  if (history.recurring.length > 0) {
+    markdown += `### ♻️ Recorrentes\n\n`;
+    history.recurring.slice(0, 20).forEach(entry => {
+      markdown += `- ${describeHistoryEntry(entry)}  \n`;
+      markdown += `  Primeira vez em \`${entry.firstSeenRun}\`, visto ${entry.seenCount} vezes`;
+      markdown += entry.lastFixedRun ? `, última correção em \`${entry.lastFixedRun}\`\n` : `\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  return markdown;
+}
+
+// Função para montar a seção de saúde das dependências (npm audit / npm ls) do relatório
+function formatDependencyHealthMarkdown(health) {
+  let markdown = `## 📦 Saúde das Dependências\n\n`;
+  
+  if (health.audit) {
+    const { bySeverity } = health.audit;
+    markdown += `**Vulnerabilidades${health.audit.offline ? ' (snapshot offline)' : ''}:** `;
+    markdown += `${bySeverity.critical} crítica(s), ${bySeverity.high} alta(s), ${bySeverity.moderate} moderada(s), ${bySeverity.low} baixa(s)\n\n`;
+    
+    if (health.audit.offline) {
+      markdown += `> O snapshot${health.audit.snapshotGeneratedAt ? ` de ${health.audit.snapshotGeneratedAt}` : ''} só conhece os alertas dos pacotes vulneráveis quando foi gerado.`;
+      markdown += ` Atualize com \`node build-logger.js audit-offline --update-snapshot\` (precisa de rede).\n\n`;
+    }
+    if (health.audit.unaudited && health.audit.unaudited.length > 0) {
+      markdown += `**Não auditados (versão fora do snapshot):** ${health.audit.unaudited.slice(0, 20).map(name => `\`${name}\``).join(', ')}${health.audit.unaudited.length > 20 ? ', ...' : ''}\n\n`;
+    }
+    
+    if (health.audit.vulnerabilities.length > 0) {
+      markdown += `| Severidade | Pacote | Caminho | Correção |\n`;
+      markdown += `|------------|--------|---------|----------|\n`;
+      health.audit.vulnerabilities.slice(0, 20).forEach(vulnerability => {
+        markdown += `| ${vulnerability.severity} | \`${vulnerability.name}\` ${vulnerability.title} | ${vulnerability.paths.slice(0, 2).map(p => `\`${p}\``).join('<br>')} | ${vulnerability.fix || 'nenhuma disponível'} |\n`;
+      });
+      markdown += `\n`;
+    }
+  }
+  
+  const sections = [
+    ['Pacotes ausentes', health.missing, pkg => `${pkg.name}${pkg.required ? `@${pkg.required}` : ''}`],
+    ['Pacotes extras (extraneous)', health.extraneous, pkg => `${pkg.name}@${pkg.version}`],
+    ['Versões inválidas', health.invalid, pkg => `${pkg.name}@${pkg.version}${pkg.required ? ` (${pkg.required})` : ''}`],
+    ['Versões duplicadas', health.duplicates, pkg => `${pkg.name}: ${pkg.versions.join(', ')}`]
+  ];
+  
+  sections.filter(([, items]) => items.length > 0).forEach(([title, items, format]) => {
+    markdown += `### ${title} (${items.length})\n\n`;
+    items.slice(0, 20).forEach(item => {
+      markdown += `- \`${format(item)}\`\n`;
+    });
+    markdown += `\n`;
+  });
+  
+  if (health.treeChecked === false) {
+    markdown += `_Pacotes ausentes, extras e inválidos: não suportado com este gerenciador (só npm e pnpm)._\n\n`;
+  }
+  
+  return markdown;
+}
+
+// Função para formatar bytes como o next build (B, kB, MB)
+function formatBytes(bytes) {
+  if (bytes < 1000) return `${bytes} B`;
+  if (bytes < 1000 * 1000) return `${(bytes / 1000).toFixed(1)} kB`;
+  return `${(bytes / 1000 / 1000).toFixed(2)} MB`;
+}
+
+// Função para montar a seção de desempenho (tempos e rotas comparados com a mediana das execuções anteriores)
+function formatPerformanceMarkdown(performanceReport) {
+  const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const trend = (comparison, format) => {
+    if (comparison.median === null) return 'histórico insuficiente';
+    const delta = comparison.deltaPercent === null ? '' : ` (${comparison.deltaPercent >= 0 ? '+' : ''}${comparison.deltaPercent.toFixed(1)}%)`;
+    return `${format(comparison.median)}${delta}`;
+  };
+  
+  let markdown = `## 📈 Desempenho\n\n`;
+  
+  if (performanceReport.regressions.length > 0) {
+    markdown += `**🐢 ${performanceReport.regressions.length} regressão(ões)** em relação à mediana das últimas ${performanceReport.thresholds.window} execuções.\n\n`;
+  }
+  
+  if (performanceReport.checks.length > 0) {
+    markdown += `| Verificação | Duração | Mediana |\n`;
+    markdown += `|-------------|---------|---------|\n`;
+    performanceReport.checks.forEach(check => {
+      markdown += `| ${check.regressed ? '🐢 ' : ''}\`${check.id}\` | ${formatSeconds(check.value)} | ${trend(check, formatSeconds)} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  performanceReport.bundles.forEach(bundle => {
+    markdown += `### Rotas do Next.js (\`${bundle.checkId}\`)\n\n`;
+    markdown += `| Rota | Size | First Load JS | Mediana (First Load JS) |\n`;
+    markdown += `|------|------|---------------|-------------------------|\n`;
+    bundle.routes.forEach(route => {
+      const firstLoad = route.firstLoad.value === null ? '-' : formatBytes(route.firstLoad.value);
+      const reference = route.firstLoad.value === null ? '-' : trend(route.firstLoad, formatBytes);
+      markdown += `| ${route.regressed ? '🐢 ' : ''}\`${route.route}\` | ${formatBytes(route.size.value)} | ${firstLoad} | ${reference} |\n`;
+    });
+    markdown += `\n`;
+  });
+  
+  return markdown;
+}
+
+// Arquivos com análise detalhada no relatório e locais analisados por arquivo
+const REPORT_FILE_LIMIT = 10;
+const REPORT_LINES_PER_FILE = 5;
+
+// Função para montar o ranking dos arquivos com erro (quantidade de erros e linhas afetadas)
+function formatErrorLocationsMarkdown(locations, type) {
+  const total = locations.reduce((sum, group) => sum + group.count, 0);
+  let markdown = `## 🎯 Arquivos Problemáticos (${locations.length})\n\n`;
+  markdown += `**${total}** erro(s) em **${locations.length}** arquivo(s). **Tipo principal:** ${type}\n\n`;
+  markdown += `| # | Arquivo | Erros | Linhas |\n`;
+  markdown += `|---|---------|-------|--------|\n`;
+  locations.forEach((group, index) => {
+    const lines = group.lines.map(location => location.line);
+    const listed = lines.slice(0, 10).join(', ') + (lines.length > 10 ? ', ...' : '');
+    markdown += `| ${index + 1} | \`${group.file}\` | ${group.count} | ${listed} |\n`;
+  });
+  markdown += `\n`;
+  return markdown;
+}
+
+// Função para montar o contexto de código e o diagnóstico de cada linha com erro de um arquivo
+async function formatFileAnalysisMarkdown(group) {
+  let markdown = `### 📄 \`${group.file}\` (${group.count} erro(s))\n\n`;
+  
+  if (!fs.existsSync(group.file)) {
+    markdown += `⚠️ Arquivo não encontrado no sistema. Verifique se o caminho está correto.\n\n`;
+    return markdown;
+  }
+  
+  for (const location of group.lines.slice(0, REPORT_LINES_PER_FILE)) {
+    const fileAnalysis = await analyzeSpecificFile(group.file, location.line, location.errors);
+    
+    markdown += `#### Linha ${location.line}${location.column ? `, coluna ${location.column}` : ''}${location.count > 1 ? ` (${location.count}x)` : ''}\n\n`;
+    location.errors.forEach(error => {
+      markdown += `- ${error.code ? `**${error.code}** ` : ''}${error.message}\n`;
+    });
+    markdown += `\n\`\`\`typescript\n${fileAnalysis.errorContext}\n\`\`\`\n\n`;
+    
+    // Um diagnóstico por código distinto na linha (ex.: TS2322 e uma regra do ESLint)
+    fileAnalysis.analysis.diagnoses.forEach(diagnosis => {
+      markdown += `**${diagnosis.code} - ${diagnosis.title}**  \n`;
+      if (diagnosis.explanation) {
+        markdown += `${diagnosis.explanation}  \n`;
+      }
+      markdown += `**Solução:** ${diagnosis.solution}\n\n`;
+      
+      if (diagnosis.example) {
+        markdown += `\`\`\`typescript\n${diagnosis.example}\n\`\`\`\n\n`;
+      }
+      
+      const steps = [...diagnosis.steps, ...diagnosis.commands.map(command => `Execute: \`${localCommand(command)}\``)];
+      steps.forEach((step, index) => {
+        markdown += `${index + 1}. ${step}\n`;
+      });
+      if (steps.length > 0) {
+        markdown += `\n`;
+      }
+    });
+    
+    if (fileAnalysis.analysis.diagnoses.length === 0 && fileAnalysis.analysis.problem) {
+      markdown += `**Diagnóstico:** ${fileAnalysis.analysis.problem}  \n`;
+      markdown += `**Solução:** ${fileAnalysis.analysis.solution}\n\n`;
+      fileAnalysis.analysis.specific_steps.forEach((step, index) => {
+        markdown += `${index + 1}. ${step}\n`;
+      });
+      markdown += `\n`;
+    }
+  }
+  
+  if (group.lines.length > REPORT_LINES_PER_FILE) {
+    markdown += `... e mais ${group.lines.length - REPORT_LINES_PER_FILE} linha(s) com erro neste arquivo.\n\n`;
+  }
+  
+  return markdown;
+}
+
 // Função para gerar relatório inteligente em Markdown
-async function generateIntelligentMarkdownReport(logFile, logContent, errorDetails, projectErrors, isRecurrent) {
-  const logName = path.basename(logFile.name, '.log');
+async function generateIntelligentMarkdownReport(logFile, logContent, errorDetails, projectErrors, isRecurrent, runRecord = null) {
+  const logName = logFile.runId;
   const mdPath = path.join(path.dirname(logFile.path), `${logName}.md`);
   
   const timestamp = logFile.stats.mtime.toISOString();
@@ -574,41 +1779,50 @@ async function generateIntelligentMarkdownReport(logFile, logContent, errorDetai
     markdown += `\n`;
   }
   
-  // Análise do erro principal do log
-  if (errorDetails.fileName) {
-    markdown += `## 🎯 Arquivo Problemático Identificado\n\n`;
-    markdown += `**Arquivo:** \`${errorDetails.fileName}\`  \n`;
-    if (errorDetails.lineNumber) {
-      markdown += `**Linha:** ${errorDetails.lineNumber}  \n`;
-    }
-    markdown += `**Tipo:** ${errorDetails.type}  \n\n`;
+  // Resultado por pacote num monorepo
+  if (runRecord && runRecord.workspaces) {
+    markdown += `## 🗂️ Pacotes do Workspace\n\n`;
+    markdown += `| Pacote | Pasta | Sucesso | Falhas | Diagnósticos |\n`;
+    markdown += `|--------|-------|---------|--------|--------------|\n`;
+    runRecord.workspaces.forEach(summary => {
+      const failures = summary.failedChecks.length > 0 ? summary.failedChecks.join(', ') : '-';
+      markdown += `| ${summary.failed > 0 ? '❌' : '✅'} \`${summary.name}\` | \`${summary.dir}\` | ${summary.success}/${summary.total} | ${failures} | ${summary.diagnostics} |\n`;
+    });
+    markdown += `\n`;
+  }
+  
+  // Histórico dos diagnósticos (fingerprints) registrado pelo build-logger
+  if (runRecord && runRecord.history) {
+    markdown += formatHistoryMarkdown(runRecord.history);
+  }
+  
+  // Vulnerabilidades e problemas de instalação registrados pelo build-logger
+  if (runRecord && runRecord.dependencyHealth) {
+    markdown += formatDependencyHealthMarkdown(runRecord.dependencyHealth);
+  }
+  
+  // Tempos e tamanhos das rotas registrados pelo build-logger
+  if (runRecord && runRecord.performance && (runRecord.performance.checks.length > 0 || runRecord.performance.bundles.length > 0)) {
+    markdown += formatPerformanceMarkdown(runRecord.performance);
+  }
+  
+  // Locais com erro, do arquivo com mais erros para o com menos
+  if (errorDetails.locations.length > 0) {
+    markdown += formatErrorLocationsMarkdown(errorDetails.locations, errorDetails.type);
     
-    // Analisar o arquivo específico
-    const fileAnalysis = await analyzeSpecificFile(errorDetails.fileName, errorDetails.lineNumber);
+    for (const group of errorDetails.locations.slice(0, REPORT_FILE_LIMIT)) {
+      markdown += await formatFileAnalysisMarkdown(group);
+    }
     
-    if (fileAnalysis.exists) {
-      markdown += `### 📖 Contexto do Erro\n\n`;
-      markdown += `\`\`\`typescript\n${fileAnalysis.errorContext}\n\`\`\`\n\n`;
-      
-      if (fileAnalysis.analysis) {
-        markdown += `### � Diagnóstico Específico\n\n`;
-        markdown += `**Problema:** ${fileAnalysis.analysis.problem}\n\n`;
-        markdown += `**Solução:** ${fileAnalysis.analysis.solution}\n\n`;
-        
-        if (fileAnalysis.analysis.code_example) {
-          markdown += `### 💡 Exemplo de Código Correto\n\n`;
-          markdown += `\`\`\`typescript\n${fileAnalysis.analysis.code_example}\n\`\`\`\n\n`;
-        }
-        
-        if (fileAnalysis.analysis.specific_steps.length > 0) {
-          markdown += `### 🛠️ Passos Específicos para Resolver\n\n`;
-          fileAnalysis.analysis.specific_steps.forEach((step, index) => {
-            markdown += `${index + 1}. ${step}\n`;
-          });
-          markdown += `\n`;
-        }
-      }
-    } else {
+    if (errorDetails.locations.length > REPORT_FILE_LIMIT) {
+      markdown += `... e mais ${errorDetails.locations.length - REPORT_FILE_LIMIT} arquivo(s) com erros (veja a tabela acima).\n\n`;
+    }
+  } else if (errorDetails.fileName) {
+    markdown += `## 🎯 Arquivo Problemático Identificado\n\n`;
+    markdown += `**Arquivo:** \`${errorDetails.fileName}\`  \n`;
+    markdown += `**Tipo:** ${errorDetails.type}  \n\n`;
+    
+    if (!fs.existsSync(errorDetails.fileName)) {
       markdown += `⚠️ Arquivo não encontrado no sistema. Verifique se o caminho está correto.\n\n`;
     }
   }
@@ -629,7 +1843,8 @@ async function generateIntelligentMarkdownReport(logFile, logContent, errorDetai
       markdown += `### ${getErrorTypeIcon(type)} ${getErrorTypeName(type)}\n\n`;
       
       errors.slice(0, 5).forEach((error, index) => { // Mostrar apenas os 5 primeiros
-        markdown += `${index + 1}. **${path.basename(error.file)}:${error.line}**\n`;
+        const location = error.file ? `${path.basename(error.file)}${error.line ? `:${error.line}` : ''}` : (error.code || error.checkId || 'geral');
+        markdown += `${index + 1}. **${location}**\n`;
         markdown += `   \`${error.message}\`\n\n`;
       });
       
@@ -644,7 +1859,7 @@ async function generateIntelligentMarkdownReport(logFile, logContent, errorDetai
   
   const commands = generateSpecificCommandsFromFailedTests(errorDetails.failedTests, errorDetails, projectErrors);
   commands.forEach((command, index) => {
-    markdown += `${index + 1}. \`${command}\`\n`;
+    markdown += `${index + 1}. \`${localCommand(command)}\`\n`;
   });
   markdown += `\n`;
   
@@ -656,7 +1871,7 @@ async function generateIntelligentMarkdownReport(logFile, logContent, errorDetai
     markdown += `${action.description}\n\n`;
     if (action.commands) {
       action.commands.forEach(cmd => {
-        markdown += `- \`${cmd}\`\n`;
+        markdown += `- \`${localCommand(cmd)}\`\n`;
       });
       markdown += `\n`;
     }
@@ -814,11 +2029,18 @@ function generateActionPlan(errorDetails, projectErrors) {
     });
   }
   
-  if (errorDetails.fileName) {
+  if (errorDetails.locations.length > 0) {
+    const topFiles = errorDetails.locations.slice(0, 3);
+    plan.push({
+      title: 'Corrigir Arquivos com Mais Erros',
+      description: `Começar pelos arquivos com mais erros: ${topFiles.map(group => `${group.file} (${group.count})`).join(', ')}.`,
+      commands: topFiles.map(group => `code ${group.file}:${group.lines[0].line}`)
+    });
+  } else if (errorDetails.fileName) {
     plan.push({
       title: 'Corrigir Arquivo Específico',
-      description: `Resolver problemas no arquivo ${errorDetails.fileName} linha ${errorDetails.lineNumber || 'identificada'}.`,
-      commands: [`code ${errorDetails.fileName}:${errorDetails.lineNumber || 1}`]
+      description: `Resolver problemas no arquivo ${errorDetails.fileName}.`,
+      commands: [`code ${errorDetails.fileName}`]
     });
   }
   
@@ -883,11 +2105,19 @@ function generateDetailedActionPlan(errorDetails, projectErrors) {
     });
   }
   
-  if (errorDetails.fileName) {
+  // Um passo por arquivo com erro, do que tem mais erros para o que tem menos
+  errorDetails.locations.slice(0, 5).forEach(group => {
+    plan.push({
+      title: `Corrigir ${group.file}`,
+      description: `${group.count} erro(s) nas linhas ${group.lines.map(location => location.line).join(', ')}.`,
+      commands: group.lines.slice(0, 3).map(location => `code ${group.file}:${location.line}`)
+    });
+  });
+  if (errorDetails.locations.length === 0 && errorDetails.fileName) {
     plan.push({
       title: 'Corrigir Arquivo Específico',
-      description: `Resolver problemas no arquivo ${errorDetails.fileName}${errorDetails.lineNumber ? ` na linha ${errorDetails.lineNumber}` : ''}.`,
-      commands: [`code ${errorDetails.fileName}${errorDetails.lineNumber ? `:${errorDetails.lineNumber}` : ''}`]
+      description: `Resolver problemas no arquivo ${errorDetails.fileName}.`,
+      commands: [`code ${errorDetails.fileName}`]
     });
   }
   
@@ -926,11 +2156,713 @@ function isRecurrentFromLog(logContent) {
   return logContent.includes('ERRO RECORRENTE') || logContent.includes('⚠️  ERRO RECORRENTE');
 }
 
+// Função para salvar o SARIF quando solicitado (--sarif ou --sarif=arquivo)
+function writeSarifIfRequested(options, logFile, projectErrors) {
+  if (!options.sarif) return;
+  
+  const sarifPath = options.sarif === true
+    ? path.join(path.dirname(logFile.path), `${logFile.runId}.sarif`)
+    : path.resolve(process.cwd(), options.sarif);
+  
+  generateSarifReport(projectErrors, sarifPath);
+  console.log(`🛡️  Relatório SARIF: ${sarifPath}`);
+}
+
+// Função para salvar o relatório HTML quando solicitado (--html ou --html=arquivo)
+async function writeHtmlIfRequested(options, logFile, logContent, projectErrors, runRecord) {
+  if (!options.html) return;
+  
+  const htmlPath = options.html === true
+    ? path.join(path.dirname(logFile.path), `${logFile.runId}.html`)
+    : path.resolve(process.cwd(), options.html);
+  
+  await generateHtmlReport(logFile, logContent, projectErrors, runRecord, htmlPath);
+  console.log(`🌐 Relatório HTML: ${htmlPath}`);
+}
+
+// Códigos do TypeScript de nome não encontrado, corrigidos com as sugestões de import do compilador
+const IMPORT_FIX_CODES = [2304, 2503, 2552];
+
+// Limite de imports inseridos por arquivo (evita laço se o compilador insistir na mesma sugestão)
+const IMPORT_FIX_LIMIT = 50;
+
+// Módulos do cliente Prisma nas mensagens de erro (cliente não gerado ou desatualizado)
+const PRISMA_CLIENT_PATTERN = /@prisma\/client|\.prisma\/client|generated\/prisma/;
+
+// Tempo limite dos comandos das correções (instalação de pacotes, prisma generate)
+const FIX_COMMAND_TIMEOUT = 10 * 60 * 1000;
+
+// Linhas de contexto em volta de cada trecho alterado no diff
+const DIFF_CONTEXT_LINES = 3;
+
+// Acima desse tamanho (linhas antigas x novas) o trecho alterado aparece inteiro como removido/adicionado
+const DIFF_MAX_CELLS = 4000000;
+
+// Função para montar o diff unificado entre o conteúdo atual e o corrigido de um arquivo
+function createUnifiedDiff(file, before, after) {
+  // A quebra de linha final não vira uma linha vazia no diff
+  const splitLines = (text) => text.replace(/\n$/, '').split('\n');
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  
+  // Início e fim iguais ficam fora da comparação linha a linha
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+  
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  const operations = oldLines.slice(0, prefix).map(line => [' ', line]);
+  
+  if (oldMiddle.length * newMiddle.length <= DIFF_MAX_CELLS) {
+    // Maior subsequência comum entre as linhas do trecho alterado
+    const table = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1));
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        table[i][j] = oldMiddle[i] === newMiddle[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length && j < newMiddle.length) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        operations.push([' ', oldMiddle[i++]]);
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        operations.push(['-', oldMiddle[i++]]);
+      } else {
+        operations.push(['+', newMiddle[j++]]);
+      }
+    }
+    operations.push(...oldMiddle.slice(i).map(line => ['-', line]));
+    operations.push(...newMiddle.slice(j).map(line => ['+', line]));
+  } else {
+    operations.push(...oldMiddle.map(line => ['-', line]));
+    operations.push(...newMiddle.map(line => ['+', line]));
+  }
+  operations.push(...oldLines.slice(oldLines.length - suffix).map(line => [' ', line]));
+  
+  // Número da linha (antiga e nova) de cada operação
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  operations.forEach(([kind]) => {
+    positions.push([oldLine, newLine]);
+    if (kind !== '+') oldLine++;
+    if (kind !== '-') newLine++;
+  });
+  
+  // Alterações próximas (até 2x o contexto de distância) ficam no mesmo trecho
+  const hunks = [];
+  operations.forEach(([kind], index) => {
+    if (kind === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end - 1 <= DIFF_CONTEXT_LINES * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+  
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  hunks.forEach(hunk => {
+    const start = Math.max(0, hunk.start - DIFF_CONTEXT_LINES);
+    const lines = operations.slice(start, Math.min(operations.length, hunk.end + DIFF_CONTEXT_LINES + 1));
+    const oldCount = lines.filter(([kind]) => kind !== '+').length;
+    const newCount = lines.filter(([kind]) => kind !== '-').length;
+    const [oldStart, newStart] = positions[start];
+    
+    output.push(`@@ -${oldCount > 0 ? oldStart : oldStart - 1},${oldCount} +${newCount > 0 ? newStart : newStart - 1},${newCount} @@`);
+    lines.forEach(([kind, line]) => output.push(`${kind}${line}`));
+  });
+  
+  return output.join('\n');
+}
+
+// Função para achar a pasta do pacote de uma verificação (workspaces do build-logger); a raiz quando não houver
+function getCheckDir(runRecord, checkId) {
+  const result = runRecord && checkId ? runRecord.testResults.find(item => item.id === checkId) : null;
+  const workspace = result && result.workspace && runRecord.workspaces
+    ? runRecord.workspaces.find(item => item.name === result.workspace)
+    : null;
+  
+  return path.join(process.cwd(), workspace ? workspace.dir : '.');
+}
+
+// Função para listar as verificações a rodar de novo depois de uma correção
+// Usa os ids da execução analisada (incluindo os pacotes do monorepo, ex.: "web:tsc")
+function getAffectedChecks(runRecord, errors, checkIds) {
+  const fromRecord = runRecord
+    ? runRecord.testResults.filter(result => checkIds.includes(result.checkId || result.id)).map(result => result.id)
+    : checkIds;
+  
+  return [...new Set([...errors.map(error => error.checkId).filter(Boolean), ...fromRecord])];
+}
+
+// Função para ler o conteúdo de um arquivo já com as correções planejadas antes
+function getPlannedContent(plan, file) {
+  const edit = plan.edits.get(file);
+  return edit ? edit.after : fs.readFileSync(file, 'utf8');
+}
+
+// Função para registrar a alteração de um arquivo no plano
+// Várias correções no mesmo arquivo se acumulam e aparecem num único diff
+function addPlannedEdit(plan, file, after, reason, checks) {
+  const edit = plan.edits.get(file) || {
+    before: fs.readFileSync(file, 'utf8'),
+    after: null,
+    reasons: new Set(),
+    checks: new Set()
+  };
+  
+  edit.after = after;
+  edit.reasons.add(reason);
+  checks.forEach(check => edit.checks.add(check));
+  plan.edits.set(file, edit);
+}
+
+// Função para rodar o comando de uma correção, com a saída direto no terminal
+function runFixCommand(command, cwd) {
+  const result = spawnSync(command, { cwd, stdio: 'inherit', shell: true, timeout: FIX_COMMAND_TIMEOUT });
+  return result.status === 0;
+}
+
+// Função para descobrir o pacote @types de um módulo (ex.: "lodash/fp" => @types/lodash, "@scope/pkg" => @types/scope__pkg)
+function getTypesPackageName(moduleName) {
+  if (!moduleName || /^(\.|\/|node:)/.test(moduleName)) return null;
+  
+  const parts = moduleName.split('/');
+  if (moduleName.startsWith('@')) {
+    return parts.length >= 2 ? `@types/${parts[0].slice(1)}__${parts[1]}` : null;
+  }
+  return `@types/${parts[0]}`;
+}
+
+// Função para planejar a instalação dos pacotes @types ausentes (TS7016: módulo sem declaração de tipos)
+function planTypesPackages(plan, projectErrors, runRecord) {
+  const packagesByDir = new Map();
+  const errors = projectErrors.filter(error => error.type === 'TYPESCRIPT_ERROR' && error.code === '7016');
+  
+  errors.forEach(error => {
+    const match = (error.message || '').match(/module '([^']+)'/);
+    const typesPackage = getTypesPackageName(match ? match[1] : null);
+    if (!typesPackage) return;
+    
+    const dir = getCheckDir(runRecord, error.checkId);
+    let packageJson = {};
+    try {
+      packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+    } catch (readError) {
+      // Sem package.json legível: a instalação cria/ajusta o arquivo
+    }
+    
+    if ({ ...packageJson.dependencies, ...packageJson.devDependencies }[typesPackage]) {
+      plan.skipped.push(`${typesPackage} já está no package.json - verifique o "types"/"typeRoots" do tsconfig.json`);
+      return;
+    }
+    
+    if (!packagesByDir.has(dir)) packagesByDir.set(dir, new Set());
+    packagesByDir.get(dir).add(typesPackage);
+  });
+  
+  packagesByDir.forEach((packages, dir) => {
+    const command = localCommand(`npm install -D ${[...packages].join(' ')}`);
+    const relativeDir = path.relative(process.cwd(), dir);
+    
+    plan.operations.push({
+      icon: '📦',
+      title: `Instalar os tipos ausentes${relativeDir ? ` em ${relativeDir}` : ''}: ${[...packages].join(', ')}`,
+      command,
+      files: [path.join(relativeDir, 'package.json'), path.join(relativeDir, packageManager.lockfile)],
+      checks: getAffectedChecks(runRecord, errors, ['tsc']),
+      run: () => runFixCommand(command, dir)
+    });
+  });
+}
+
+// Função para planejar o prisma generate (cliente não gerado ou tipos do cliente ausentes)
+function planPrismaGenerate(plan, projectErrors, runRecord) {
+  const errors = projectErrors.filter(error => ['prisma/client-not-generated', 'prisma/client-outdated'].includes(error.code) ||
+    (['TYPESCRIPT_ERROR', 'MODULE_ERROR'].includes(error.type) && PRISMA_CLIENT_PATTERN.test(error.message || '')));
+  
+  if (errors.length === 0) return;
+  if (!findPrismaSchemaPath()) {
+    plan.skipped.push('Cliente Prisma ausente, mas o schema do Prisma não foi encontrado');
+    return;
+  }
+  
+  const command = localCommand('npx prisma generate');
+  plan.operations.push({
+    icon: '🗄️ ',
+    title: 'Gerar o cliente Prisma',
+    command,
+    files: null,
+    checks: getAffectedChecks(runRecord, errors, ['prisma-generate', 'tsc']),
+    run: () => runFixCommand(command, process.cwd())
+  });
+}
+
+// Função para criar um LanguageService do TypeScript com o tsconfig.json do projeto
+// Os arquivos são lidos do plano, para cada correção enxergar as anteriores
+function createFixLanguageService(ts, plan) {
+  const configPath = ts.findConfigFile(process.cwd(), ts.sys.fileExists, 'tsconfig.json');
+  if (!configPath) return null;
+  
+  const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+  if (error) return null;
+  
+  const parsed = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath));
+  const versions = new Map();
+  const host = {
+    getScriptFileNames: () => parsed.fileNames,
+    getScriptVersion: (file) => String(versions.get(path.resolve(file)) || 0),
+    getScriptSnapshot: (file) => {
+      const resolved = path.resolve(file);
+      if (!plan.edits.has(resolved) && !fs.existsSync(resolved)) return undefined;
+      return ts.ScriptSnapshot.fromString(getPlannedContent(plan, resolved));
+    },
+    getCurrentDirectory: () => process.cwd(),
+    getCompilationSettings: () => parsed.options,
+    getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+    fileExists: ts.sys.fileExists,
+    readFile: ts.sys.readFile,
+    readDirectory: ts.sys.readDirectory,
+    directoryExists: ts.sys.directoryExists,
+    getDirectories: ts.sys.getDirectories
+  };
+  
+  return {
+    service: ts.createLanguageService(host, ts.createDocumentRegistry()),
+    touch: (file) => versions.set(file, (versions.get(file) || 0) + 1)
+  };
+}
+
+// Função para aplicar as alterações de texto de uma code fix (de trás para frente, para as posições continuarem válidas)
+function applyTextChanges(content, textChanges) {
+  return [...textChanges]
+    .sort((a, b) => b.span.start - a.span.start)
+    .reduce((text, change) => text.slice(0, change.span.start) + change.newText + text.slice(change.span.start + change.span.length), content);
+}
+
+// Função para planejar os imports ausentes sugeridos pelas code fixes do TypeScript
+// Só aplica quando há um único módulo possível; nomes ambíguos ficam para correção manual
+function planMissingImports(plan, projectErrors, runRecord) {
+  const errors = projectErrors.filter(error => error.type === 'TYPESCRIPT_ERROR' && error.file &&
+    IMPORT_FIX_CODES.includes(Number(error.code)));
+  const files = [...new Set(errors.map(error => path.resolve(process.cwd(), error.file)))].filter(file => fs.existsSync(file));
+  
+  if (files.length === 0) return;
+  
+  const ts = loadTypeScript();
+  const languageService = ts ? createFixLanguageService(ts, plan) : null;
+  if (!languageService) {
+    plan.skipped.push(`Imports ausentes: ${ts ? 'tsconfig.json não encontrado' : 'pacote typescript não encontrado'}`);
+    return;
+  }
+  
+  const checks = getAffectedChecks(runRecord, errors, ['tsc']);
+  const formatOptions = ts.getDefaultFormatCodeSettings('\n');
+  
+  files.forEach(file => {
+    const relativePath = path.relative(process.cwd(), file);
+    const handled = new Set();
+    
+    // Cada import inserido muda as posições, então os diagnósticos são recalculados a cada correção
+    for (let attempt = 0; attempt < IMPORT_FIX_LIMIT; attempt++) {
+      let diagnostics = [];
+      try {
+        diagnostics = languageService.service.getSemanticDiagnostics(file);
+      } catch (error) {
+        plan.skipped.push(`${relativePath}: fora do tsconfig.json (${error.message})`);
+        return;
+      }
+      
+      const content = getPlannedContent(plan, file);
+      const diagnostic = diagnostics.find(item => IMPORT_FIX_CODES.includes(item.code) &&
+        !handled.has(content.slice(item.start, item.start + item.length)));
+      if (!diagnostic) return;
+      
+      const name = content.slice(diagnostic.start, diagnostic.start + diagnostic.length);
+      handled.add(name);
+      
+      const fixes = languageService.service.getCodeFixesAtPosition(
+        file,
+        diagnostic.start,
+        diagnostic.start + diagnostic.length,
+        [diagnostic.code],
+        formatOptions,
+        {}
+      ).filter(fix => fix.fixName === 'import');
+      
+      if (fixes.length !== 1) {
+        plan.skipped.push(fixes.length === 0
+          ? `${relativePath}: nenhum import encontrado para "${name}"`
+          : `${relativePath}: "${name}" existe em ${fixes.length} módulos (${fixes.map(fix => fix.description).join('; ')})`);
+        continue;
+      }
+      
+      fixes[0].changes.forEach(fileChange => {
+        const target = path.resolve(fileChange.fileName);
+        addPlannedEdit(plan, target, applyTextChanges(getPlannedContent(plan, target), fileChange.textChanges), `import de ${name}`, checks);
+        languageService.touch(target);
+      });
+    }
+  });
+}
+
+// Função para rodar o ESLint com --fix-dry-run: as correções voltam no JSON (campo "output") sem gravar nada
+// Com stdin, corrige o conteúdo já alterado por outra correção do plano
+function runEslintFixDryRun(dir, files, stdin = null) {
+  const args = ['eslint', '--fix-dry-run', '--format', 'json', ...(stdin ? ['--stdin', '--stdin-filename', stdin.file] : files)];
+  const result = spawnSync(packageManager.exec[0], [...packageManager.exec.slice(1), ...args], {
+    cwd: dir,
+    encoding: 'utf8',
+    input: stdin ? stdin.content : undefined,
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: FIX_COMMAND_TIMEOUT,
+    shell: process.platform === 'win32'
+  });
+  
+  try {
+    return JSON.parse(result.stdout);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Função para planejar as correções automáticas do ESLint (equivalente ao eslint --fix)
+function planEslintFixes(plan, projectErrors, runRecord) {
+  const errors = projectErrors.filter(error => error.type === 'ESLINT_ERROR' && error.file);
+  const filesByDir = new Map();
+  
+  errors.forEach(error => {
+    const file = path.resolve(process.cwd(), error.file);
+    if (!fs.existsSync(file)) return;
+    
+    const dir = getCheckDir(runRecord, error.checkId);
+    if (!filesByDir.has(dir)) filesByDir.set(dir, new Set());
+    filesByDir.get(dir).add(file);
+  });
+  
+  const checks = getAffectedChecks(runRecord, errors, ['eslint']);
+  
+  filesByDir.forEach((files, dir) => {
+    const onDisk = [...files].filter(file => !plan.edits.has(file));
+    const results = [
+      ...(onDisk.length > 0 ? [runEslintFixDryRun(dir, onDisk)] : []),
+      ...[...files].filter(file => plan.edits.has(file)).map(file => runEslintFixDryRun(dir, [], { file, content: getPlannedContent(plan, file) }))
+    ];
+    
+    if (results.some(result => !result)) {
+      plan.skipped.push(`ESLint não pôde ser executado em ${path.relative(process.cwd(), dir) || '.'} (${localCommand('npx eslint --version')})`);
+    }
+    
+    results.filter(Boolean).flat()
+      .filter(result => typeof result.output === 'string')
+      .forEach(result => addPlannedEdit(plan, path.resolve(dir, result.filePath), result.output, 'eslint --fix', checks));
+  });
+}
+
+// Função para planejar a limpeza do .next quando o build do Next.js falhou (cache corrompido/desatualizado)
+function planNextCacheCleanup(plan, runRecord) {
+  if (!runRecord) return;
+  
+  const failedBuilds = runRecord.testResults.filter(result => result.parser === 'next-build' && isFailedResult(result));
+  const buildsByDir = new Map();
+  failedBuilds.forEach(result => {
+    const dir = getCheckDir(runRecord, result.id);
+    if (fs.existsSync(path.join(dir, '.next'))) {
+      buildsByDir.set(dir, [...(buildsByDir.get(dir) || []), result.id]);
+    }
+  });
+  
+  buildsByDir.forEach((checks, dir) => {
+    const nextDir = path.join(dir, '.next');
+    
+    plan.operations.push({
+      icon: '🧹',
+      title: 'Limpar o cache do build do Next.js',
+      command: `rm -rf ${path.relative(process.cwd(), nextDir)}`,
+      files: null,
+      checks,
+      run: () => {
+        fs.rmSync(nextDir, { recursive: true, force: true });
+        return true;
+      }
+    });
+  });
+}
+
+// Função para montar o plano de correções automáticas seguras a partir dos erros do projeto
+// Alterações em arquivos ficam em memória (o diff aparece antes de gravar); comandos só rodam ao aplicar
+function planAutoFixes(projectErrors, runRecord) {
+  const plan = { edits: new Map(), operations: [], skipped: [] };
+  
+  planTypesPackages(plan, projectErrors, runRecord);
+  planPrismaGenerate(plan, projectErrors, runRecord);
+  planMissingImports(plan, projectErrors, runRecord);
+  planEslintFixes(plan, projectErrors, runRecord);
+  planNextCacheCleanup(plan, runRecord);
+  
+  return plan;
+}
+
+// Função para rodar de novo só as verificações afetadas (node build-logger.js --only ids)
+function rerunAffectedChecks(checkIds) {
+  console.log(`\n🔁 Rodando novamente as verificações afetadas: ${checkIds.join(', ')}\n`);
+  
+  const buildLoggerArgs = [path.join(__dirname, 'build-logger.js'), '--only', checkIds.join(',')];
+  if (packageManager.source === 'opção') {
+    buildLoggerArgs.push('--package-manager', packageManager.name);
+  }
+  
+  const result = spawnSync(process.execPath, buildLoggerArgs, { stdio: 'inherit' });
+  return result.status === 0;
+}
+
+// Função do modo --fix: mostra o diff de cada arquivo e os comandos, aplica e confirma rodando as verificações
+// Com --dry-run só mostra o que seria feito
+async function runAutoFix(options, projectErrors, runRecord) {
+  console.log('\n🔧 Planejando correções automáticas...');
+  
+  const plan = planAutoFixes(projectErrors, runRecord);
+  const edits = [...plan.edits.entries()].filter(([, edit]) => edit.after !== edit.before);
+  
+  if (edits.length === 0 && plan.operations.length === 0) {
+    console.log('➖ Nenhuma correção automática disponível para os erros encontrados');
+  } else {
+    console.log(`\n🔧 Correções automáticas: ${edits.length} arquivo(s) e ${plan.operations.length} comando(s)`);
+  }
+  
+  edits.forEach(([file, edit]) => {
+    const relativePath = path.relative(process.cwd(), file).split(path.sep).join('/');
+    console.log(`\n📝 ${relativePath} (${[...edit.reasons].join(', ')})`);
+    console.log(createUnifiedDiff(relativePath, edit.before, edit.after));
+  });
+  
+  plan.operations.forEach(operation => {
+    console.log(`\n${operation.icon} ${operation.title}`);
+    console.log(`   $ ${operation.command}${operation.files ? ` (altera ${operation.files.join(', ')})` : ''}`);
+  });
+  
+  if (plan.skipped.length > 0) {
+    console.log('\n⏭️  Sem correção automática:');
+    plan.skipped.forEach(message => console.log(`   - ${message}`));
+  }
+  
+  if (edits.length === 0 && plan.operations.length === 0) return;
+  
+  if (options.dryRun) {
+    console.log('\n🧪 --dry-run: nenhum arquivo foi gravado e nenhum comando foi executado');
+    return;
+  }
+  
+  edits.forEach(([file, edit]) => fs.writeFileSync(file, edit.after));
+  if (edits.length > 0) {
+    console.log(`\n💾 ${edits.length} arquivo(s) corrigido(s)`);
+  }
+  
+  const failedOperations = plan.operations.filter(operation => {
+    console.log(`\n▶️  ${operation.command}`);
+    return !operation.run();
+  });
+  failedOperations.forEach(operation => console.log(`❌ Falhou: ${operation.title}`));
+  
+  const checkIds = [...new Set([
+    ...edits.flatMap(([, edit]) => [...edit.checks]),
+    ...plan.operations.flatMap(operation => operation.checks)
+  ])];
+  
+  if (checkIds.length === 0) {
+    console.log('\n➖ Nenhuma verificação do build-logger afetada - execute node build-logger.js para confirmar');
+    return;
+  }
+  
+  const confirmed = rerunAffectedChecks(checkIds);
+  if (confirmed && failedOperations.length === 0) {
+    console.log('\n✅ Correções confirmadas: as verificações afetadas passaram');
+  } else {
+    console.log('\n⚠️  Ainda há falhas - execute node analyze-logs.js de novo para analisar o novo log');
+    process.exitCode = 1;
+  }
+}
+
+// Execuções mostradas por padrão no --list
+const DEFAULT_LIST_RUNS = 20;
+
+// Diagnósticos mostrados em cada seção do diff (novos / que sumiram)
+const DIFF_DIAGNOSTICS_LIMIT = 50;
+
+// Ícone de cada status de verificação do relatório JSON
+const CHECK_STATUS_ICONS = {
+  success: '✅',
+  failed: '❌',
+  timeout: '⏰',
+  warning: '⚠️ ',
+  skipped: '⏭️ ',
+  interrupted: '⏹️ ',
+  'not-run': '➖'
+};
+
+// Função para descrever o resultado de uma execução em uma linha (para o --list)
+function describeRun(logFile, runRecord) {
+  if (!runRecord) {
+    return hasError(readLogFile(logFile.path)) ? '❌ erro (sem relatório JSON)' : '✅ sucesso (sem relatório JSON)';
+  }
+  
+  const failed = runRecord.testResults.filter(isFailedResult);
+  const diagnostics = failed.reduce((total, result) => total + (result.diagnostics || []).length, 0);
+  const duration = typeof runRecord.durationMs === 'number' ? `, ${(runRecord.durationMs / 1000).toFixed(1)}s` : '';
+  
+  if (runRecord.status !== 'error') {
+    return `✅ sucesso (${runRecord.testResults.length} verificações${duration})`;
+  }
+  return `❌ erro: ${failed.map(result => result.id).join(', ') || '?'} (${diagnostics} diagnóstico(s)${duration})${runRecord.isRecurrent ? ' 🔁 recorrente' : ''}`;
+}
+
+// Função para mostrar a data de uma execução (a do relatório JSON; a retenção pode mudar a data do arquivo)
+function formatRunDate(logFile, runRecord) {
+  const date = runRecord && runRecord.timestamp ? new Date(runRecord.timestamp) : logFile.stats.mtime;
+  return date.toLocaleString('pt-BR');
+}
+
+// Função do comando --list: execuções anteriores com status, da mais recente para a mais antiga
+function listRuns(argv) {
+  const lastValue = getOptionValue(argv, '--last');
+  const last = lastValue ? parseInt(lastValue, 10) : DEFAULT_LIST_RUNS;
+  if (!Number.isInteger(last) || last < 1) {
+    throw new Error(`valor inválido para --last: ${lastValue}`);
+  }
+  
+  const logFiles = listLogFiles();
+  if (logFiles.length === 0) {
+    console.log('❌ Nenhum arquivo de log encontrado.');
+    console.log('💡 Execute primeiro: node build-logger.js');
+    return;
+  }
+  
+  console.log(`📚 Execuções registradas: ${logFiles.length}${logFiles.length > last ? ` (mostrando as ${last} mais recentes)` : ''}\n`);
+  
+  logFiles.slice(0, last).forEach(logFile => {
+    const runRecord = loadRunRecord(logFile.jsonPath);
+    console.log(`${logFile.runId}  ${formatRunDate(logFile, runRecord)}  ${describeRun(logFile, runRecord)}`);
+  });
+  
+  console.log('\n💡 Analisar uma execução: node analyze-logs.js <id ou caminho do log>');
+  console.log('💡 Comparar duas execuções: node analyze-logs.js diff <idA> <idB>');
+}
+
+// Função para juntar os diagnósticos de uma execução pelo fingerprint (o mesmo erro em execuções diferentes)
+function collectRunDiagnostics(runRecord) {
+  const diagnostics = new Map();
+  
+  runRecord.testResults.forEach(result => (result.diagnostics || []).forEach(diagnostic => {
+    const key = diagnostic.fingerprint || [result.checkId || result.id, diagnostic.file, diagnostic.code, diagnostic.message].join('|');
+    if (!diagnostics.has(key)) {
+      diagnostics.set(key, { ...diagnostic, checkId: result.id });
+    }
+  }));
+  
+  return diagnostics;
+}
+
+// Função para descrever um diagnóstico do diff em uma linha
+function describeRunDiagnostic(diagnostic) {
+  const location = diagnostic.file ? ` ${diagnostic.file}${diagnostic.line ? `:${diagnostic.line}` : ''}` : '';
+  const code = diagnostic.code ? ` ${diagnostic.code}` : '';
+  return `[${diagnostic.checkId}]${location}${code} ${diagnostic.message}`;
+}
+
+// Função do comando diff: compara duas execuções (status das verificações e diagnósticos novos/que sumiram)
+// Sem a segunda execução, compara com a mais recente
+function diffRuns(argv) {
+  const [referenceA, referenceB] = getPositionalArgs(argv);
+  if (!referenceA) {
+    throw new Error('informe as execuções: node analyze-logs.js diff <idA> [idB]');
+  }
+  
+  let logA = resolveLogFile(referenceA);
+  let logB = referenceB ? resolveLogFile(referenceB) : findMostRecentLog();
+  if (!logB) {
+    throw new Error('nenhuma execução encontrada em logs/ para comparar - informe as duas execuções ou execute node build-logger.js');
+  }
+  
+  // Sem idB e com idA sendo a mais recente: compara com a execução anterior a ela
+  if (!referenceB && logB.path === logA.path) {
+    const logFiles = listLogFiles();
+    const previous = logFiles[logFiles.findIndex(logFile => logFile.path === logA.path) + 1];
+    if (!previous) {
+      throw new Error(`${logA.runId} é a única execução em logs/ - não há outra para comparar`);
+    }
+    logB = logA;
+    logA = previous;
+  }
+  if (logA.path === logB.path) {
+    throw new Error(`as duas referências apontam para a mesma execução (${logA.runId})`);
+  }
+  
+  const recordA = loadRunRecord(logA.jsonPath);
+  const recordB = loadRunRecord(logB.jsonPath);
+  
+  const missing = [[logA, recordA], [logB, recordB]].find(([, runRecord]) => !runRecord);
+  if (missing) {
+    throw new Error(`relatório JSON não encontrado para ${missing[0].runId} - o diff usa os diagnósticos estruturados do build-logger`);
+  }
+  
+  console.log('🔀 Comparando execuções');
+  console.log(`   A: ${logA.runId} (${formatRunDate(logA, recordA)}) - ${recordA.status === 'error' ? '❌ erro' : '✅ sucesso'}`);
+  console.log(`   B: ${logB.runId} (${formatRunDate(logB, recordB)}) - ${recordB.status === 'error' ? '❌ erro' : '✅ sucesso'}\n`);
+  
+  // Verificações que mudaram de status (ou que só existem em uma das execuções)
+  const resultsA = new Map(recordA.testResults.map(result => [result.id, result]));
+  const resultsB = new Map(recordB.testResults.map(result => [result.id, result]));
+  const statusChanges = [...new Set([...resultsA.keys(), ...resultsB.keys()])]
+    .map(id => ({
+      id,
+      before: resultsA.has(id) ? resultsA.get(id).status : null,
+      after: resultsB.has(id) ? resultsB.get(id).status : null
+    }))
+    .filter(change => change.before !== change.after);
+  
+  console.log(`🚦 Verificações com status alterado: ${statusChanges.length}`);
+  statusChanges.forEach(change => {
+    const icon = change.after ? CHECK_STATUS_ICONS[change.after] || '❔' : '➖';
+    console.log(`   ${icon} ${change.id}: ${change.before || 'ausente'} → ${change.after || 'ausente'}`);
+  });
+  
+  const diagnosticsA = collectRunDiagnostics(recordA);
+  const diagnosticsB = collectRunDiagnostics(recordB);
+  const appeared = [...diagnosticsB.entries()].filter(([key]) => !diagnosticsA.has(key)).map(([, diagnostic]) => diagnostic);
+  const disappeared = [...diagnosticsA.entries()].filter(([key]) => !diagnosticsB.has(key)).map(([, diagnostic]) => diagnostic);
+  
+  const printDiagnostics = (title, diagnostics) => {
+    console.log(`\n${title}: ${diagnostics.length}`);
+    diagnostics.slice(0, DIFF_DIAGNOSTICS_LIMIT).forEach(diagnostic => console.log(`   ${describeRunDiagnostic(diagnostic)}`));
+    if (diagnostics.length > DIFF_DIAGNOSTICS_LIMIT) {
+      console.log(`   ... e mais ${diagnostics.length - DIFF_DIAGNOSTICS_LIMIT}`);
+    }
+  };
+  printDiagnostics('🆕 Diagnósticos novos em B', appeared);
+  printDiagnostics('✅ Diagnósticos que sumiram em B', disappeared);
+  
+  console.log(`\n📊 Diagnósticos: ${diagnosticsA.size} → ${diagnosticsB.size} (${diagnosticsB.size - diagnosticsA.size >= 0 ? '+' : ''}${diagnosticsB.size - diagnosticsA.size})`);
+}
+
 // Função principal atualizada
-async function analyzeLogs() {
+async function analyzeLogs(options = {}) {
   console.log('🔍 Iniciando análise inteligente de logs...\n');
   
-  const recentLog = findMostRecentLog();
+  // Log indicado (caminho ou id da execução) ou o mais recente
+  const recentLog = options.log ? resolveLogFile(options.log) : findMostRecentLog();
   
   if (!recentLog) {
     console.log('❌ Nenhum arquivo de log encontrado.');
@@ -938,29 +2870,46 @@ async function analyzeLogs() {
     return;
   }
   
-  console.log(`📄 Log mais recente: ${recentLog.name}`);
+  const latestLog = options.log ? listLogFiles()[0] : recentLog;
+  console.log(`📄 ${options.log ? 'Log analisado' : 'Log mais recente'}: ${recentLog.name}`);
   console.log(`📅 Data: ${recentLog.stats.mtime.toLocaleString('pt-BR')}\n`);
   
-  const logContent = fs.readFileSync(recentLog.path, 'utf8');
+  if (!latestLog || latestLog.path !== recentLog.path) {
+    console.log('⚠️  Este não é o log mais recente: o scan do projeto e o --fix usam o estado atual dos arquivos\n');
+  }
+  
+  const logContent = readLogFile(recentLog.path);
+  const runRecord = loadRunRecord(recentLog.jsonPath);
+  
+  if (runRecord) {
+    console.log(`🧾 Usando relatório estruturado: ${path.basename(recentLog.jsonPath)}\n`);
+  }
+  
+  const logHasError = runRecord ? runRecord.status === 'error' : hasError(logContent);
   
-  if (hasError(logContent)) {
+  if (logHasError) {
     console.log('❌ Erro detectado no log!');
     
-    const isRecurrent = isRecurrentFromLog(logContent);
+    const isRecurrent = runRecord ? runRecord.isRecurrent : isRecurrentFromLog(logContent);
     if (isRecurrent) {
       console.log('⚠️  Este é um erro recorrente!');
     }
     
     console.log('� Extraindo detalhes do erro...');
-    const errorDetails = extractErrorDetails(logContent);
+    const errorDetails = extractErrorDetails(logContent, runRecord);
     
     console.log('🔍 Escaneando projeto para análise completa...');
-    const projectErrors = await scanProjectForErrors();
+    const projectErrors = await scanProjectForErrors(runRecord);
     
     console.log(`📊 Erros encontrados no projeto: ${projectErrors.length}`);
     
-    if (errorDetails.fileName) {
-      console.log(`🎯 Arquivo problemático: ${errorDetails.fileName}${errorDetails.lineNumber ? `:${errorDetails.lineNumber}` : ''}`);
+    if (errorDetails.locations.length > 0) {
+      console.log(`🎯 Arquivos com erros: ${errorDetails.locations.length}`);
+      errorDetails.locations.slice(0, 5).forEach(group => {
+        console.log(`   - ${group.file}: ${group.count} erro(s) (linhas ${group.lines.map(location => location.line).join(', ')})`);
+      });
+    } else if (errorDetails.fileName) {
+      console.log(`🎯 Arquivo problemático: ${errorDetails.fileName}`);
     }
     
     console.log('📝 Gerando relatório inteligente...\n');
@@ -970,11 +2919,14 @@ async function analyzeLogs() {
       logContent, 
       errorDetails, 
       projectErrors, 
-      isRecurrent
+      isRecurrent,
+      runRecord
     );
     
     console.log('✅ Análise completa finalizada!');
     console.log(`📄 Relatório: ${mdPath}`);
+    writeSarifIfRequested(options, recentLog, projectErrors);
+    await writeHtmlIfRequested(options, recentLog, logContent, projectErrors, runRecord);
     console.log(`\n🔧 Tipo de erro: ${errorDetails.type || 'Analisando...'}`);
     console.log(`� Erros no projeto: ${projectErrors.length} encontrados`);
     
@@ -995,13 +2947,20 @@ async function analyzeLogs() {
     console.log('2. Siga o plano de ação passo a passo');
     console.log('3. Execute os comandos sugeridos na ordem indicada');
     console.log('4. Execute node build-logger.js para verificar se foi resolvido');
+    console.log('   (ou node analyze-logs.js --fix para aplicar as correções seguras automaticamente)');
+    
+    if (options.fix) {
+      await runAutoFix(options, projectErrors, runRecord);
+    }
     
   } else {
     console.log('✅ Último log analisado: nenhum erro encontrado. Ambiente limpo.');
     
     // Mesmo sem erros no log, fazer uma verificação rápida do projeto
     console.log('🔍 Fazendo verificação preventiva do projeto...');
-    const projectErrors = await scanProjectForErrors();
+    const projectErrors = await scanProjectForErrors(runRecord);
+    writeSarifIfRequested(options, recentLog, projectErrors);
+    await writeHtmlIfRequested(options, recentLog, logContent, projectErrors, runRecord);
     
     if (projectErrors.length > 0) {
       console.log(`⚠️  Encontrados ${projectErrors.length} problemas potenciais no código:`);
@@ -1016,8 +2975,12 @@ async function analyzeLogs() {
       }
       
       console.log('\n💡 Execute os comandos de linting para corrigir:');
-      console.log('   npx tsc --noEmit');
-      console.log('   npm run lint -- --fix');
+      console.log(`   ${localCommand('npx tsc --noEmit')}`);
+      console.log(`   ${localCommand('npm run lint -- --fix')}`);
+      
+      if (options.fix) {
+        await runAutoFix(options, projectErrors, runRecord);
+      }
     } else {
       console.log('🎉 Projeto está limpo - nenhum problema detectado!');
     }
@@ -1030,8 +2993,98 @@ if (!fs.existsSync('package.json')) {
   process.exit(1);
 }
 
-// Executar análise
-analyzeLogs().catch(error => {
+// Verificar argumentos de linha de comando
+const args = process.argv.slice(2);
+
+// Opções que recebem valor (--opcao valor ou --opcao=valor); as de valor opcional
+// (--sarif, --html) só consomem o argumento seguinte quando ele não é outra opção
+const VALUE_OPTIONS = ['--package-manager', '--catalog', '--last'];
+const OPTIONAL_VALUE_OPTIONS = ['--sarif', '--html'];
+
+// Função para ler o valor de uma opção (--opcao valor ou --opcao=valor)
+function getOptionValue(argv, ...names) {
+  for (let i = 0; i < argv.length; i++) {
+    for (const name of names) {
+      if (argv[i] === name) return argv[i + 1];
+      if (argv[i].startsWith(`${name}=`)) return argv[i].slice(name.length + 1);
+    }
+  }
+  return undefined;
+}
+
+// Função para ler uma opção de valor opcional: true quando aparece sozinha
+// (ou seguida de outra opção), o valor quando informado e undefined quando ausente
+function getOptionalValue(argv, name) {
+  const index = argv.indexOf(name);
+  if (index !== -1) {
+    const next = argv[index + 1];
+    return next !== undefined && !next.startsWith('-') ? next : true;
+  }
+  return getOptionValue(argv, name);
+}
+
+// Função para listar os argumentos posicionais (sem as opções e os seus valores)
+function getPositionalArgs(argv) {
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      i++;
+    } else if (OPTIONAL_VALUE_OPTIONS.includes(arg) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) {
+      i++;
+    }
+  }
+  return positional;
+}
+
+if (args.includes('--list')) {
+  // Execuções anteriores: node analyze-logs.js --list [--last=N]
+  try {
+    listRuns(args);
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Erro ao listar as execuções: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (args[0] === 'diff') {
+  // Comparação de execuções: node analyze-logs.js diff <idA> [idB] (sem idB, compara com a mais recente,
+  // ou com a anterior quando idA já é a mais recente)
+  try {
+    diffRuns(args.slice(1));
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Erro ao comparar as execuções: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+try {
+  packageManager = detectPackageManager(process.cwd(), getOptionValue(args, '--package-manager'));
+  diagnosisCatalog = loadDiagnosisCatalog(getOptionValue(args, '--catalog'));
+  if (diagnosisCatalog.path) {
+    console.log(`📚 Catálogo de diagnósticos: ${path.basename(diagnosisCatalog.path)}`);
+  }
+} catch (error) {
+  console.error(`❌ Erro: ${error.message}`);
+  process.exit(1);
+}
+
+// Executar análise (do log indicado por caminho/id da execução, ou do mais recente)
+analyzeLogs({
+  log: getPositionalArgs(args)[0],
+  // SARIF: --sarif (ao lado do log) ou --sarif arquivo.sarif
+  sarif: getOptionalValue(args, '--sarif'),
+  // HTML autocontido: --html (ao lado do log) ou --html relatorio.html
+  html: getOptionalValue(args, '--html'),
+  // Correções automáticas seguras: --fix aplica e roda de novo as verificações afetadas,
+  // --dry-run só mostra os diffs e comandos
+  fix: args.includes('--fix') || args.includes('--dry-run'),
+  dryRun: args.includes('--dry-run')
+}).catch(error => {
   console.error('❌ Erro durante a análise:', error.message);
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Configuração do build-logger.js
+// As verificações embutidas (tsc, eslint, prisma-generate, prisma-migrate-status,
+// build, next-build, audit, audit-offline, deps) continuam ativas; aqui é possível sobrescrever
+// campos de uma embutida (pelo mesmo id) ou adicionar novas verificações.
+//
+// Campos de cada verificação:
+//   id         identificador único (obrigatório)
+//   label      nome exibido no log
+//   command    executável (ex.: "npx")
+//   args       lista de argumentos
+//   enabled    condição: true/false, "always", "never", "ci", "prisma",
+//              "script:<nome>", "dependency:<pacote>", "file:<caminho>",
+//              "env:<VARIÁVEL>", "offline", com "!" para negar, uma lista (todas precisam
+//              valer) ou uma função (contexto) => boolean
+//   timeout    tempo limite em ms
+//   required   false para que uma falha conte apenas como aviso
+//   dependsOn  ids que precisam terminar antes desta verificação
+//   watch      globs dos arquivos que fazem a verificação rodar de novo no modo
+//              --watch (padrão: "src/**" e "package.json")
+//   inputs     globs dos arquivos que determinam o resultado; sem alteração neles
+//              o resultado anterior é reaproveitado (marcado como CACHE). Sem
+//              "inputs" a verificação sempre roda
+//   tools      pacotes cuja versão instalada também entra no hash (ex.: "eslint")
+//   cacheTtl   validade do resultado em cache, em ms
+//   parser     formato da saída para extrair diagnósticos: "tsc" (--pretty false),
+//              "eslint-json" (--format json), "next-build", "prisma", "npm-audit"
+//              (--json), "npm-ls" (--json) ou "auto" (padrão: tsc e ESLint stylish). Parsers próprios
+//              podem ser declarados em "parsers" (nome => (resultado) => diagnósticos)
+//
+// Opções gerais: concurrency, defaultTimeout (ms, por verificação),
+// runTimeout (ms, para a execução inteira) e failOn (o que faz a execução falhar:
+// "error", "timeout", "warning", "skipped", "skipped:<id>" e "!<id>" para tratar
+// as falhas de uma verificação como aviso). cache: false desativa o cache
+// (logs/check-cache.json); --no-cache força a execução de tudo e atualiza o cache.
+//
+// retention controla os logs em logs/: maxRuns (execuções mantidas), maxAgeDays,
+// maxTotalSizeMb e gzipAfterRuns (comprime as execuções além das N mais recentes).
+// Quando definido, é aplicado ao fim de cada execução; a execução mais recente
+// nunca é removida.
+//
+// Monorepo: com workspaces no package.json (npm/yarn) ou pnpm-workspace.yaml,
+// cada verificação roda em cada pacote (id "pacote:verificação", com a pasta do
+// pacote como diretório de trabalho e condições como "prisma" avaliadas por
+// pacote); as de workspaces.rootChecks (padrão: audit, audit-offline, deps)
+// rodam uma vez na raiz. "watch" e "inputs" são relativos à pasta do pacote.
+// Regras de --fail-on e supressões com o id da verificação valem para todos os
+// pacotes. O log traz um resumo por pacote. workspaces: false desativa.
+//
+// Gerenciador de pacotes: detectado pelo campo "packageManager" do package.json ou
+// pelo lockfile (pnpm-lock.yaml, yarn.lock, bun.lockb, package-lock.json); sem
+// nenhum dos dois, npm. As verificações embutidas usam os equivalentes (pnpm exec,
+// yarn dlx, bun x, pnpm audit, yarn npm audit...). packageManager ou
+// --package-manager força um gerenciador (ex.: "pnpm" ou "yarn@4").
+//
+// Baseline: --update-baseline grava os diagnósticos atuais em
+// build-logger.baseline.json (ou baselineFile / --baseline), que deve ser
+// versionado. Nas execuções seguintes só diagnósticos fora do baseline fazem a
+// verificação falhar, e o log informa "N novo(s), M corrigido(s), K no baseline"
+// por verificação. Rode --update-baseline de novo para registrar as correções.
+//
+// Saúde das dependências: as saídas JSON do npm audit e do npm ls viram uma seção
+// do log (vulnerabilidades por severidade, com pacote, caminho e correção;
+// pacotes ausentes, extras e inválidos; versões duplicadas no package-lock.json).
+// Com --offline (ou offline: true) a verificação "audit" dá lugar à "audit-offline",
+// que compara o package-lock.json com o snapshot local de alertas
+// (advisorySnapshot, padrão audit-snapshot.json) sem acessar a rede. O snapshot
+// é gerado com: node build-logger.js audit-offline --update-snapshot
+// Limitação: o snapshot só guarda os alertas dos pacotes que já estavam vulneráveis quando
+// foi gerado. Alertas publicados depois só aparecem após um novo --update-snapshot; pacotes
+// com versão que não existia no snapshot são listados como "não auditados".
+// A auditoria offline e as versões duplicadas só funcionam com npm: com pnpm,
+// yarn ou bun a "audit-offline" falha avisando que o lockfile não é suportado.
+// Pacotes ausentes, extras e inválidos só com npm e pnpm: com yarn e bun a seção
+// mostra "não suportado".
+//
+// Desempenho: a duração de cada verificação que passou (sem cache) e a tabela de
+// rotas do next build (Size e First Load JS) ficam em logs/performance-history.json.
+// O log aponta regressões (🐢) quando o valor passa da mediana das últimas
+// execuções pelo percentual E pelo mínimo absoluto de "performance" (padrão:
+// window 10, minSamples 3, durationPercent 25, durationMinMs 5000, sizePercent 10,
+// sizeMinBytes 5000). performance: false desativa o histórico.
+//
+// Supressões ficam em build-logger.suppressions.json (ou suppressionsFile /
+// --suppressions). Cada entrada exige "reason" e ao menos um critério:
+//   check      id (ou lista de ids) da verificação
+//   file       glob do arquivo (ex.: "src/legacy/**")
+//   rule       regra do ESLint (ex.: "@typescript-eslint/no-explicit-any")
+//   code       código do TypeScript (ex.: "TS2307")
+//   message    expressão regular aplicada à mensagem
+//   expires    data AAAA-MM-DD; depois dela a supressão é ignorada
+// Uma verificação cujos diagnósticos foram todos suprimidos conta como sucesso
+// (se a falha vier só deles); supressões que não correspondem a nada geram um aviso
+// quando alguma verificação a que se aplicam terminou com diagnósticos.
+//
+// Uso: node build-logger.js [--config caminho/para/config.js] [--ci]
+//      [--fail-on error,timeout,!audit,skipped:prisma-generate]
+//      [--suppressions caminho/para/suppressions.json] [--no-cache] [--offline]
+//      [--update-baseline] [--baseline caminho/para/baseline.json]
+//      [--workspace pacote1,pacote2] [--no-workspaces] [--package-manager pnpm]
+//      [--only tsc,eslint] (só as verificações indicadas)
+//      node build-logger.js --watch (observa src/, prisma/, public/ e arquivos da
+//      raiz e roda só as verificações afetadas, com um log por ciclo)
+//      node build-logger.js prune [--keep 20] [--max-age-days 14]
+//      [--max-size-mb 200] [--gzip-after 5] [--dry-run]
+//      node build-logger.js trend [--last 20] (tendência dos tempos e tamanhos)
+//      node build-logger.js audit-offline [--snapshot audit-snapshot.json]
+//      [--audit-level high] [--update-snapshot]
+//
+// Códigos de saída: 0 sucesso, 1 falhas, 2 apenas timeouts, 3 erro interno,
+// 130 interrompido (Ctrl+C).
+
+module.exports = {
+  // concurrency: 4,
+  // defaultTimeout: 10 * 60 * 1000,
+  // runTimeout: 30 * 60 * 1000,
+  // failOn: ['error', 'timeout', '!audit'],
+  // suppressionsFile: 'config/build-logger.suppressions.json',
+  // workspaces: { include: ['@app/web'], rootChecks: ['audit', 'deps'] },
+  // baselineFile: 'config/build-logger.baseline.json',
+  // offline: true,
+  // packageManager: 'pnpm',
+  // advisorySnapshot: 'config/audit-snapshot.json',
+  // performance: { window: 10, durationPercent: 25, sizePercent: 10 },
+  // retention: { maxRuns: 50, maxAgeDays: 30, maxTotalSizeMb: 200, gzipAfterRuns: 10 },
+  checks: [
+    // {
+    //   id: 'vitest',
+    //   label: 'Testes Vitest',
+    //   command: 'npx',
+    //   args: ['vitest', 'run'],
+    //   enabled: 'dependency:vitest',
+    //   timeout: 10 * 60 * 1000
+    // },
+    // {
+    //   id: 'playwright',
+    //   label: 'Testes E2E (Playwright)',
+    //   command: 'npx',
+    //   args: ['playwright', 'test'],
+    //   enabled: ['dependency:@playwright/test', '!ci'],
+    //   required: false,
+    //   dependsOn: ['build']
+    // },
+    // {
+    //   id: 'stylelint',
+    //   label: 'Verificação Stylelint',
+    //   command: 'npx',
+    //   args: ['stylelint', 'src/**/*.css'],
+    //   enabled: 'dependency:stylelint'
+    // },
+    // {
+    //   id: 'next-lint',
+    //   label: 'Next Lint',
+    //   command: 'npx',
+    //   args: ['next', 'lint'],
+    //   enabled: 'script:lint'
+    // },
+    // { id: 'prisma-migrate-status', timeout: 60 * 1000 },
+    // { id: 'audit', required: false }
+  ]
+};
@@ -1,8 +1,12 @@
 #!/usr/bin/env node
 
-const { spawn } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const { detectPackageManager } = require('./package-manager');
 
 /**
  * Script inteligente para executar múltiplos testes e registrar logs completos
@@ -11,6 +15,7 @@ const path = require('path');
  */
 
 // Função para criar nome do arquivo de log baseado na data/hora atual
+// Inclui segundos, milissegundos e um id aleatório para que execuções simultâneas não colidam
 function createLogFileName() {
   const now = new Date();
   const year = now.getFullYear();
@@ -18,144 +23,2701 @@ function createLogFileName() {
   const day = String(now.getDate()).padStart(2, '0');
   const hour = String(now.getHours()).padStart(2, '0');
   const minute = String(now.getMinutes()).padStart(2, '0');
+  const second = String(now.getSeconds()).padStart(2, '0');
+  const millisecond = String(now.getMilliseconds()).padStart(3, '0');
+  const runId = crypto.randomBytes(3).toString('hex');
   
-  return `log-${year}-${month}-${day}-${hour}-${minute}.log`;
+  return `log-${year}-${month}-${day}-${hour}-${minute}-${second}-${millisecond}-${runId}.log`;
+}
+
+// Prefixo e padrão dos arquivos de uma execução (log-<data>-<id>.log, .json, .md, .junit.xml, .sarif e versões .gz)
+const RUN_FILE_PATTERN = /^(log-\d{4}-\d{2}-\d{2}-\d{2}-\d{2}(?:-[\w-]+)?)\.(.+)$/;
+
+// Retenção usada pelo comando "prune" quando nada é configurado
+const DEFAULT_RETENTION = { maxRuns: 50 };
+
+// Função para agrupar os arquivos da pasta logs por execução (mais recente primeiro)
+function listLogRuns(logsDir) {
+  if (!fs.existsSync(logsDir)) return [];
+  
+  const runs = new Map();
+  
+  for (const file of fs.readdirSync(logsDir)) {
+    const match = file.match(RUN_FILE_PATTERN);
+    if (!match) continue;
+    
+    const filePath = path.join(logsDir, file);
+    const stats = fs.statSync(filePath);
+    if (!stats.isFile()) continue;
+    
+    if (!runs.has(match[1])) {
+      runs.set(match[1], { runId: match[1], files: [], size: 0, mtime: 0 });
+    }
+    
+    const run = runs.get(match[1]);
+    run.files.push(filePath);
+    run.size += stats.size;
+    run.mtime = Math.max(run.mtime, stats.mtimeMs);
+  }
+  
+  return [...runs.values()].sort((a, b) => b.mtime - a.mtime || b.runId.localeCompare(a.runId));
+}
+
+// Função para compactar um arquivo com gzip preservando a data de modificação
+function gzipLogFile(filePath) {
+  const stats = fs.statSync(filePath);
+  const gzPath = `${filePath}.gz`;
+  
+  fs.writeFileSync(gzPath, zlib.gzipSync(fs.readFileSync(filePath)));
+  fs.utimesSync(gzPath, stats.atime, stats.mtime);
+  fs.unlinkSync(filePath);
+  
+  return gzPath;
+}
+
+// Função para aplicar a política de retenção na pasta logs
+// Política: maxRuns (manter as N últimas execuções), maxAgeDays, maxTotalSizeMb e
+// gzipAfterRuns (compactar execuções além das N mais recentes). A execução mais recente nunca é removida.
+function applyLogRetention(logsDir, policy, { dryRun = false } = {}) {
+  const runs = listLogRuns(logsDir);
+  const now = Date.now();
+  const removed = [];
+  const kept = [];
+  
+  runs.forEach((run, index) => {
+    const ageDays = (now - run.mtime) / (24 * 60 * 60 * 1000);
+    const tooMany = policy.maxRuns !== undefined && index >= policy.maxRuns;
+    const tooOld = policy.maxAgeDays !== undefined && ageDays > policy.maxAgeDays;
+    
+    if (index > 0 && (tooMany || tooOld)) {
+      removed.push(run);
+    } else {
+      kept.push(run);
+    }
+  });
+  
+  // Tamanho total: remover as execuções mais antigas até caber no limite
+  if (policy.maxTotalSizeMb !== undefined) {
+    const maxBytes = policy.maxTotalSizeMb * 1024 * 1024;
+    let totalBytes = kept.reduce((total, run) => total + run.size, 0);
+    
+    while (totalBytes > maxBytes && kept.length > 1) {
+      const oldest = kept.pop();
+      totalBytes -= oldest.size;
+      removed.push(oldest);
+    }
+  }
+  
+  const compressed = policy.gzipAfterRuns !== undefined
+    ? kept.slice(policy.gzipAfterRuns).filter(run => run.files.some(file => !file.endsWith('.gz')))
+    : [];
+  
+  if (!dryRun) {
+    removed.forEach(run => run.files.forEach(file => fs.unlinkSync(file)));
+    compressed.forEach(run => run.files.filter(file => !file.endsWith('.gz')).forEach(gzipLogFile));
+  }
+  
+  return {
+    removed: removed.map(run => run.runId),
+    compressed: compressed.map(run => run.runId),
+    freedBytes: removed.reduce((total, run) => total + run.size, 0),
+    remaining: runs.length - removed.length
+  };
+}
+
+// Função para exibir o resultado da retenção
+function printRetentionSummary(summary, dryRun) {
+  const prefix = dryRun ? '🔎 [simulação] ' : '🧹 ';
+  console.log(`${prefix}Execuções removidas: ${summary.removed.length} (${(summary.freedBytes / 1024).toFixed(1)} KB)`);
+  summary.removed.forEach(runId => console.log(`   - ${runId}`));
+  console.log(`${prefix}Execuções compactadas (gzip): ${summary.compressed.length}`);
+  summary.compressed.forEach(runId => console.log(`   - ${runId}`));
+  console.log(`📁 Execuções mantidas: ${summary.remaining}`);
+}
+
+// Função do comando "prune": aplica a retenção (config.retention, opções da linha de comando ou padrão)
+function pruneLogs(argv) {
+  const config = loadBuildLoggerConfig(getOptionValue(argv, '--config', '-c'));
+  const numberOption = (name) => {
+    const value = getOptionValue(argv, name);
+    if (value === undefined) return undefined;
+    
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Valor inválido para ${name}: ${value}`);
+    }
+    return number;
+  };
+  
+  const cliPolicy = {
+    maxRuns: numberOption('--keep'),
+    maxAgeDays: numberOption('--max-age-days'),
+    maxTotalSizeMb: numberOption('--max-size-mb'),
+    gzipAfterRuns: numberOption('--gzip-after')
+  };
+  Object.keys(cliPolicy).forEach(key => cliPolicy[key] === undefined && delete cliPolicy[key]);
+  
+  const policy = Object.keys(cliPolicy).length > 0
+    ? cliPolicy
+    : config.retention || DEFAULT_RETENTION;
+  const dryRun = argv.includes('--dry-run');
+  
+  console.log(`🧹 Aplicando retenção de logs: ${JSON.stringify(policy)}`);
+  printRetentionSummary(applyLogRetention(path.join(process.cwd(), 'logs'), policy, { dryRun }), dryRun);
+}
+
+// Tempo de espera entre SIGTERM e SIGKILL ao encerrar uma verificação
+const KILL_GRACE_PERIOD_MS = 5000;
+
+// Processos em execução, para encerrar em timeout global ou Ctrl+C
+const activeProcesses = new Set();
+
+// Estado da execução: motivo do cancelamento ('timeout' ou 'interrupted')
+const runState = { abortReason: null };
+
+// Função para enviar um sinal a toda a árvore de processos de um filho
+// No POSIX o filho é líder do próprio grupo (detached), então -pid atinge os netos também
+function killProcessTree(child, signal) {
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // Processo já encerrado
+  }
+}
+
+// Função para cancelar a execução: novas verificações não iniciam e as atuais são encerradas
+function abortRun(reason) {
+  if (runState.abortReason) return;
+  runState.abortReason = reason;
+  activeProcesses.forEach(handle => handle.terminate(reason));
+}
+
+// Modos de saída no terminal durante a execução das verificações
+const OUTPUT_MODES = ['plain', 'stream', 'progress'];
+
+// Função para escolher o modo de saída padrão: progresso em terminais interativos, texto simples em CI
+function detectOutputMode() {
+  return process.stdout.isTTY && !process.env.CI ? 'progress' : 'plain';
+}
+
+// Função para formatar a linha final de uma verificação (✅/❌/⏰/⛔)
+function formatResultLine(description, result) {
+  if (result.cached) {
+    return `♻️  ${description} - Em cache, ${result.success ? 'sucesso' : `falhou (código: ${result.code})`} (entradas sem alteração)`;
+  }
+  if (result.skipped) {
+    return `⚠️  ${description} - Não disponível (${result.stderr})`;
+  }
+  if (result.success) {
+    return `✅ ${description} - Concluído (${formatSeconds(result.durationMs)})`;
+  }
+  if (result.timedOut) {
+    return `⏰ ${description} - Tempo limite excedido (${formatSeconds(result.durationMs)})`;
+  }
+  if (result.interrupted) {
+    return `⛔ ${description} - Interrompido`;
+  }
+  return `❌ ${description} - Falhou (código: ${result.code})`;
+}
+
+// Reporter simples: uma linha no início e outra no fim de cada verificação
+function createPlainReporter() {
+  return {
+    start(check) {
+      console.log(`⏳ ${check.label}...`);
+    },
+    output() {},
+    finish(check, result) {
+      console.log(formatResultLine(check.label, result));
+    },
+    stop() {}
+  };
+}
+
+// Reporter de streaming: repassa a saída ao vivo, linha a linha, com o id da verificação
+// Ex.: [tsc] src/app/page.tsx(3,7): error TS2322: ...
+function createStreamReporter(checks) {
+  const prefixWidth = Math.max(...checks.map(check => check.id.length)) + 2;
+  const pending = new Map();
+  
+  const prefix = (check) => `[${check.id}]`.padEnd(prefixWidth);
+  
+  // Guardar o pedaço de linha incompleto até chegar o "\n"
+  const flushLines = (check, streamName, text, final = false) => {
+    const key = `${check.id}:${streamName}`;
+    const lines = ((pending.get(key) || '') + text).split(/\r?\n/);
+    pending.set(key, final ? '' : lines.pop());
+    
+    lines.forEach(line => {
+      if (line.trim()) {
+        const write = streamName === 'stderr' ? console.error : console.log;
+        write(`${prefix(check)} ${line}`);
+      }
+    });
+  };
+  
+  return {
+    start(check) {
+      console.log(`${prefix(check)} ⏳ ${check.label}...`);
+    },
+    output(check, streamName, text) {
+      flushLines(check, streamName, text);
+    },
+    finish(check, result) {
+      flushLines(check, 'stdout', '', true);
+      flushLines(check, 'stderr', '', true);
+      console.log(`${prefix(check)} ${formatResultLine(check.label, result)}`);
+    },
+    stop() {}
+  };
+}
+
+// Reporter de progresso: spinner numa única linha com as verificações em andamento
+// As linhas de conclusão continuam sendo impressas para ficarem no histórico do terminal
+function createProgressReporter(checks) {
+  const frames = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+  const running = new Map();
+  let finished = 0;
+  let frame = 0;
+  let timer = null;
+  
+  const clearLine = () => process.stdout.write('\r\x1b[2K');
+  
+  const render = () => {
+    frame = (frame + 1) % frames.length;
+    const now = Date.now();
+    const active = [...running.entries()]
+      .map(([id, startedAt]) => `${id} ${Math.round((now - startedAt) / 1000)}s`)
+      .join(', ');
+    
+    let line = `${frames[frame]} ${finished}/${checks.length} concluídas${active ? ` | rodando: ${active}` : ''}`;
+    if (process.stdout.columns && line.length > process.stdout.columns - 1) {
+      line = `${line.slice(0, process.stdout.columns - 2)}…`;
+    }
+    
+    clearLine();
+    process.stdout.write(line);
+  };
+  
+  return {
+    start(check) {
+      running.set(check.id, Date.now());
+      if (!timer) {
+        timer = setInterval(render, 100);
+      }
+      render();
+    },
+    output() {},
+    finish(check, result) {
+      running.delete(check.id);
+      finished++;
+      clearLine();
+      console.log(formatResultLine(check.label, result));
+      render();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      clearLine();
+    }
+  };
+}
+
+// Função para criar o reporter do modo de saída escolhido
+function createReporter(mode, checks) {
+  if (mode === 'stream') return createStreamReporter(checks);
+  if (mode === 'progress') return createProgressReporter(checks);
+  return createPlainReporter();
+}
+
+// Função para tratar Ctrl+C: o primeiro encerra as verificações e gera relatório parcial,
+// o segundo sai imediatamente
+function handleInterrupt() {
+  if (runState.abortReason === 'interrupted') {
+    console.log('\n⛔ Saindo imediatamente sem relatório.');
+    activeProcesses.forEach(handle => killProcessTree(handle.child, 'SIGKILL'));
+    process.exit(EXIT_CODES.interrupted);
+  }
+  
+  console.log('\n⛔ Interrompendo verificações... o relatório parcial será gerado (Ctrl+C novamente para sair)');
+  abortRun('interrupted');
 }
 
 // Função para executar um comando e capturar resultado
-function runCommand(command, args, description) {
+// A saída é capturada por completo para o relatório e também repassada ao reporter
+function runCommand(command, args, description, { timeout, reporter = createPlainReporter(), check, cwd } = {}) {
+  // Identificação da verificação para o reporter (id usado como prefixo no modo stream)
+  const reporterCheck = check || { id: description, label: description };
+  
   return new Promise((resolve) => {
-    console.log(`⏳ ${description}...`);
+    reporter.start(reporterCheck);
     
-    const process = spawn(command, args, {
+    const startedAt = Date.now();
+    const child = spawn(command, args, {
+      cwd: cwd || process.cwd(),
       stdio: 'pipe',
-      shell: true
+      shell: true,
+      detached: process.platform !== 'win32'
     });
     
     let stdout = '';
     let stderr = '';
+    let terminationReason = null;
+    let killTimer = null;
+    
+    // Encerrar a árvore de processos: SIGTERM e, se não sair a tempo, SIGKILL
+    const handle = {
+      child,
+      terminate(reason) {
+        if (terminationReason) return;
+        terminationReason = reason;
+        killProcessTree(child, 'SIGTERM');
+        killTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_PERIOD_MS);
+      }
+    };
+    activeProcesses.add(handle);
+    
+    // Tempo limite opcional da verificação (em ms)
+    const timer = timeout ? setTimeout(() => handle.terminate('timeout'), timeout) : null;
+    
+    const cleanup = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      activeProcesses.delete(handle);
+    };
+    
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+      reporter.output(reporterCheck, 'stdout', data.toString());
+    });
+    
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+      reporter.output(reporterCheck, 'stderr', data.toString());
+    });
+    
+    child.on('close', (code, signal) => {
+      cleanup();
+      
+      const timedOut = terminationReason === 'timeout';
+      const interrupted = terminationReason === 'interrupted';
+      
+      const result = {
+        command: `${command} ${args.join(' ')}`,
+        description,
+        code,
+        signal: signal || null,
+        success: code === 0 && !terminationReason,
+        timedOut,
+        interrupted,
+        stdout: stdout.trim(),
+        stderr: stderr.trim(),
+        output: (stdout + stderr).trim(),
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        timestamp: new Date().toISOString()
+      };
+      
+      reporter.finish(reporterCheck, result);
+      resolve(result);
+    });
+    
+    child.on('error', (error) => {
+      cleanup();
+      const result = {
+        command: `${command} ${args.join(' ')}`,
+        description,
+        code: -1,
+        success: false,
+        stdout: '',
+        stderr: error.message,
+        output: error.message,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        timestamp: new Date().toISOString(),
+        skipped: true
+      };
+      
+      reporter.finish(reporterCheck, result);
+      resolve(result);
+    });
+  });
+}
+
+// Função para verificar se o Prisma está instalado (na raiz ou num pacote do workspace)
+function isPrismaInstalled(dir = process.cwd()) {
+  try {
+    const packageJsonPath = path.join(dir, 'package.json');
+    
+    if (!fs.existsSync(packageJsonPath)) {
+      return false;
+    }
+    
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    
+    // Verificar se Prisma está nas dependências ou devDependencies
+    const hasPrisma = (packageJson.dependencies && packageJson.dependencies.prisma) ||
+                     (packageJson.devDependencies && packageJson.devDependencies.prisma) ||
+                     (packageJson.dependencies && packageJson.dependencies['@prisma/client']) ||
+                     (packageJson.devDependencies && packageJson.devDependencies['@prisma/client']);
+    
+    return hasPrisma;
+  } catch (error) {
+    console.log('⚠️  Erro ao verificar package.json:', error.message);
+    return false;
+  }
+}
+
+// Função para verificar se existe schema do Prisma
+function hasPrismaSchema(dir = process.cwd()) {
+  return fs.existsSync(path.join(dir, 'prisma', 'schema.prisma'));
+}
+
+// Função para ler o package.json do projeto ou de um pacote do workspace (objeto vazio se não existir)
+function readPackageJson(dir = process.cwd()) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Pastas ignoradas ao procurar pacotes do workspace
+const WORKSPACE_IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.next', 'logs', 'dist', 'build', 'out', 'coverage']);
+
+// Profundidade máxima das pastas percorridas ao expandir os padrões dos workspaces
+const WORKSPACE_MAX_DEPTH = 5;
+
+// Verificações que, num monorepo, rodam uma vez na raiz (lockfile e node_modules são compartilhados)
+const DEFAULT_ROOT_CHECKS = ['audit', 'audit-offline', 'deps'];
+
+// Função para ler os padrões de workspaces do projeto
+// npm/yarn: "workspaces" do package.json (lista ou { packages }); pnpm: pnpm-workspace.yaml
+function readWorkspacePatterns(rootDir = process.cwd()) {
+  const packageJson = readPackageJson(rootDir);
+  const workspaces = Array.isArray(packageJson.workspaces)
+    ? packageJson.workspaces
+    : packageJson.workspaces && packageJson.workspaces.packages;
+  
+  if (Array.isArray(workspaces) && workspaces.length > 0) {
+    return { manager: detectPackageManager(rootDir).name, patterns: workspaces };
+  }
+  
+  const pnpmWorkspacePath = path.join(rootDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    // Só a lista "packages:" interessa; não é preciso um parser YAML completo
+    const patterns = [];
+    let inPackages = false;
+    
+    fs.readFileSync(pnpmWorkspacePath, 'utf8').split('\n').forEach(line => {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(line)) {
+        patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, '').trim());
+      } else if (inPackages && /^\S/.test(line)) {
+        inPackages = false;
+      }
+    });
+    
+    if (patterns.length > 0) return { manager: 'pnpm', patterns };
+  }
+  
+  return { manager: null, patterns: [] };
+}
+
+// Função para descobrir os pacotes do workspace (pastas com package.json que casam com os padrões)
+// Padrões com "!" excluem pastas
+function discoverWorkspaces(rootDir = process.cwd()) {
+  const { manager, patterns } = readWorkspacePatterns(rootDir);
+  if (patterns.length === 0) return [];
+  
+  const toRegExp = (pattern) => globToRegExp(pattern.replace(/^\.\//, '').replace(/\/+$/, ''));
+  const include = patterns.filter(pattern => !pattern.startsWith('!')).map(toRegExp);
+  const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => toRegExp(pattern.slice(1)));
+  const workspaces = [];
+  
+  const walk = (relativeDir, depth) => {
+    if (depth > WORKSPACE_MAX_DEPTH) return;
+    
+    fs.readdirSync(path.join(rootDir, relativeDir), { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !WORKSPACE_IGNORED_DIRECTORIES.has(entry.name))
+      .forEach(entry => {
+        const dir = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        const packageJsonPath = path.join(rootDir, dir, 'package.json');
+        
+        if (include.some(regex => regex.test(dir)) && !exclude.some(regex => regex.test(dir)) && fs.existsSync(packageJsonPath)) {
+          const packageJson = readPackageJson(path.join(rootDir, dir));
+          workspaces.push({ name: packageJson.name || dir, dir, path: path.join(rootDir, dir), packageJson, manager });
+        }
+        walk(dir, depth + 1);
+      });
+  };
+  walk('', 1);
+  
+  return workspaces.sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+// Função para resolver os pacotes do workspace desta execução
+// config.workspaces: false desativa; { include: [nomes ou pastas], rootChecks: [ids] }
+function resolveWorkspaces(config) {
+  if (config.workspaces === false || (config.workspaces && config.workspaces.enabled === false)) return [];
+  
+  const options = config.workspaces || {};
+  const workspaces = discoverWorkspaces();
+  if (!options.include || options.include.length === 0) return workspaces;
+  
+  const selected = workspaces.filter(workspace => options.include.includes(workspace.name) || options.include.includes(workspace.dir));
+  const unknown = options.include.filter(name => !workspaces.some(workspace => workspace.name === name || workspace.dir === name));
+  
+  if (unknown.length > 0) {
+    throw new Error(`Pacote(s) do workspace não encontrado(s): ${unknown.join(', ')}. Disponíveis: ${workspaces.map(workspace => workspace.name).join(', ') || 'nenhum'}`);
+  }
+  
+  return selected;
+}
+
+// Condições embutidas para ativar verificações.
+// Condições com parâmetro usam o formato "nome:valor" (ex.: "script:build:dev").
+const conditionRegistry = new Map();
+
+// Função para registrar uma condição que decide se uma verificação roda
+function registerCondition(name, evaluate) {
+  conditionRegistry.set(name, evaluate);
+}
+
+registerCondition('always', () => true);
+registerCondition('never', () => false);
+registerCondition('ci', () => Boolean(process.env.CI));
+registerCondition('prisma', (value, context) => Boolean(isPrismaInstalled(context.cwd) && hasPrismaSchema(context.cwd)));
+registerCondition('script', (name, context) => Boolean(context.packageJson.scripts && context.packageJson.scripts[name]));
+registerCondition('dependency', (name, context) => Boolean(
+  (context.packageJson.dependencies && context.packageJson.dependencies[name]) ||
+  (context.packageJson.devDependencies && context.packageJson.devDependencies[name])
+));
+registerCondition('file', (filePath, context) => fs.existsSync(path.join(context.cwd, filePath)));
+registerCondition('env', (variable) => Boolean(process.env[variable]));
+registerCondition('offline', (value, context) => Boolean(context.config.offline));
+
+// Função para avaliar a condição "enabled" de uma verificação
+// Aceita booleano, nome de condição (com "!" para negar), lista (todas precisam valer) ou função
+function evaluateCondition(condition, context) {
+  if (condition === undefined || condition === null) return true;
+  if (typeof condition === 'boolean') return condition;
+  if (typeof condition === 'function') return Boolean(condition(context));
+  if (Array.isArray(condition)) return condition.every(item => evaluateCondition(item, context));
+  
+  if (typeof condition !== 'string') {
+    throw new Error(`Condição inválida: ${JSON.stringify(condition)}`);
+  }
+  
+  if (condition.startsWith('!')) {
+    return !evaluateCondition(condition.slice(1), context);
+  }
+  
+  const separatorIndex = condition.indexOf(':');
+  const name = separatorIndex === -1 ? condition : condition.slice(0, separatorIndex);
+  const parameter = separatorIndex === -1 ? undefined : condition.slice(separatorIndex + 1);
+  
+  if (!conditionRegistry.has(name)) {
+    throw new Error(`Condição desconhecida: "${name}". Disponíveis: ${[...conditionRegistry.keys()].join(', ')}`);
+  }
+  
+  return Boolean(conditionRegistry.get(name)(parameter, context));
+}
+
+// Código-fonte lido pelo tsc e pelo ESLint em qualquer pasta do projeto (as pastas de
+// CACHE_IGNORED_DIRECTORIES, como node_modules e .next, ficam de fora do hash)
+const SOURCE_INPUTS = ['**/*.ts', '**/*.tsx', '**/*.js', '**/*.jsx', '**/*.mjs', '**/*.cjs', '**/*.mts', '**/*.cts'];
+
+// Snapshot local de alertas usado pela auditoria offline (--offline)
+const DEFAULT_ADVISORY_SNAPSHOT = 'audit-snapshot.json';
+
+// Função para montar as verificações embutidas com os comandos do gerenciador de pacotes detectado.
+// Podem ser sobrescritas ou desativadas pelo arquivo de configuração.
+function createBuiltinChecks(packageManager = detectPackageManager()) {
+  const exec = (...args) => ({ command: packageManager.exec[0], args: [...packageManager.exec.slice(1), ...args] });
+  const run = (script) => ({ command: packageManager.run[0], args: [...packageManager.run.slice(1), script] });
+  const audit = packageManager.audit('high');
+  const lockfile = packageManager.lockfile;
+  
+  return [
+    {
+      id: 'tsc',
+      label: 'Verificação TypeScript',
+      ...exec('tsc', '--noEmit', '--pretty', 'false'),
+      parser: 'tsc',
+      watch: ['src/**/*.ts', 'src/**/*.tsx', 'tsconfig.json'],
+      inputs: [...SOURCE_INPUTS, 'tsconfig*.json', lockfile],
+      tools: ['typescript']
+    },
+    {
+      id: 'eslint',
+      label: 'Verificação ESLint',
+      ...exec('eslint', '.', '--max-warnings', '0', '--format', 'json'),
+      parser: 'eslint-json',
+      watch: ['src/**', 'eslint.config.*', '.eslintrc*'],
+      inputs: [...SOURCE_INPUTS, 'eslint.config.*', '.eslintrc*', '.eslintignore', 'tsconfig*.json', 'package.json', lockfile],
+      tools: ['eslint']
+    },
+    {
+      id: 'prisma-generate',
+      label: 'Geração do Cliente Prisma',
+      ...exec('prisma', 'generate'),
+      enabled: 'prisma',
+      parser: 'prisma',
+      watch: ['prisma/schema.prisma']
+    },
+    {
+      id: 'prisma-migrate-status',
+      label: 'Status das Migrações Prisma',
+      ...exec('prisma', 'migrate', 'status'),
+      enabled: 'prisma',
+      parser: 'prisma',
+      watch: ['prisma/schema.prisma', 'prisma/migrations/**']
+    },
+    {
+      id: 'build',
+      label: 'Build do Next.js',
+      ...run('build:dev'),
+      enabled: 'script:build:dev',
+      dependsOn: ['prisma-generate'],
+      parser: 'next-build',
+      watch: ['next.config.*', 'package.json'],
+      inputs: ['src/**', 'public/**', 'prisma/schema.prisma', 'next.config.*', 'tsconfig.json', 'postcss.config.*', 'package.json', lockfile, '.env*'],
+      tools: ['next']
+    },
+    {
+      // Projetos onde o update-scripts.js ainda não criou o build:dev
+      id: 'next-build',
+      label: 'Build do Next.js',
+      ...exec('next', 'build'),
+      enabled: '!script:build:dev',
+      dependsOn: ['prisma-generate'],
+      parser: 'next-build',
+      watch: ['next.config.*', 'package.json'],
+      inputs: ['src/**', 'public/**', 'prisma/schema.prisma', 'next.config.*', 'tsconfig.json', 'postcss.config.*', 'package.json', lockfile, '.env*'],
+      tools: ['next']
+    },
+    {
+      id: 'audit',
+      label: 'Auditoria de Segurança',
+      command: audit[0],
+      args: audit.slice(1),
+      enabled: '!offline',
+      parser: 'npm-audit',
+      watch: ['package.json', lockfile],
+      inputs: [lockfile],
+      // Novos alertas de segurança surgem sem mudança no lockfile
+      cacheTtl: 24 * 60 * 60 * 1000
+    },
+    {
+      // Sem rede: compara o package-lock.json com o snapshot local de alertas (apenas npm)
+      id: 'audit-offline',
+      label: 'Auditoria de Segurança (offline)',
+      command: 'node',
+      args: [`"${__filename}"`, 'audit-offline', '--audit-level', 'high'],
+      enabled: 'offline',
+      parser: 'npm-audit',
+      watch: ['package.json', lockfile, DEFAULT_ADVISORY_SNAPSHOT],
+      inputs: [lockfile, DEFAULT_ADVISORY_SNAPSHOT]
+    },
+    {
+      id: 'deps',
+      label: 'Verificação de Dependências',
+      command: packageManager.list[0],
+      args: packageManager.list.slice(1),
+      parser: 'npm-ls',
+      watch: ['package.json', lockfile],
+      inputs: ['package.json', lockfile, packageManager.installState].filter(Boolean)
+    }
+  ];
+}
+
+// Nomes aceitos para o arquivo de configuração, em ordem de prioridade
+const CONFIG_FILE_NAMES = ['build-logger.config.js', 'build-logger.config.json'];
+
+// Função para carregar o arquivo de configuração (build-logger.config.js ou .json)
+function loadBuildLoggerConfig(configPath) {
+  const candidates = configPath
+    ? [path.resolve(process.cwd(), configPath)]
+    : CONFIG_FILE_NAMES.map(name => path.join(process.cwd(), name));
+  
+  const foundPath = candidates.find(candidate => fs.existsSync(candidate));
+  
+  if (!foundPath) {
+    if (configPath) {
+      throw new Error(`Arquivo de configuração não encontrado: ${configPath}`);
+    }
+    return { path: null, checks: [] };
+  }
+  
+  // Sem cache do require: no modo --watch a configuração é relida a cada ciclo
+  delete require.cache[foundPath];
+  const config = foundPath.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(foundPath, 'utf8'))
+    : require(foundPath);
+  
+  if (config.checks !== undefined && !Array.isArray(config.checks)) {
+    throw new Error(`"checks" deve ser uma lista em ${path.basename(foundPath)}`);
+  }
+  
+  return { ...config, checks: config.checks || [], path: foundPath };
+}
+
+// Função para aplicar à configuração as opções da linha de comando
+// (--offline, --package-manager, --workspace pacote1,pacote2 e --no-workspaces)
+function applyCliOverrides(config, options = {}) {
+  if (options.offline) {
+    config.offline = true;
+  }
+  if (options.packageManager) {
+    config.packageManager = options.packageManager;
+  }
+  if (options.workspaces === false) {
+    config.workspaces = false;
+  } else if (options.workspaceFilter) {
+    config.workspaces = { ...(config.workspaces || {}), include: options.workspaceFilter };
+  }
+  return config;
+}
+
+// Função para montar o registro de verificações (embutidas + configuração)
+// Entradas com o mesmo id de uma embutida sobrescrevem apenas os campos informados
+function buildCheckRegistry(config) {
+  const registry = new Map();
+  
+  if (config.useBuiltins !== false) {
+    createBuiltinChecks(detectPackageManager(process.cwd(), config.packageManager))
+      .forEach(check => registry.set(check.id, { ...check }));
+  }
+  
+  // Condições personalizadas (apenas em build-logger.config.js)
+  Object.entries(config.conditions || {}).forEach(([name, evaluate]) => {
+    if (typeof evaluate !== 'function') {
+      throw new Error(`Condição "${name}" deve ser uma função`);
+    }
+    registerCondition(name, evaluate);
+  });
+  
+  // Parsers de diagnósticos personalizados: (resultado) => [{ tool, severity, file, line, column, code, message }]
+  Object.entries(config.parsers || {}).forEach(([name, parse]) => {
+    if (typeof parse !== 'function') {
+      throw new Error(`Parser "${name}" deve ser uma função`);
+    }
+    registerDiagnosticParser(name, parse);
+  });
+  
+  for (const entry of config.checks) {
+    if (!entry || !entry.id) {
+      throw new Error(`Verificação sem "id" na configuração: ${JSON.stringify(entry)}`);
+    }
+    
+    const merged = { ...(registry.get(entry.id) || {}), ...entry };
+    
+    if (!merged.command) {
+      throw new Error(`Verificação "${entry.id}" sem "command"`);
+    }
+    
+    registry.set(entry.id, merged);
+  }
+  
+  return registry;
+}
+
+// Arquivos que ficam na raiz mesmo num monorepo (entradas do cache não prefixadas com a pasta do pacote)
+const SHARED_INPUT_PATTERN = /^(package-lock\.json|pnpm-lock\.yaml|yarn\.lock|bun\.lockb|node_modules\/)/;
+
+// Função para resolver quais verificações rodam nesta execução
+// Num monorepo cada verificação roda em cada pacote do workspace (id "pacote:verificação"),
+// exceto as de rootChecks, que rodam uma vez na raiz
+function resolveChecks(config) {
+  const defaultTimeout = config.defaultTimeout;
+  const registry = buildCheckRegistry(config);
+  const workspaces = resolveWorkspaces(config);
+  const rootChecks = (config.workspaces && config.workspaces.rootChecks) || DEFAULT_ROOT_CHECKS;
+  
+  const checks = [];
+  const disabledChecks = [];
+  
+  for (const check of registry.values()) {
+    const parser = check.parser || 'auto';
+    if (!diagnosticParsers.has(parser)) {
+      throw new Error(`Parser desconhecido na verificação "${check.id}": "${parser}". Disponíveis: ${[...diagnosticParsers.keys()].join(', ')}`);
+    }
+    
+    const targets = workspaces.length > 0 && !rootChecks.includes(check.id) ? workspaces : [null];
+    
+    for (const workspace of targets) {
+      const prefix = (value) => workspace && !SHARED_INPUT_PATTERN.test(value) ? `${workspace.dir}/${value}` : value;
+      const context = workspace
+        ? { packageJson: workspace.packageJson, cwd: workspace.path, config, workspace }
+        : { packageJson: readPackageJson(), cwd: process.cwd(), config, workspace: null };
+      
+      const normalized = {
+        id: workspace ? `${workspace.name}:${check.id}` : check.id,
+        checkId: check.id,
+        workspace: workspace ? workspace.name : null,
+        cwd: workspace ? workspace.path : null,
+        label: workspace ? `${check.label || check.id} [${workspace.name}]` : check.label || check.id,
+        command: check.command,
+        args: check.args || [],
+        timeout: check.timeout !== undefined ? check.timeout : defaultTimeout,
+        required: check.required !== false,
+        dependsOn: (check.dependsOn || []).map(dep => workspace && !rootChecks.includes(dep) ? `${workspace.name}:${dep}` : dep),
+        watch: workspace ? (check.watch || DEFAULT_WATCH_PATTERNS).map(prefix) : check.watch || null,
+        inputs: (check.inputs || []).map(prefix),
+        tools: check.tools || [],
+        cacheTtl: check.cacheTtl,
+        parser
+      };
+      
+      if (evaluateCondition(check.enabled, context)) {
+        checks.push(normalized);
+      } else {
+        disabledChecks.push({ ...normalized, condition: check.enabled });
+      }
+    }
+  }
+  
+  return { checks, disabledChecks, workspaces };
+}
+
+// Função para normalizar a mensagem de um diagnóstico para o fingerprint
+// Remove caminhos absolutos, posições (linha/coluna) e espaços repetidos
+function normalizeDiagnosticMessage(message) {
+  return String(message || '')
+    .split(process.cwd() + path.sep).join('')
+    .replace(/\(\d+,\d+\)/g, '')
+    .replace(/:\d+:\d+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Função para gerar o fingerprint de um diagnóstico
+// (id da verificação + arquivo + regra/código TS + mensagem normalizada)
+function fingerprintDiagnostic(checkId, diagnostic) {
+  const key = [
+    checkId || '',
+    diagnostic.file || '',
+    diagnostic.code || '',
+    normalizeDiagnosticMessage(diagnostic.message)
+  ].join('|');
+  
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// Função para converter um caminho da saída das ferramentas em caminho relativo ao projeto
+// baseDir: pasta onde a ferramenta rodou (pacote do workspace)
+function toProjectPath(filePath, baseDir = process.cwd()) {
+  const relative = path.relative(process.cwd(), path.resolve(baseDir, filePath.trim()));
+  return relative.split(path.sep).join('/');
+}
+
+// Parsers de diagnósticos por formato de saída (campo "parser" da verificação)
+// Cada parser recebe o resultado (e o contexto da execução, com o gerenciador de pacotes)
+// e devolve diagnósticos no modelo comum:
+// { tool, severity, file, line, column, code, message }
+const diagnosticParsers = new Map();
+
+// Verificações com saída em JSON: o log em texto mostra os diagnósticos em vez da saída bruta
+const JSON_OUTPUT_PARSERS = new Set(['eslint-json', 'npm-audit', 'npm-ls']);
+
+// Função para registrar um parser de diagnósticos
+function registerDiagnosticParser(name, parse) {
+  diagnosticParsers.set(name, parse);
+}
+
+// Função para montar um diagnóstico no modelo comum
+// O caminho do arquivo é convertido para relativo ao projeto em parseDiagnostics
+function createDiagnostic(tool, { severity = 'error', file = null, line = null, column = null, code = null, message }) {
+  return {
+    tool,
+    severity,
+    file: file || null,
+    line: line ? parseInt(line) : null,
+    column: column ? parseInt(column) : null,
+    code,
+    message: String(message || '').trim()
+  };
+}
+
+// Função para extrair o JSON da saída de uma ferramenta (ignorando avisos antes dele)
+function parseJsonOutput(text, opening) {
+  const start = String(text || '').search(new RegExp(`^\\${opening}`, 'm'));
+  if (start === -1) return null;
+  
+  try {
+    return JSON.parse(text.slice(start));
+  } catch (error) {
+    return null;
+  }
+}
+
+// TypeScript (--pretty false): src/app/page.tsx(3,7): error TS2322: Type 'number' is not assignable...
+function parseTscLine(line) {
+  const match = line.match(/^(.+?)\((\d+),(\d+)\):\s*(error|warning)\s*TS(\d+):\s*(.+)$/);
+  if (!match) return null;
+  
+  return createDiagnostic('tsc', {
+    severity: match[4],
+    file: match[1],
+    line: match[2],
+    column: match[3],
+    code: `TS${match[5]}`,
+    message: match[6]
+  });
+}
+
+registerDiagnosticParser('tsc', (result) => {
+  return (result.output || '').split('\n').map(parseTscLine).filter(Boolean);
+});
+
+// ESLint (--format json): lista de arquivos com as mensagens de cada um
+registerDiagnosticParser('eslint-json', (result) => {
+  const files = parseJsonOutput(result.stdout, '[');
+  if (!Array.isArray(files)) return [];
+  
+  return files.flatMap(file => (file.messages || []).map(message => createDiagnostic('eslint', {
+    severity: message.severity === 2 ? 'error' : 'warning',
+    file: file.filePath,
+    line: message.line,
+    column: message.column,
+    code: message.ruleId || null,
+    message: message.message
+  })));
+});
+
+// Formato padrão: TypeScript sem pretty e ESLint stylish
+// (linha com o arquivo seguida de "  3:7  error  Mensagem  regra")
+registerDiagnosticParser('auto', (result) => {
+  const diagnostics = [];
+  let currentFile = null;
+  
+  for (const line of (result.output || '').split('\n')) {
+    const tsDiagnostic = parseTscLine(line);
+    if (tsDiagnostic) {
+      diagnostics.push(tsDiagnostic);
+      continue;
+    }
+    
+    const eslintMatch = line.match(/^\s+(\d+):(\d+)\s+(error|warning)\s+(.+?)(?:\s{2,}(\S+))?\s*$/);
+    if (eslintMatch && currentFile) {
+      diagnostics.push(createDiagnostic('eslint', {
+        severity: eslintMatch[3],
+        file: currentFile,
+        line: eslintMatch[1],
+        column: eslintMatch[2],
+        code: eslintMatch[5] || null,
+        message: eslintMatch[4]
+      }));
+      continue;
+    }
+    
+    if (/^(\/|[A-Za-z]:\\|\.\/)\S+\.\w+$/.test(line.trim())) {
+      currentFile = line.trim();
+    }
+  }
+  
+  return diagnostics;
+});
+
+// Next.js build: localização ("./src/app/page.tsx:3:7") seguida do erro
+// (Type error, Module not found, lint do build) e falhas de pré-renderização
+registerDiagnosticParser('next-build', (result) => {
+  const diagnostics = [];
+  let location = null;
+  
+  for (const rawLine of (result.output || '').split('\n')) {
+    const line = rawLine.trim();
+    
+    const locationMatch = line.match(/^(\.\/\S+?)(?::(\d+):(\d+))?$/);
+    if (locationMatch) {
+      location = { file: locationMatch[1], line: locationMatch[2], column: locationMatch[3] };
+      continue;
+    }
+    
+    const lintMatch = line.match(/^(\d+):(\d+)\s+(Error|Warning):\s+(.+?)(?:\s{2,}(\S+))?$/);
+    if (lintMatch && location) {
+      diagnostics.push(createDiagnostic('next', {
+        severity: lintMatch[3].toLowerCase(),
+        file: location.file,
+        line: lintMatch[1],
+        column: lintMatch[2],
+        code: lintMatch[5] || null,
+        message: lintMatch[4]
+      }));
+      continue;
+    }
+    
+    const errorMatch = line.match(/^(Type error|Module not found|Syntax error|Error):\s*(.+)$/);
+    if (errorMatch && location) {
+      const codes = { 'Type error': 'type-error', 'Module not found': 'module-not-found', 'Syntax error': 'syntax-error' };
+      diagnostics.push(createDiagnostic('next', {
+        ...location,
+        code: codes[errorMatch[1]] || 'compile-error',
+        message: errorMatch[2]
+      }));
+      location = null;
+      continue;
+    }
+    
+    const prerenderMatch = line.match(/^Error occurred prerendering page "(.+?)"/);
+    if (prerenderMatch) {
+      diagnostics.push(createDiagnostic('next', {
+        code: 'prerender-error',
+        message: `Erro ao pré-renderizar a página ${prerenderMatch[1]}`
+      }));
+    }
+  }
+  
+  return diagnostics;
+});
+
+// Prisma: erros de validação do schema ("error: ..." + "-->  prisma/schema.prisma:12"),
+// erros com código (P1001, P1012...) e migrações pendentes ou com drift
+registerDiagnosticParser('prisma', (result) => {
+  const diagnostics = [];
+  const output = result.output || '';
+  const lines = output.split('\n');
+  const errorCode = (output.match(/\b(P\d{4})\b/) || [])[1] || null;
+  
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    
+    const schemaMatch = line.match(/^error:\s*(.+)$/);
+    if (schemaMatch) {
+      const locationLine = lines.slice(index + 1, index + 4).find(next => /-->\s+\S+:\d+/.test(next));
+      const location = locationLine ? locationLine.match(/-->\s+(\S+?):(\d+)/) : null;
+      diagnostics.push(createDiagnostic('prisma', {
+        file: location ? location[1] : null,
+        line: location ? location[2] : null,
+        code: errorCode,
+        message: schemaMatch[1]
+      }));
+      return;
+    }
+    
+    const codedMatch = line.match(/^Error:\s*(P\d{4}):?\s*(.+)$/);
+    if (codedMatch) {
+      diagnostics.push(createDiagnostic('prisma', { code: codedMatch[1], message: codedMatch[2] }));
+    }
+  });
+  
+  if (/have not yet been applied/i.test(output)) {
+    const pending = lines.map(line => line.trim()).filter(line => /^\d{14}_\w+$/.test(line));
+    diagnostics.push(createDiagnostic('prisma', {
+      file: 'prisma/migrations',
+      code: 'pending-migrations',
+      message: `Migrações pendentes: ${pending.join(', ') || 'ver saída do prisma migrate status'}`
+    }));
+  }
+  
+  if (/drift detected/i.test(output)) {
+    diagnostics.push(createDiagnostic('prisma', {
+      file: 'prisma/schema.prisma',
+      code: 'migration-drift',
+      message: 'O banco de dados diverge do histórico de migrações (drift)'
+    }));
+  }
+  
+  return diagnostics;
+});
+
+// Função para converter um alerta no formato antigo (npm 6, pnpm, yarn 1) na vulnerabilidade do npm 7+
+function advisoryToVulnerability(advisory) {
+  const paths = (advisory.findings || []).flatMap(finding => finding.paths || [])
+    .map(dependencyPath => `node_modules/${dependencyPath.split('>').join('/node_modules/')}`);
+  
+  return {
+    name: advisory.module_name,
+    severity: advisory.severity,
+    via: [{
+      source: advisory.id,
+      name: advisory.module_name,
+      title: advisory.title,
+      url: advisory.url,
+      severity: advisory.severity,
+      range: advisory.vulnerable_versions
+    }],
+    range: advisory.vulnerable_versions,
+    nodes: [...new Set(paths)],
+    fixAvailable: advisory.patched_versions ? advisory.patched_versions !== '<0.0.0' : null
+  };
+}
+
+// Função para ler o relatório JSON de auditoria de qualquer gerenciador no formato do npm 7+
+// ({ vulnerabilities: { nome: { severity, via, range, nodes, fixAvailable } } })
+// Aceita npm 7+, npm 6/pnpm ({ advisories }), yarn 1 (linhas "auditAdvisory"),
+// yarn 2+ (linhas { value, children }) e bun/snapshot ({ pacote: [alertas] })
+function parseAuditReport(text) {
+  const report = parseJsonOutput(text, '{');
+  
+  if (report && report.vulnerabilities) return report;
+  
+  if (report && report.advisories) {
+    const vulnerabilities = {};
+    Object.values(report.advisories).forEach(advisory => {
+      const vulnerability = advisoryToVulnerability(advisory);
+      const existing = vulnerabilities[vulnerability.name];
+      if (existing) {
+        existing.via.push(...vulnerability.via);
+        existing.nodes = [...new Set([...existing.nodes, ...vulnerability.nodes])];
+        if (AUDIT_SEVERITIES.indexOf(vulnerability.severity) > AUDIT_SEVERITIES.indexOf(existing.severity)) {
+          existing.severity = vulnerability.severity;
+        }
+      } else {
+        vulnerabilities[vulnerability.name] = vulnerability;
+      }
+    });
+    return { vulnerabilities };
+  }
+  
+  // Saídas com um objeto JSON por linha (yarn)
+  const lines = String(text || '').split('\n').map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  }).filter(Boolean);
+  
+  const yarnAdvisories = lines.filter(line => line.type === 'auditAdvisory').map(line => line.data.advisory);
+  if (yarnAdvisories.length > 0 || lines.some(line => line.type === 'auditSummary')) {
+    return parseAuditReport(JSON.stringify({ advisories: yarnAdvisories }));
+  }
+  
+  const berryEntries = lines.filter(line => line.value && line.children);
+  if (berryEntries.length > 0) {
+    return parseAuditReport(JSON.stringify({
+      advisories: berryEntries.map(entry => ({
+        id: entry.children.ID,
+        module_name: entry.value,
+        title: entry.children.Issue,
+        url: entry.children.URL,
+        severity: entry.children.Severity,
+        vulnerable_versions: entry.children['Vulnerable Versions'],
+        findings: []
+      }))
+    }));
+  }
+  
+  // bun audit --json e snapshot offline: { pacote: [{ id, url, title, severity, vulnerable_versions }] }
+  if (report && Object.values(report).every(Array.isArray)) {
+    return parseAuditReport(JSON.stringify({
+      advisories: Object.entries(report).flatMap(([name, advisories]) =>
+        advisories.map(advisory => ({ ...advisory, module_name: name, findings: [] })))
+    }));
+  }
+  
+  return null;
+}
+
+// Gerenciadores cujo "ls --json" segue a árvore do npm ls; a saída do yarn e do bun não é lida
+const DEPENDENCY_TREE_MANAGERS = ['npm', 'pnpm'];
+
+// Função para ler a árvore JSON de dependências (npm ls; pnpm ls devolve uma lista de projetos)
+function parseDependencyTree(text) {
+  const tree = parseJsonOutput(text, '{') || parseJsonOutput(text, '[');
+  return Array.isArray(tree) ? tree[0] || null : tree;
+}
+
+// npm audit (--json): uma entrada por pacote vulnerável
+// Alta/crítica contam como erro; moderada/baixa como aviso
+registerDiagnosticParser('npm-audit', (result, { packageManager = detectPackageManager() } = {}) => {
+  const report = parseAuditReport(result.stdout);
+  if (!report || !report.vulnerabilities) return [];
+  
+  const file = fs.existsSync(packageManager.lockfile) ? packageManager.lockfile : 'package.json';
+  
+  return Object.values(report.vulnerabilities).map(vulnerability => {
+    const advisory = (vulnerability.via || []).find(via => typeof via === 'object');
+    const via = (vulnerability.via || []).filter(item => typeof item === 'string');
+    
+    return createDiagnostic('npm-audit', {
+      severity: ['critical', 'high'].includes(vulnerability.severity) ? 'error' : 'warning',
+      file,
+      code: advisory && advisory.url ? advisory.url.split('/').pop() : vulnerability.name,
+      message: `${vulnerability.name} (${vulnerability.severity}): ${advisory ? advisory.title : `vulnerável via ${via.join(', ')}`}`
+    });
+  });
+});
+
+// npm ls (--json): pacotes ausentes, extras (extraneous) e com versão inválida
+registerDiagnosticParser('npm-ls', (result, { packageManager = detectPackageManager() } = {}) => {
+  if (!DEPENDENCY_TREE_MANAGERS.includes(packageManager.name)) return [];
+  
+  const tree = parseDependencyTree(result.stdout);
+  if (!tree) return [];
+  
+  return summarizeDependencyTree(tree).problems.map(problem => createDiagnostic('npm-ls', {
+    severity: 'error',
+    file: 'package.json',
+    code: problem.type,
+    message: problem.message
+  }));
+});
+
+// Severidades do npm audit, da menor para a maior
+const AUDIT_SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+
+// Função para comparar duas versões semver (pré-releases vêm antes da versão final)
+function compareVersions(a, b) {
+  const parse = (version) => {
+    const [core, prerelease] = String(version).replace(/^v/, '').split('-');
+    const parts = core.split('.').map(part => parseInt(part) || 0);
+    return { parts: [parts[0] || 0, parts[1] || 0, parts[2] || 0], prerelease: prerelease || null };
+  };
+  
+  const left = parse(a);
+  const right = parse(b);
+  
+  for (let i = 0; i < 3; i++) {
+    if (left.parts[i] !== right.parts[i]) return left.parts[i] - right.parts[i];
+  }
+  if (left.prerelease === right.prerelease) return 0;
+  if (!left.prerelease) return 1;
+  if (!right.prerelease) return -1;
+  return left.prerelease < right.prerelease ? -1 : 1;
+}
+
+// Função para verificar se uma versão está num intervalo dos alertas ("<1.2.3 || >=2.0.0 <2.1.1", "1.0.0 - 1.2.0", "*")
+function satisfiesRange(version, range) {
+  return String(range).split('||').some(part => {
+    const comparators = part.trim()
+      .replace(/(\S+)\s+-\s+(\S+)/, '>=$1 <=$2')
+      .split(/\s+/)
+      .filter(Boolean);
+    
+    return comparators.every(comparator => {
+      if (comparator === '*' || comparator === 'x') return true;
+      
+      const match = comparator.match(/^(<=|>=|<|>|=)?v?(\d+(?:\.\d+){0,2}(?:-[\w.]+)?)$/);
+      if (!match) return false;
+      
+      const difference = compareVersions(version, match[2]);
+      switch (match[1]) {
+        case '<': return difference < 0;
+        case '<=': return difference <= 0;
+        case '>': return difference > 0;
+        case '>=': return difference >= 0;
+        default: return difference === 0;
+      }
+    });
+  });
+}
+
+// Função para listar os pacotes instalados segundo o lockfile do npm (nome, versão e caminho)
+// Retorna null com outros gerenciadores: pnpm-lock.yaml, yarn.lock e bun.lock não são lidos
+function readLockfilePackages(packageManager) {
+  if (packageManager.name !== 'npm') return null;
+  
+  const lockPath = path.join(process.cwd(), packageManager.lockfile);
+  if (!fs.existsSync(lockPath)) return [];
+  
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  
+  // lockfileVersion 2 e 3: mapa "node_modules/a/node_modules/b" => { version }
+  if (lock.packages) {
+    return Object.entries(lock.packages)
+      .filter(([packagePath, info]) => packagePath && info.version && !info.link)
+      .map(([packagePath, info]) => ({
+        name: info.name || packagePath.slice(packagePath.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: info.version,
+        path: packagePath
+      }));
+  }
+  
+  // lockfileVersion 1: árvore "dependencies" aninhada
+  const packages = [];
+  const walk = (dependencies, parentPath) => {
+    Object.entries(dependencies || {}).forEach(([name, info]) => {
+      const packagePath = `${parentPath}node_modules/${name}`;
+      packages.push({ name, version: info.version, path: packagePath });
+      walk(info.dependencies, `${packagePath}/`);
+    });
+  };
+  walk(lock.dependencies, '');
+  return packages;
+}
+
+// Função para encontrar pacotes instalados em mais de uma versão
+function findDuplicateVersions(packages) {
+  const versionsByName = new Map();
+  
+  packages.forEach(pkg => {
+    if (!versionsByName.has(pkg.name)) versionsByName.set(pkg.name, new Set());
+    versionsByName.get(pkg.name).add(pkg.version);
+  });
+  
+  return [...versionsByName.entries()]
+    .filter(([, versions]) => versions.size > 1)
+    .map(([name, versions]) => ({ name, versions: [...versions].sort(compareVersions) }))
+    .sort((a, b) => b.versions.length - a.versions.length || a.name.localeCompare(b.name));
+}
+
+// Função para descrever a correção disponível de uma vulnerabilidade do npm audit
+function describeFixAvailable(fixAvailable) {
+  if (fixAvailable === true) return 'npm audit fix';
+  if (fixAvailable && typeof fixAvailable === 'object') {
+    return `${fixAvailable.name}@${fixAvailable.version}${fixAvailable.isSemVerMajor ? ' (major)' : ''}`;
+  }
+  if (fixAvailable === false) return null;
+  return 'desconhecida';
+}
+
+// Função para resumir o relatório JSON do npm audit (vulnerabilidades por severidade, pacote, caminho e correção)
+function summarizeAuditReport(report) {
+  const vulnerabilities = Object.values(report.vulnerabilities || {}).map(vulnerability => {
+    const advisories = (vulnerability.via || []).filter(via => typeof via === 'object');
+    
+    return {
+      name: vulnerability.name,
+      severity: vulnerability.severity,
+      isDirect: Boolean(vulnerability.isDirect),
+      title: advisories.map(advisory => advisory.title).join('; ') ||
+        `vulnerável via ${(vulnerability.via || []).filter(via => typeof via === 'string').join(', ')}`,
+      urls: advisories.map(advisory => advisory.url).filter(Boolean),
+      range: vulnerability.range || null,
+      paths: vulnerability.nodes || [],
+      fix: describeFixAvailable(vulnerability.fixAvailable)
+    };
+  }).sort((a, b) => AUDIT_SEVERITIES.indexOf(b.severity) - AUDIT_SEVERITIES.indexOf(a.severity));
+  
+  const bySeverity = Object.fromEntries(AUDIT_SEVERITIES.map(severity => [
+    severity,
+    vulnerabilities.filter(vulnerability => vulnerability.severity === severity).length
+  ]));
+  
+  return {
+    offline: Boolean(report.offline),
+    snapshotGeneratedAt: report.snapshot ? report.snapshot.generatedAt : null,
+    unaudited: report.snapshot ? report.snapshot.unaudited : [],
+    bySeverity,
+    vulnerabilities
+  };
+}
+
+// Função para resumir a árvore JSON do npm ls (ausentes, extras e inválidos)
+function summarizeDependencyTree(tree) {
+  const missing = [];
+  const extraneous = [];
+  const invalid = [];
+  
+  Object.entries(tree.dependencies || {}).forEach(([name, info]) => {
+    if (info.missing) {
+      missing.push({ name, required: info.required || null });
+    } else if (info.extraneous) {
+      extraneous.push({ name, version: info.version || null });
+    } else if (info.invalid) {
+      invalid.push({ name, version: info.version || null, required: typeof info.invalid === 'string' ? info.invalid : null });
+    }
+  });
+  
+  const problems = [
+    ...missing.map(pkg => ({ type: 'missing', message: `Pacote ausente: ${pkg.name}${pkg.required ? `@${pkg.required}` : ''}` })),
+    ...extraneous.map(pkg => ({ type: 'extraneous', message: `Pacote extra (não declarado): ${pkg.name}@${pkg.version}` })),
+    ...invalid.map(pkg => ({ type: 'invalid', message: `Versão inválida: ${pkg.name}@${pkg.version}${pkg.required ? ` (${pkg.required})` : ''}` }))
+  ];
+  
+  return { missing, extraneous, invalid, problems };
+}
+
+// Função para montar a saúde das dependências a partir das saídas JSON do npm audit e npm ls
+// Versões duplicadas vêm do package-lock.json (só com npm) e a árvore só é lida com npm e pnpm;
+// retorna null quando nenhuma das verificações rodou
+function buildDependencyHealth(testResults, packageManager) {
+  const auditResult = testResults.find(result => result.parser === 'npm-audit' && hasCompleted(result));
+  const depsResult = testResults.find(result => result.parser === 'npm-ls' && hasCompleted(result));
+  
+  if (!auditResult && !depsResult) return null;
+  
+  const auditReport = auditResult ? parseAuditReport(auditResult.stdout) : null;
+  const treeChecked = DEPENDENCY_TREE_MANAGERS.includes(packageManager.name);
+  const tree = depsResult && treeChecked ? parseDependencyTree(depsResult.stdout) : null;
+  
+  let duplicates = [];
+  let duplicatesChecked = false;
+  try {
+    const packages = readLockfilePackages(packageManager);
+    if (packages) {
+      duplicates = findDuplicateVersions(packages);
+      duplicatesChecked = true;
+    }
+  } catch (error) {
+    console.log(`⚠️  Não foi possível ler o ${packageManager.lockfile} (${error.message})`);
+  }
+  
+  const dependencyTree = tree ? summarizeDependencyTree(tree) : null;
+  
+  return {
+    audit: auditReport ? summarizeAuditReport(auditReport) : null,
+    missing: dependencyTree ? dependencyTree.missing : [],
+    extraneous: dependencyTree ? dependencyTree.extraneous : [],
+    invalid: dependencyTree ? dependencyTree.invalid : [],
+    treeChecked: depsResult ? treeChecked : null,
+    duplicates,
+    duplicatesChecked
+  };
+}
+
+// Função para montar a seção de saúde das dependências do log
+function formatDependencyHealthSection(health) {
+  const limit = 20;
+  let section = `📦 SAÚDE DAS DEPENDÊNCIAS\n`;
+  section += `${'-'.repeat(30)}\n`;
+  
+  if (health.audit) {
+    const counts = [...AUDIT_SEVERITIES].reverse()
+      .filter(severity => severity !== 'info')
+      .map(severity => `${health.audit.bySeverity[severity]} ${severity}`)
+      .join(', ');
+    section += `Vulnerabilidades${health.audit.offline ? ' (snapshot offline)' : ''}: ${counts}\n`;
+    if (health.audit.offline) {
+      section += `  O snapshot${health.audit.snapshotGeneratedAt ? ` de ${health.audit.snapshotGeneratedAt}` : ''} só conhece os alertas dos pacotes vulneráveis quando foi gerado: alertas publicados depois não aparecem\n`;
+    }
+    if (health.audit.unaudited && health.audit.unaudited.length > 0) {
+      section += `  Não auditados (versão fora do snapshot): ${health.audit.unaudited.slice(0, limit).join(', ')}${health.audit.unaudited.length > limit ? ', ...' : ''}\n`;
+    }
+    
+    health.audit.vulnerabilities.slice(0, limit).forEach(vulnerability => {
+      section += `  - [${vulnerability.severity}] ${vulnerability.name}${vulnerability.range ? ` ${vulnerability.range}` : ''}: ${vulnerability.title}\n`;
+      if (vulnerability.paths.length > 0) {
+        section += `      caminho: ${vulnerability.paths.slice(0, 3).join(', ')}${vulnerability.paths.length > 3 ? ', ...' : ''}\n`;
+      }
+      section += `      correção: ${vulnerability.fix || 'nenhuma disponível'}\n`;
+    });
+    if (health.audit.vulnerabilities.length > limit) {
+      section += `  ... e mais ${health.audit.vulnerabilities.length - limit}\n`;
+    }
+  }
+  
+  const list = (title, items, format) => {
+    if (items.length === 0) return '';
+    return `${title}: ${items.length}\n${items.slice(0, limit).map(item => `  - ${format(item)}\n`).join('')}`;
+  };
+  
+  section += list('Pacotes ausentes', health.missing, pkg => `${pkg.name}${pkg.required ? `@${pkg.required}` : ''}`);
+  section += list('Pacotes extras (extraneous)', health.extraneous, pkg => `${pkg.name}@${pkg.version}`);
+  section += list('Versões inválidas', health.invalid, pkg => `${pkg.name}@${pkg.version}${pkg.required ? ` (${pkg.required})` : ''}`);
+  section += list('Pacotes com versões duplicadas', health.duplicates, pkg => `${pkg.name}: ${pkg.versions.join(', ')}`);
+  if (health.treeChecked === false) {
+    section += `Pacotes ausentes, extras e inválidos: não suportado (só a árvore do npm ls e do pnpm ls é lida)\n`;
+  }
+  if (health.duplicatesChecked === false) {
+    section += `Versões duplicadas: não verificadas (só o package-lock.json do npm é lido)\n`;
+  }
+  
+  return `${section}\n`;
+}
+
+// Função para mostrar o resumo da saúde das dependências no console
+function printDependencyHealthSummary(health) {
+  if (health.audit) {
+    const { bySeverity } = health.audit;
+    console.log(`🛡️  Vulnerabilidades${health.audit.offline ? ' (offline)' : ''}: ${bySeverity.critical} crítica(s), ${bySeverity.high} alta(s), ${bySeverity.moderate} moderada(s), ${bySeverity.low} baixa(s)`);
+  }
+  
+  const problems = [
+    health.missing.length > 0 ? `${health.missing.length} ausente(s)` : null,
+    health.extraneous.length > 0 ? `${health.extraneous.length} extra(s)` : null,
+    health.invalid.length > 0 ? `${health.invalid.length} inválido(s)` : null,
+    health.duplicates.length > 0 ? `${health.duplicates.length} com versões duplicadas` : null
+  ].filter(Boolean);
+  
+  if (problems.length > 0) {
+    console.log(`📦 Dependências: ${problems.join(', ')}`);
+  }
+}
+
+// Função para carregar o snapshot local de alertas
+// { generatedAt, advisories: { "pacote": [{ id, url, title, severity, vulnerable_versions }] }, packages: { "pacote": [versões] } }
+// Snapshots antigos (só o mapa de alertas) não têm generatedAt nem a lista de pacotes auditados
+function loadAdvisorySnapshot(snapshotPath) {
+  if (!fs.existsSync(snapshotPath)) {
+    throw new Error(`Snapshot de alertas não encontrado: ${snapshotPath} (gere com: node build-logger.js audit-offline --update-snapshot)`);
+  }
+  
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  if (!snapshot.advisories) return { generatedAt: null, advisories: snapshot, packages: null };
+  return { generatedAt: snapshot.generatedAt || null, advisories: snapshot.advisories, packages: snapshot.packages || null };
+}
+
+// Função para auditar os pacotes do package-lock.json contra o snapshot, sem acessar a rede
+// Gera um relatório no mesmo formato do "npm audit --json", mais os pacotes cuja versão
+// não existia quando o snapshot foi gerado (não auditados)
+function auditFromSnapshot(snapshot, packages) {
+  const { advisories } = snapshot;
+  const vulnerabilities = {};
+  const unaudited = snapshot.packages
+    ? [...new Set(packages
+      .filter(pkg => !(snapshot.packages[pkg.name] || []).includes(pkg.version))
+      .map(pkg => `${pkg.name}@${pkg.version}`))].sort()
+    : [];
+  
+  packages.forEach(pkg => {
+    const matches = (advisories[pkg.name] || []).filter(advisory => satisfiesRange(pkg.version, advisory.vulnerable_versions));
+    if (matches.length === 0) return;
+    
+    const entry = vulnerabilities[pkg.name] || {
+      name: pkg.name,
+      severity: 'info',
+      isDirect: pkg.path === `node_modules/${pkg.name}`,
+      via: [],
+      range: matches.map(advisory => advisory.vulnerable_versions).join(' || '),
+      nodes: [],
+      fixAvailable: null
+    };
+    
+    matches.forEach(advisory => {
+      if (!entry.via.some(via => via.source === advisory.id)) {
+        entry.via.push({
+          source: advisory.id,
+          name: pkg.name,
+          title: advisory.title,
+          url: advisory.url,
+          severity: advisory.severity,
+          range: advisory.vulnerable_versions
+        });
+      }
+      if (AUDIT_SEVERITIES.indexOf(advisory.severity) > AUDIT_SEVERITIES.indexOf(entry.severity)) {
+        entry.severity = advisory.severity;
+      }
+    });
+    entry.nodes.push(pkg.path);
+    vulnerabilities[pkg.name] = entry;
+  });
+  
+  const counts = Object.fromEntries(AUDIT_SEVERITIES.map(severity => [
+    severity,
+    Object.values(vulnerabilities).filter(vulnerability => vulnerability.severity === severity).length
+  ]));
+  
+  return {
+    auditReportVersion: 2,
+    offline: true,
+    snapshot: { generatedAt: snapshot.generatedAt, unaudited },
+    vulnerabilities,
+    metadata: { vulnerabilities: { ...counts, total: Object.keys(vulnerabilities).length } }
+  };
+}
+
+// Função para gerar o snapshot de alertas a partir da auditoria do gerenciador de pacotes (precisa de rede)
+// O npm audit só devolve alertas que afetam as versões instaladas: o snapshot não pega
+// vulnerabilidades publicadas depois nem versões adicionadas depois. Por isso guarda também as
+// versões auditadas, para a auditoria offline apontar o que ficou de fora
+function updateAdvisorySnapshot(snapshotPath, packageManager) {
+  const command = packageManager.audit('info');
+  const audit = spawnSync(command[0], command.slice(1), { encoding: 'utf8', shell: true });
+  const report = parseAuditReport(audit.stdout);
+  
+  if (!report || !report.vulnerabilities) {
+    throw new Error(`${command.slice(0, 2).join(' ')} não retornou um relatório JSON${audit.stderr ? `: ${audit.stderr.trim()}` : ''}`);
+  }
+  
+  const advisories = {};
+  Object.values(report.vulnerabilities).forEach(vulnerability => {
+    (vulnerability.via || []).filter(via => typeof via === 'object').forEach(via => {
+      advisories[via.name] = advisories[via.name] || [];
+      if (!advisories[via.name].some(advisory => advisory.id === via.source)) {
+        advisories[via.name].push({
+          id: via.source,
+          url: via.url,
+          title: via.title,
+          severity: via.severity,
+          vulnerable_versions: via.range
+        });
+      }
+    });
+  });
+  
+  const packages = {};
+  (readLockfilePackages(packageManager) || []).forEach(pkg => {
+    packages[pkg.name] = packages[pkg.name] || [];
+    if (!packages[pkg.name].includes(pkg.version)) packages[pkg.name].push(pkg.version);
+  });
+  
+  fs.writeFileSync(snapshotPath, JSON.stringify({ generatedAt: new Date().toISOString(), advisories, packages }, null, 2) + '\n');
+  return Object.keys(advisories).length;
+}
+
+// Função do comando "audit-offline": imprime o relatório JSON e sai com 1 se houver
+// vulnerabilidade no nível mínimo (--audit-level, padrão high)
+function runOfflineAudit(argv) {
+  const config = loadBuildLoggerConfig(getOptionValue(argv, '--config', '-c'));
+  const snapshotPath = path.resolve(process.cwd(), getOptionValue(argv, '--snapshot') || config.advisorySnapshot || DEFAULT_ADVISORY_SNAPSHOT);
+  const packageManager = detectPackageManager(process.cwd(), getOptionValue(argv, '--package-manager') || config.packageManager);
+  
+  // Sem ler o lockfile a auditoria passaria com zero vulnerabilidades: melhor falhar explicando
+  if (packageManager.name !== 'npm') {
+    throw new Error(`a auditoria offline só lê o package-lock.json do npm; o projeto usa ${packageManager.name} (${packageManager.lockfile}). Rode sem --offline ou desative a verificação "audit-offline" na configuração`);
+  }
+  
+  if (argv.includes('--update-snapshot')) {
+    const count = updateAdvisorySnapshot(snapshotPath, packageManager);
+    console.log(`🛡️  Snapshot de alertas atualizado: ${snapshotPath} (${count} pacote(s))`);
+    return EXIT_CODES.success;
+  }
+  
+  const auditLevel = getOptionValue(argv, '--audit-level') || 'high';
+  if (!AUDIT_SEVERITIES.includes(auditLevel)) {
+    throw new Error(`Valor inválido para --audit-level: ${auditLevel} (use ${AUDIT_SEVERITIES.join(', ')})`);
+  }
+  
+  if (!fs.existsSync(path.join(process.cwd(), packageManager.lockfile))) {
+    throw new Error(`${packageManager.lockfile} não encontrado: rode "npm install" para gerar o lockfile auditado`);
+  }
+  
+  const snapshot = loadAdvisorySnapshot(snapshotPath);
+  const report = auditFromSnapshot(snapshot, readLockfilePackages(packageManager));
+  console.log(JSON.stringify(report, null, 2));
+  
+  // Avisos no stderr para não misturar com o JSON
+  console.error(`ℹ️  Snapshot${snapshot.generatedAt ? ` de ${snapshot.generatedAt}` : ''}: só conhece os alertas dos pacotes vulneráveis quando foi gerado; atualize com --update-snapshot (precisa de rede)`);
+  if (report.snapshot.unaudited.length > 0) {
+    console.error(`⚠️  ${report.snapshot.unaudited.length} pacote(s) com versão fora do snapshot não foram auditados: ${report.snapshot.unaudited.slice(0, 10).join(', ')}${report.snapshot.unaudited.length > 10 ? ', ...' : ''}`);
+  }
+  
+  const failing = Object.values(report.vulnerabilities)
+    .some(vulnerability => AUDIT_SEVERITIES.indexOf(vulnerability.severity) >= AUDIT_SEVERITIES.indexOf(auditLevel));
+  return failing ? EXIT_CODES.failures : EXIT_CODES.success;
+}
+
+// Função para criar o diagnóstico genérico de uma falha que o parser não explicou
+// Marcado com "fallback": nunca entra no baseline nem transforma a verificação em sucesso
+function createFallbackDiagnostic(result, message = null) {
+  const lines = (result.output || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const errorLine = message || lines.find(line => /error|erro|fail/i.test(line)) || lines[0] ||
+    (result.timedOut ? 'Tempo limite excedido' : `Código de saída ${result.code}`);
+  
+  return { ...createDiagnostic(result.id || 'build-logger', { message: errorLine.slice(0, 500) }), fallback: true };
+}
+
+// Função para completar um diagnóstico com o caminho relativo ao projeto e o fingerprint
+function finalizeDiagnostic(result, diagnostic) {
+  const file = diagnostic.file ? toProjectPath(diagnostic.file, result.cwd || process.cwd()) : null;
+  return {
+    ...diagnostic,
+    file,
+    fingerprint: fingerprintDiagnostic(result.id, { ...diagnostic, file })
+  };
+}
+
+// Função para extrair diagnósticos da saída de uma verificação, conforme o parser declarado
+function parseDiagnostics(result, context = {}) {
+  const parse = diagnosticParsers.get(result.parser || 'auto') || diagnosticParsers.get('auto');
+  const diagnostics = parse(result, context);
+  
+  // Falha sem diagnóstico reconhecível: um diagnóstico genérico com a primeira linha de erro
+  if (diagnostics.length === 0 && (isFailure(result) || isWarning(result))) {
+    diagnostics.push(createFallbackDiagnostic(result));
+  }
+  
+  return diagnostics.map(diagnostic => finalizeDiagnostic(result, diagnostic));
+}
+
+// Códigos de saída que, em cada parser, significam "falhou só pelos diagnósticos listados"
+// (tsc: erros de tipo; eslint: problemas de lint; npm audit/ls: vulnerabilidades/árvore inválida).
+// Outros códigos (ou parsers sem essa garantia, como o build) podem ter causas não reconhecidas
+const DIAGNOSTIC_EXIT_CODES = {
+  tsc: [1, 2],
+  'eslint-json': [1],
+  'npm-audit': [1],
+  'npm-ls': [1]
+};
+
+// Função para saber se a falha de uma verificação é explicada só pelos diagnósticos extraídos
+// Apenas nesse caso supressões e baseline podem transformá-la em sucesso
+function isFailureExplained(result, diagnostics) {
+  if (diagnostics.some(diagnostic => diagnostic.fallback)) return false;
+  if (!(DIAGNOSTIC_EXIT_CODES[result.parser] || []).includes(result.code)) return false;
+  
+  // tsc: erros sem arquivo/linha (ex.: tsconfig inválido) não viram diagnóstico
+  if (result.parser === 'tsc') {
+    return !(result.output || '').split('\n').some(line => /error TS\d+/.test(line) && !parseTscLine(line));
+  }
+  return true;
+}
+
+// Arquivos de supressão procurados na raiz do projeto
+const SUPPRESSION_FILE_NAMES = ['build-logger.suppressions.json', 'build-logger.suppressions.js'];
+
+// Função para converter um glob (*, ** e ?) em expressão regular para caminhos do projeto
+function globToRegExp(glob) {
+  let source = '';
+  
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" também casa com nenhum diretório
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  return new RegExp(`^${source}$`);
+}
+
+// Função para carregar e validar o arquivo de supressões
+// Cada supressão precisa de "reason" e de pelo menos um critério (file, rule, code ou message)
+function loadSuppressions(suppressionsPath) {
+  const candidates = suppressionsPath
+    ? [path.resolve(process.cwd(), suppressionsPath)]
+    : SUPPRESSION_FILE_NAMES.map(name => path.join(process.cwd(), name));
+  
+  const foundPath = candidates.find(candidate => fs.existsSync(candidate));
+  
+  if (!foundPath) {
+    if (suppressionsPath) {
+      throw new Error(`Arquivo de supressões não encontrado: ${suppressionsPath}`);
+    }
+    return { path: null, suppressions: [] };
+  }
+  
+  const fileName = path.basename(foundPath);
+  delete require.cache[foundPath];
+  const content = foundPath.endsWith('.json')
+    ? JSON.parse(fs.readFileSync(foundPath, 'utf8'))
+    : require(foundPath);
+  const entries = Array.isArray(content) ? content : content.suppressions;
+  
+  if (!Array.isArray(entries)) {
+    throw new Error(`"suppressions" deve ser uma lista em ${fileName}`);
+  }
+  
+  const today = new Date().toISOString().slice(0, 10);
+  
+  const suppressions = entries.map((entry, index) => {
+    const label = entry && entry.id ? `"${entry.id}"` : `#${index + 1}`;
+    
+    if (!entry || typeof entry.reason !== 'string' || !entry.reason.trim()) {
+      throw new Error(`Supressão ${label} em ${fileName} sem "reason"`);
+    }
+    if (!entry.file && !entry.rule && !entry.code && !entry.message) {
+      throw new Error(`Supressão ${label} em ${fileName} precisa de "file", "rule", "code" ou "message"`);
+    }
+    if (entry.expires !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(entry.expires))) {
+      throw new Error(`Supressão ${label} em ${fileName}: "expires" deve estar no formato AAAA-MM-DD`);
+    }
+    
+    let message = null;
+    if (entry.message) {
+      try {
+        message = new RegExp(entry.message, 'i');
+      } catch (error) {
+        throw new Error(`Supressão ${label} em ${fileName}: "message" inválida (${error.message})`);
+      }
+    }
+    
+    const toList = (value) => value === undefined ? [] : [].concat(value).map(String);
+    
+    return {
+      id: entry.id || `#${index + 1}`,
+      checks: toList(entry.check),
+      files: toList(entry.file).map(globToRegExp),
+      rules: toList(entry.rule),
+      codes: toList(entry.code).map(code => code.toUpperCase().replace(/^(TS)?(\d+)$/, 'TS$2')),
+      message,
+      reason: entry.reason.trim(),
+      expires: entry.expires || null,
+      expired: Boolean(entry.expires) && entry.expires < today,
+      source: entry
+    };
+  });
+  
+  return { path: foundPath, suppressions };
+}
+
+// Função para verificar se uma supressão cobre um diagnóstico de uma verificação
+// checkIds: id completo e, num monorepo, o id da verificação sem o pacote
+function matchesSuppression(suppression, checkIds, diagnostic) {
+  if (suppression.checks.length > 0 && !suppression.checks.some(id => checkIds.includes(id))) return false;
+  if (suppression.files.length > 0 && !(diagnostic.file && suppression.files.some(glob => glob.test(diagnostic.file)))) return false;
+  if (suppression.rules.length > 0 && !suppression.rules.includes(diagnostic.code)) return false;
+  if (suppression.codes.length > 0 && !suppression.codes.includes(diagnostic.code)) return false;
+  if (suppression.message && !suppression.message.test(diagnostic.message || '')) return false;
+  return true;
+}
+
+// Função para aplicar as supressões aos diagnósticos das verificações
+// Uma verificação que falhou apenas com diagnósticos suprimidos passa a contar como sucesso
+function applySuppressions(testResults, suppressions) {
+  const active = suppressions.filter(suppression => !suppression.expired);
+  const matchCounts = new Map(active.map(suppression => [suppression.id, 0]));
+  const ruleCounts = {};
+  let total = 0;
+  
+  // Verificações que terminaram com diagnósticos: só nelas uma supressão sem correspondência é sinal de sobra
+  const diagnosedChecks = new Set(testResults
+    .filter(result => hasCompleted(result) && result.diagnostics && result.diagnostics.length > 0)
+    .flatMap(result => [result.id, result.checkId].filter(Boolean)));
+  
+  testResults.forEach(result => {
+    if (!result.diagnostics || result.diagnostics.length === 0) return;
+    
+    const kept = [];
+    const suppressed = [];
+    
+    result.diagnostics.forEach(diagnostic => {
+      const suppression = active.find(candidate => matchesSuppression(candidate, [result.id, result.checkId], diagnostic));
+      
+      if (suppression) {
+        suppressed.push({ ...diagnostic, suppressionId: suppression.id, reason: suppression.reason });
+        matchCounts.set(suppression.id, matchCounts.get(suppression.id) + 1);
+        const rule = diagnostic.code || 'sem regra';
+        ruleCounts[rule] = (ruleCounts[rule] || 0) + 1;
+        total++;
+      } else {
+        kept.push(diagnostic);
+      }
+    });
+    
+    if (suppressed.length === 0) return;
+    
+    const explained = isFailureExplained(result, result.diagnostics);
+    result.diagnostics = kept;
+    result.suppressedDiagnostics = suppressed;
+    
+    // Só verificações que terminaram normalmente e cuja falha vem apenas dos diagnósticos
+    // suprimidos podem virar sucesso (timeout ou outra causa continua falha)
+    if (kept.length === 0 && !result.success && hasCompleted(result)) {
+      if (explained) {
+        result.success = true;
+        result.suppressed = true;
+      } else {
+        result.diagnostics = [finalizeDiagnostic(result, createFallbackDiagnostic(result,
+          `Falha não explicada pelos diagnósticos suprimidos (código de saída ${result.code})`))];
+      }
+    }
+  });
+  
+  // Supressões que não cobriram nada, considerando apenas verificações a que se aplicam e que
+  // rodaram até o fim com diagnósticos (uma verificação que passou não torna a supressão obsoleta)
+  const unmatched = active.filter(suppression => {
+    if (matchCounts.get(suppression.id) > 0) return false;
+    return suppression.checks.length === 0
+      ? diagnosedChecks.size > 0
+      : suppression.checks.some(checkId => diagnosedChecks.has(checkId));
+  });
+  
+  return {
+    total,
+    ruleCounts,
+    matchCounts: Object.fromEntries(matchCounts),
+    unmatched: unmatched.map(suppression => ({ id: suppression.id, reason: suppression.reason })),
+    expired: suppressions
+      .filter(suppression => suppression.expired)
+      .map(suppression => ({ id: suppression.id, reason: suppression.reason, expires: suppression.expires }))
+  };
+}
+
+// Função para montar a seção de supressões do log
+function formatSuppressionSection(suppressionReport) {
+  let section = `🔇 SUPRESSÕES\n`;
+  section += `${'-'.repeat(30)}\n`;
+  section += `Diagnósticos suprimidos: ${suppressionReport.total}\n`;
+  
+  Object.entries(suppressionReport.ruleCounts)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([rule, count]) => {
+      section += `  - ${rule}: ${count}\n`;
+    });
+  
+  if (suppressionReport.unmatched.length > 0) {
+    section += `\n⚠️  Supressões sem correspondência (podem ser removidas):\n`;
+    suppressionReport.unmatched.forEach(item => {
+      section += `  - ${item.id}: ${item.reason}\n`;
+    });
+  }
+  
+  if (suppressionReport.expired.length > 0) {
+    section += `\n⌛ Supressões expiradas (ignoradas):\n`;
+    suppressionReport.expired.forEach(item => {
+      section += `  - ${item.id} (expirou em ${item.expires}): ${item.reason}\n`;
+    });
+  }
+  
+  return `${section}\n`;
+}
+
+// Arquivo de baseline (versionado junto com o projeto): diagnósticos já conhecidos
+// que não fazem a execução falhar
+const DEFAULT_BASELINE_FILE = 'build-logger.baseline.json';
+
+// Função para carregar o baseline (retorna null quando o arquivo não existe)
+function loadBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) return null;
+  
+  const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  if (!baseline || typeof baseline.checks !== 'object') {
+    throw new Error(`Baseline inválido em ${path.basename(baselinePath)}: "checks" não encontrado`);
+  }
+  return baseline;
+}
+
+// Função para gravar o baseline com os diagnósticos atuais
+// Verificações que não terminaram (timeout, ignoradas ou fora do ciclo do --watch)
+// mantêm as entradas anteriores. Diagnósticos genéricos (fallback, sem arquivo) nunca entram:
+// descrevem uma falha que o parser não entendeu, não um problema conhecido
+function updateBaseline(baselinePath, testResults) {
+  const previous = loadBaseline(baselinePath);
+  const checks = { ...(previous ? previous.checks : {}) };
+  
+  testResults.filter(result => result.id && hasCompleted(result)).forEach(result => {
+    const entries = new Map();
+    
+    (result.diagnostics || []).filter(diagnostic => !diagnostic.fallback).forEach(diagnostic => {
+      const entry = entries.get(diagnostic.fingerprint) || {
+        fingerprint: diagnostic.fingerprint,
+        file: diagnostic.file,
+        code: diagnostic.code,
+        message: normalizeDiagnosticMessage(diagnostic.message),
+        count: 0
+      };
+      entry.count++;
+      entries.set(diagnostic.fingerprint, entry);
+    });
+    
+    if (entries.size > 0) {
+      // Ordem estável para diffs legíveis no controle de versão
+      checks[result.id] = [...entries.values()].sort((a, b) =>
+        String(a.file).localeCompare(String(b.file)) || a.fingerprint.localeCompare(b.fingerprint));
+    } else {
+      delete checks[result.id];
+    }
+  });
+  
+  const sortedChecks = Object.fromEntries(Object.keys(checks).sort().map(id => [id, checks[id]]));
+  const baseline = { version: 1, updatedAt: new Date().toISOString(), checks: sortedChecks };
+  fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+  
+  return baseline;
+}
+
+// Função para separar os diagnósticos novos dos que já estão no baseline
+// Uma verificação que falhou apenas com diagnósticos do baseline passa a contar como sucesso
+// (desde que a falha seja explicada só por eles). Cada entrada cobre "count" ocorrências: uma ocorrência a mais do mesmo problema é nova.
+function applyBaseline(testResults, baseline) {
+  const checks = {};
+  const totals = { new: 0, fixed: 0, baselined: 0 };
+  
+  testResults.forEach(result => {
+    if (!result.id || !hasCompleted(result)) return;
+    
+    const remaining = new Map((baseline.checks[result.id] || []).map(entry => [entry.fingerprint, entry.count || 1]));
+    const explained = isFailureExplained(result, result.diagnostics || []);
+    const kept = [];
+    const baselined = [];
+    
+    (result.diagnostics || []).forEach(diagnostic => {
+      const count = diagnostic.fallback ? 0 : remaining.get(diagnostic.fingerprint) || 0;
+      if (count > 0) {
+        remaining.set(diagnostic.fingerprint, count - 1);
+        baselined.push(diagnostic);
+      } else {
+        kept.push(diagnostic);
+      }
+    });
+    
+    // Ocorrências do baseline que não apareceram mais foram corrigidas
+    const fixed = [...remaining.values()].reduce((total, count) => total + count, 0);
+    
+    if (kept.length === 0 && baselined.length === 0 && fixed === 0) return;
+    
+    checks[result.id] = { new: kept.length, fixed, baselined: baselined.length };
+    totals.new += kept.length;
+    totals.fixed += fixed;
+    totals.baselined += baselined.length;
+    
+    if (baselined.length === 0) return;
+    
+    result.diagnostics = kept;
+    result.baselinedDiagnostics = baselined;
+    
+    if (kept.length === 0 && !result.success && explained) {
+      result.success = true;
+      result.baselined = true;
+    }
+  });
+  
+  return { updatedAt: baseline.updatedAt || null, checks, totals };
+}
+
+// Função para descrever a situação de uma verificação em relação ao baseline ("N novo(s), M corrigido(s), K no baseline")
+function describeBaselineCounts(counts) {
+  return `${counts.new} novo(s), ${counts.fixed} corrigido(s), ${counts.baselined} no baseline`;
+}
+
+// Função para montar a seção de baseline do log
+function formatBaselineSection(baselineReport, testResults) {
+  let section = `📐 BASELINE\n`;
+  section += `${'-'.repeat(30)}\n`;
+  section += `Total: ${describeBaselineCounts(baselineReport.totals)}\n`;
+  
+  Object.entries(baselineReport.checks).forEach(([checkId, counts]) => {
+    const result = testResults.find(r => r.id === checkId);
+    section += `  - ${result ? result.description : checkId}: ${describeBaselineCounts(counts)}\n`;
+  });
+  
+  if (baselineReport.totals.fixed > 0) {
+    section += `\n💡 Diagnósticos do baseline foram corrigidos: rode com --update-baseline para registrá-los.\n`;
+  }
+  
+  return `${section}\n`;
+}
+
+// Arquivo com o histórico de diagnósticos entre execuções
+const ERROR_HISTORY_FILE = 'error-history.json';
+
+// Quantidade máxima de execuções guardadas no histórico
+const ERROR_HISTORY_MAX_RUNS = 100;
+
+// Função para carregar o histórico de diagnósticos (logs/error-history.json)
+function loadErrorHistory(logsDir) {
+  const historyPath = path.join(logsDir, ERROR_HISTORY_FILE);
+  
+  try {
+    if (fs.existsSync(historyPath)) {
+      const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+      if (Array.isArray(history.runs) && history.diagnostics) return history;
+    }
+  } catch (error) {
+    console.log(`⚠️  Histórico de erros inválido (${error.message}) - recriando`);
+  }
+  
+  return { version: 1, runs: [], diagnostics: {} };
+}
+
+// Função para saber se a verificação terminou normalmente (seus diagnósticos são confiáveis)
+// Diagnósticos de verificações que não rodaram até o fim não podem ser dados como corrigidos
+function hasCompleted(result) {
+  return !result.skipped && !result.interrupted && !result.timedOut && !result.notRun;
+}
+
+// Função para atualizar o histórico com os diagnósticos desta execução
+// Retorna os diagnósticos novos, corrigidos e recorrentes em relação à execução anterior
+function updateErrorHistory(testResults, logsDir, runId) {
+  const history = loadErrorHistory(logsDir);
+  const timestamp = new Date().toISOString();
+  const previousRun = history.runs[history.runs.length - 1] || null;
+  const previousFingerprints = new Set(previousRun ? previousRun.fingerprints : []);
+  
+  const completedChecks = new Set(testResults.filter(hasCompleted).map(r => r.id));
+  const current = new Map();
+  
+  testResults.forEach(result => {
+    (result.diagnostics || []).forEach(diagnostic => {
+      current.set(diagnostic.fingerprint, { ...diagnostic, checkId: result.id || null });
+    });
+  });
+  
+  // Diagnósticos suprimidos ou no baseline continuam existindo: não contam como novos
+  // nem recorrentes, mas também não podem ser dados como corrigidos
+  const hidden = new Set(testResults.flatMap(result =>
+    [...(result.suppressedDiagnostics || []), ...(result.baselinedDiagnostics || [])].map(diagnostic => diagnostic.fingerprint)));
+  
+  const introduced = [];
+  const recurring = [];
+  const fixed = [];
+  
+  for (const [fingerprint, diagnostic] of current) {
+    let entry = history.diagnostics[fingerprint];
+    
+    if (!entry) {
+      entry = {
+        checkId: diagnostic.checkId,
+        file: diagnostic.file,
+        code: diagnostic.code,
+        message: normalizeDiagnosticMessage(diagnostic.message),
+        firstSeenRun: runId,
+        firstSeenAt: timestamp,
+        seenCount: 0,
+        lastFixedRun: null,
+        lastFixedAt: null
+      };
+      history.diagnostics[fingerprint] = entry;
+    }
+    
+    entry.seenCount++;
+    entry.lastSeenRun = runId;
+    entry.lastSeenAt = timestamp;
+    entry.line = diagnostic.line;
+    entry.active = true;
+    
+    const report = { fingerprint, ...entry };
+    if (!previousFingerprints.has(fingerprint)) {
+      introduced.push(report);
+    }
+    if (entry.seenCount > 1) {
+      recurring.push(report);
+    }
+  }
+  
+  // Corrigidos: estavam na execução anterior, a verificação terminou agora e não aparecem mais
+  for (const fingerprint of previousFingerprints) {
+    const entry = history.diagnostics[fingerprint];
+    if (!entry || current.has(fingerprint) || hidden.has(fingerprint) || !completedChecks.has(entry.checkId)) continue;
+    
+    entry.active = false;
+    entry.lastFixedRun = runId;
+    entry.lastFixedAt = timestamp;
+    fixed.push({ fingerprint, ...entry });
+  }
+  
+  // Diagnósticos de verificações que não terminaram (e os ocultos) continuam ativos
+  const carriedOver = [...previousFingerprints].filter(fingerprint => {
+    const entry = history.diagnostics[fingerprint];
+    return entry && !current.has(fingerprint) && (hidden.has(fingerprint) || !completedChecks.has(entry.checkId));
+  });
+  
+  history.runs.push({
+    runId,
+    timestamp,
+    status: testResults.some(isFailure) ? 'error' : 'success',
+    fingerprints: [...current.keys(), ...carriedOver]
+  });
+  history.runs = history.runs.slice(-ERROR_HISTORY_MAX_RUNS);
+  
+  fs.mkdirSync(logsDir, { recursive: true });
+  fs.writeFileSync(path.join(logsDir, ERROR_HISTORY_FILE), JSON.stringify(history, null, 2) + '\n');
+  
+  return {
+    previousRunId: previousRun ? previousRun.runId : null,
+    introduced,
+    fixed,
+    recurring
+  };
+}
+
+// Função para descrever um diagnóstico em uma linha: [tsc] src/a.ts:3 TS2322 mensagem
+function describeDiagnostic(diagnostic) {
+  const location = diagnostic.file ? ` ${diagnostic.file}${diagnostic.line ? `:${diagnostic.line}` : ''}` : '';
+  const code = diagnostic.code ? ` ${diagnostic.code}` : '';
+  return `[${diagnostic.checkId || '?'}]${location}${code} ${diagnostic.message}`;
+}
+
+// Arquivo com o histórico de tempos das verificações e tamanhos das rotas entre execuções
+const PERFORMANCE_HISTORY_FILE = 'performance-history.json';
+
+// Quantidade máxima de execuções guardadas no histórico de desempenho
+const PERFORMANCE_HISTORY_MAX_RUNS = 100;
+
+// Limites para apontar regressões em relação à mediana das execuções anteriores
+// (config.performance sobrescreve; é preciso passar do percentual E do mínimo absoluto)
+const DEFAULT_PERFORMANCE_THRESHOLDS = {
+  window: 10,             // execuções anteriores consideradas na mediana
+  minSamples: 3,          // amostras mínimas para comparar
+  durationPercent: 25,
+  durationMinMs: 5000,
+  sizePercent: 10,
+  sizeMinBytes: 5000
+};
+
+// Função para converter um tamanho da tabela do next build ("92.1 kB", "871 B") em bytes
+function parseNextSize(value, unit) {
+  const multipliers = { B: 1, kB: 1000, MB: 1000 * 1000 };
+  return Math.round(parseFloat(value) * multipliers[unit]);
+}
+
+// Função para formatar bytes como o next build (B, kB, MB)
+function formatBytes(bytes) {
+  if (bytes < 1000) return `${bytes} B`;
+  if (bytes < 1000 * 1000) return `${(bytes / 1000).toFixed(1)} kB`;
+  return `${(bytes / 1000 / 1000).toFixed(2)} MB`;
+}
+
+// Função para extrair a tabela de rotas do next build (Size e First Load JS de cada rota)
+// Retorna null quando a saída não tem a tabela (build falhou ou não é Next.js)
+function parseNextBuildRoutes(output) {
+  const size = '(\\d+(?:\\.\\d+)?)\\s*(B|kB|MB)';
+  const routePattern = new RegExp(`^[┌├└│\\s]*[○●ƒλ◐]?\\s*(\\/\\S*)(?:\\s+\\(\\d+ ms\\))?\\s+${size}\\s+${size}$`);
+  const middlewarePattern = new RegExp(`^ƒ Middleware\\s+${size}$`);
+  const sharedPattern = new RegExp(`^\\+ First Load JS shared by all\\s+${size}$`);
+  
+  const routes = {};
+  let router = null;
+  let sharedFirstLoad = null;
+  
+  for (const rawLine of String(output || '').split('\n')) {
+    const line = rawLine.replace(/\x1b\[[0-9;]*m/g, '').trim();
+    
+    const headerMatch = line.match(/^Route \((app|pages)\)/);
+    if (headerMatch) {
+      router = headerMatch[1];
+      continue;
+    }
+    if (!router) continue;
+    
+    const routeMatch = line.match(routePattern);
+    if (routeMatch) {
+      routes[routeMatch[1]] = {
+        router,
+        size: parseNextSize(routeMatch[2], routeMatch[3]),
+        firstLoad: parseNextSize(routeMatch[4], routeMatch[5])
+      };
+      continue;
+    }
+    
+    const middlewareMatch = line.match(middlewarePattern);
+    if (middlewareMatch) {
+      routes.Middleware = { router: 'middleware', size: parseNextSize(middlewareMatch[1], middlewareMatch[2]), firstLoad: null };
+      continue;
+    }
+    
+    const sharedMatch = line.match(sharedPattern);
+    if (sharedMatch) {
+      // Com app e pages no mesmo projeto vale o maior valor compartilhado
+      sharedFirstLoad = Math.max(sharedFirstLoad || 0, parseNextSize(sharedMatch[1], sharedMatch[2]));
+    }
+  }
+  
+  return Object.keys(routes).length > 0 ? { routes, sharedFirstLoad } : null;
+}
+
+// Função para calcular a mediana de uma lista de números
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Função para comparar um valor com a mediana das amostras anteriores
+function compareWithMedian(value, samples, percent, minDelta, thresholds) {
+  const window = samples.slice(-thresholds.window);
+  if (typeof value !== 'number' || window.length < thresholds.minSamples) {
+    return { value, median: null, deltaPercent: null, samples: window.length, regressed: false };
+  }
+  
+  const reference = median(window);
+  const delta = value - reference;
+  const deltaPercent = reference > 0 ? (delta / reference) * 100 : null;
+  
+  return {
+    value,
+    median: reference,
+    deltaPercent,
+    samples: window.length,
+    regressed: deltaPercent !== null && deltaPercent > percent && delta >= minDelta
+  };
+}
+
+// Função para montar os limites de regressão a partir da configuração
+function resolvePerformanceThresholds(config) {
+  return { ...DEFAULT_PERFORMANCE_THRESHOLDS, ...(config && typeof config.performance === 'object' ? config.performance : {}) };
+}
+
+// Função para carregar o histórico de desempenho (logs/performance-history.json)
+function loadPerformanceHistory(logsDir) {
+  const historyPath = path.join(logsDir, PERFORMANCE_HISTORY_FILE);
+  
+  try {
+    if (fs.existsSync(historyPath)) {
+      const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+      if (Array.isArray(history.runs)) return history;
+    }
+  } catch (error) {
+    console.log(`⚠️  Histórico de desempenho inválido (${error.message}) - recriando`);
+  }
+  
+  return { version: 1, runs: [] };
+}
+
+// Função para registrar os tempos e tamanhos desta execução e compará-los com a mediana das anteriores
+// Só entram verificações que passaram e rodaram de verdade (sem cache), para não distorcer a mediana
+function updatePerformanceHistory(testResults, logsDir, runId, thresholds = DEFAULT_PERFORMANCE_THRESHOLDS) {
+  const history = loadPerformanceHistory(logsDir);
+  const samplesOf = (pick) => history.runs.map(pick).filter(value => typeof value === 'number');
+  const measured = testResults.filter(r => r.success && !r.cached && hasCompleted(r) && typeof r.durationMs === 'number');
+  
+  const run = { runId, timestamp: new Date().toISOString(), checks: {}, bundles: {} };
+  const checks = [];
+  const bundles = [];
+  
+  measured.forEach(result => {
+    run.checks[result.id] = { durationMs: result.durationMs };
+    checks.push({
+      id: result.id,
+      description: result.description,
+      ...compareWithMedian(
+        result.durationMs,
+        samplesOf(previous => previous.checks[result.id] && previous.checks[result.id].durationMs),
+        thresholds.durationPercent,
+        thresholds.durationMinMs,
+        thresholds
+      )
+    });
+    
+    if (result.parser !== 'next-build') return;
+    const bundle = parseNextBuildRoutes(result.stdout || result.output);
+    if (!bundle) return;
+    
+    run.bundles[result.id] = bundle;
+    const previousBundle = (previous) => previous.bundles && previous.bundles[result.id];
+    const compareSize = (value, pick) => compareWithMedian(
+      value,
+      samplesOf(previous => previousBundle(previous) && pick(previousBundle(previous))),
+      thresholds.sizePercent,
+      thresholds.sizeMinBytes,
+      thresholds
+    );
     
-    process.stdout.on('data', (data) => {
-      stdout += data.toString();
+    bundles.push({
+      checkId: result.id,
+      sharedFirstLoad: compareSize(bundle.sharedFirstLoad, previous => previous.sharedFirstLoad),
+      routes: Object.entries(bundle.routes).map(([route, sizes]) => {
+        const previousRoute = (previous) => previous.routes[route] || {};
+        const size = compareSize(sizes.size, previous => previousRoute(previous).size);
+        const firstLoad = compareSize(sizes.firstLoad, previous => previousRoute(previous).firstLoad);
+        return { route, router: sizes.router, size, firstLoad, regressed: size.regressed || firstLoad.regressed };
+      })
     });
-    
-    process.stderr.on('data', (data) => {
-      stderr += data.toString();
+  });
+  
+  if (measured.length > 0) {
+    history.runs.push(run);
+    history.runs = history.runs.slice(-PERFORMANCE_HISTORY_MAX_RUNS);
+    fs.mkdirSync(logsDir, { recursive: true });
+    fs.writeFileSync(path.join(logsDir, PERFORMANCE_HISTORY_FILE), JSON.stringify(history, null, 2) + '\n');
+  }
+  
+  const regressions = [
+    ...checks.filter(check => check.regressed).map(check => ({ type: 'duration', checkId: check.id, ...check })),
+    ...bundles.flatMap(bundle => [
+      ...(bundle.sharedFirstLoad.regressed ? [{ type: 'shared', checkId: bundle.checkId, ...bundle.sharedFirstLoad }] : []),
+      ...bundle.routes.flatMap(route => [
+        ...(route.firstLoad.regressed ? [{ type: 'firstLoad', checkId: bundle.checkId, route: route.route, ...route.firstLoad }] : []),
+        ...(route.size.regressed ? [{ type: 'size', checkId: bundle.checkId, route: route.route, ...route.size }] : [])
+      ])
+    ])
+  ];
+  
+  return { thresholds, checks, bundles, regressions };
+}
+
+// Função para descrever a variação em relação à mediana: "(mediana 10.0s, +21.5%)"
+function describeTrend(comparison, format) {
+  if (comparison.median === null) return `(histórico insuficiente: ${comparison.samples} execução(ões) anterior(es))`;
+  const sign = comparison.deltaPercent >= 0 ? '+' : '';
+  const delta = comparison.deltaPercent === null ? '' : `, ${sign}${comparison.deltaPercent.toFixed(1)}%`;
+  return `(mediana ${format(comparison.median)}${delta})`;
+}
+
+// Função para descrever uma regressão em uma linha
+function describeRegression(regression) {
+  const format = regression.type === 'duration' ? formatSeconds : formatBytes;
+  const labels = { duration: 'tempo', shared: 'First Load JS compartilhado', firstLoad: 'First Load JS', size: 'tamanho' };
+  const target = regression.route ? ` ${regression.route}` : '';
+  return `[${regression.checkId}]${target} ${labels[regression.type]}: ${format(regression.value)} ${describeTrend(regression, format)}`;
+}
+
+// Função para montar a seção de desempenho do log (tempos por verificação e rotas do Next.js)
+function formatPerformanceSection(performanceReport) {
+  const { thresholds } = performanceReport;
+  let section = `📈 DESEMPENHO\n`;
+  section += `${'-'.repeat(30)}\n`;
+  section += `Comparado com a mediana das últimas ${thresholds.window} execuções `;
+  section += `(regressão: +${thresholds.durationPercent}% e +${formatSeconds(thresholds.durationMinMs)} no tempo, `;
+  section += `+${thresholds.sizePercent}% e +${formatBytes(thresholds.sizeMinBytes)} no tamanho)\n\n`;
+  
+  if (performanceReport.checks.length > 0) {
+    section += `Tempo por verificação:\n`;
+    performanceReport.checks.forEach(check => {
+      section += `  ${check.regressed ? '🐢' : '  '} ${check.id.padEnd(24)} ${formatSeconds(check.value).padStart(8)}  ${describeTrend(check, formatSeconds)}\n`;
+    });
+    section += `\n`;
+  }
+  
+  performanceReport.bundles.forEach(bundle => {
+    section += `Rotas do Next.js [${bundle.checkId}] (Size / First Load JS):\n`;
+    bundle.routes.forEach(route => {
+      const firstLoad = route.firstLoad.value === null ? '-' : formatBytes(route.firstLoad.value);
+      const trend = route.firstLoad.value === null ? describeTrend(route.size, formatBytes) : describeTrend(route.firstLoad, formatBytes);
+      section += `  ${route.regressed ? '🐢' : '  '} ${route.route.padEnd(32)} ${formatBytes(route.size.value).padStart(9)} ${firstLoad.padStart(9)}  ${trend}\n`;
+    });
+    if (bundle.sharedFirstLoad.value !== null) {
+      section += `     First Load JS compartilhado: ${formatBytes(bundle.sharedFirstLoad.value)} ${describeTrend(bundle.sharedFirstLoad, formatBytes)}\n`;
+    }
+    section += `\n`;
+  });
+  
+  if (performanceReport.regressions.length > 0) {
+    section += `🐢 Regressões (${performanceReport.regressions.length}):\n`;
+    performanceReport.regressions.forEach(regression => {
+      section += `  - ${describeRegression(regression)}\n`;
     });
+    section += `\n`;
+  }
+  
+  return section;
+}
+
+// Função para desenhar uma sequência de valores como sparkline (▁▂▃▄▅▆▇█)
+function sparkline(values) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => bars[max === min ? 0 : Math.round(((value - min) / (max - min)) * (bars.length - 1))]).join('');
+}
+
+// Comando "trend": tendência dos tempos e tamanhos registrados no histórico de desempenho
+function printPerformanceTrend(argv) {
+  const config = loadBuildLoggerConfig(getOptionValue(argv, '--config', '-c'));
+  const thresholds = resolvePerformanceThresholds(config);
+  const lastValue = getOptionValue(argv, '--last');
+  const last = lastValue ? parseInt(lastValue, 10) : 20;
+  if (!Number.isInteger(last) || last < 1) {
+    throw new Error(`Valor inválido para --last: ${lastValue}`);
+  }
+  
+  const runs = loadPerformanceHistory(path.join(process.cwd(), 'logs')).runs.slice(-last);
+  if (runs.length === 0) {
+    console.log('📈 Nenhuma execução no histórico de desempenho (logs/performance-history.json)');
+    return EXIT_CODES.success;
+  }
+  
+  // Cada série é comparada com a mediana dos seus valores anteriores, como na execução
+  const printSeries = (label, values, format, percent, minDelta) => {
+    const current = values[values.length - 1];
+    const comparison = compareWithMedian(current, values.slice(0, -1), percent, minDelta, thresholds);
+    console.log(`  ${comparison.regressed ? '🐢' : '  '} ${label.padEnd(32)} ${sparkline(values)}  ${format(current)} ${describeTrend(comparison, format)}`);
+    return comparison.regressed;
+  };
+  
+  console.log(`📈 Tendência das últimas ${runs.length} execução(ões) (${runs[0].runId} → ${runs[runs.length - 1].runId})\n`);
+  let regressions = 0;
+  
+  console.log('⏱️  Tempo por verificação:');
+  const checkIds = [...new Set(runs.flatMap(run => Object.keys(run.checks)))];
+  checkIds.forEach(id => {
+    const values = runs.map(run => run.checks[id] && run.checks[id].durationMs).filter(value => typeof value === 'number');
+    if (printSeries(id, values, formatSeconds, thresholds.durationPercent, thresholds.durationMinMs)) regressions++;
+  });
+  
+  const bundleIds = [...new Set(runs.flatMap(run => Object.keys(run.bundles || {})))];
+  bundleIds.forEach(checkId => {
+    const bundles = runs.map(run => run.bundles && run.bundles[checkId]).filter(Boolean);
+    console.log(`\n📦 First Load JS por rota [${checkId}]:`);
     
-    process.on('close', (code) => {
-      const result = {
-        command: `${command} ${args.join(' ')}`,
-        description,
-        code,
-        success: code === 0,
-        stdout: stdout.trim(),
-        stderr: stderr.trim(),
-        output: (stdout + stderr).trim(),
-        timestamp: new Date().toISOString()
-      };
-      
-      if (result.success) {
-        console.log(`✅ ${description} - Concluído`);
-      } else {
-        console.log(`❌ ${description} - Falhou (código: ${code})`);
-      }
-      
-      resolve(result);
+    const routes = [...new Set(bundles.flatMap(bundle => Object.keys(bundle.routes)))];
+    routes.forEach(route => {
+      const values = bundles.map(bundle => bundle.routes[route] && (bundle.routes[route].firstLoad !== null ? bundle.routes[route].firstLoad : bundle.routes[route].size)).filter(value => typeof value === 'number');
+      if (printSeries(route, values, formatBytes, thresholds.sizePercent, thresholds.sizeMinBytes)) regressions++;
     });
     
-    process.on('error', (error) => {
-      console.log(`⚠️  ${description} - Não disponível (${error.message})`);
-      resolve({
-        command: `${command} ${args.join(' ')}`,
-        description,
-        code: -1,
+    const shared = bundles.map(bundle => bundle.sharedFirstLoad).filter(value => typeof value === 'number');
+    if (shared.length > 0 && printSeries('(compartilhado)', shared, formatBytes, thresholds.sizePercent, thresholds.sizeMinBytes)) regressions++;
+  });
+  
+  console.log(regressions > 0 ? `\n🐢 ${regressions} regressão(ões) na última execução` : '\n✅ Nenhuma regressão na última execução');
+  return EXIT_CODES.success;
+}
+
+// Códigos de saída do processo
+const EXIT_CODES = {
+  success: 0,        // todas as verificações passaram (avisos são permitidos)
+  failures: 1,       // pelo menos uma verificação falhou
+  timeout: 2,        // só houve falhas por tempo limite (ou o tempo limite global estourou)
+  internalError: 3,  // erro do próprio script (configuração, argumentos, exceção)
+  interrupted: 130   // execução interrompida com Ctrl+C
+};
+
+// Categorias aceitas em --fail-on / failOn
+//   error    falha de verificação obrigatória
+//   timeout  verificação obrigatória que excedeu o tempo limite
+//   warning  falha de verificação opcional (required: false)
+//   skipped  verificação ignorada (comando indisponível); "skipped:<id>" também
+//            conta a verificação <id> desativada pela condição (ex.: skipped:prisma-generate)
+//   !<id>    falhas da verificação <id> viram apenas aviso (ex.: !audit)
+const FAIL_ON_CATEGORIES = ['error', 'timeout', 'warning', 'skipped'];
+const DEFAULT_FAIL_ON = ['error', 'timeout'];
+
+// Política de falha em uso nesta execução
+const failPolicy = { rules: new Set(DEFAULT_FAIL_ON), warnOnly: new Set() };
+
+// Função para configurar a política de falha a partir da lista de regras
+function setFailPolicy(rules) {
+  const categories = new Set();
+  const warnOnly = new Set();
+  
+  for (const rule of rules) {
+    if (rule.startsWith('!')) {
+      warnOnly.add(rule.slice(1));
+    } else if (FAIL_ON_CATEGORIES.includes(rule) || rule.startsWith('skipped:')) {
+      categories.add(rule);
+    } else {
+      throw new Error(`Regra inválida em --fail-on: "${rule}" (use ${FAIL_ON_CATEGORIES.join(', ')}, skipped:<id> ou !<id>)`);
+    }
+  }
+  
+  failPolicy.rules = categories;
+  failPolicy.warnOnly = warnOnly;
+}
+
+// Função para saber se uma regra da política cita a verificação (pelo id completo ou,
+// num monorepo, pelo id da verificação em todos os pacotes: "!audit" vale para "web:audit")
+function policyMentions(set, prefix, result) {
+  return set.has(`${prefix}${result.id}`) || Boolean(result.checkId && set.has(`${prefix}${result.checkId}`));
+}
+
+// Função para classificar um resultado segundo a política de falha
+function getResultCategory(result) {
+  if (result.success || result.interrupted || result.notRun) return null;
+  if (result.skipped) return 'skipped';
+  if (result.optional || policyMentions(failPolicy.warnOnly, '', result)) return 'warning';
+  if (result.timedOut) return 'timeout';
+  return 'error';
+}
+
+// Função para saber se um resultado conta como falha
+// Verificações interrompidas por Ctrl+C não contam como falha
+function isFailure(result) {
+  const category = getResultCategory(result);
+  if (!category) return false;
+  
+  return failPolicy.rules.has(category) ||
+    (category === 'skipped' && policyMentions(failPolicy.rules, 'skipped:', result));
+}
+
+// Função para saber se um resultado é uma falha que a política trata como aviso
+function isWarning(result) {
+  const category = getResultCategory(result);
+  return category !== null && category !== 'skipped' && !isFailure(result);
+}
+
+// Função para obter o status de um resultado (usado no relatório JSON)
+function getResultStatus(result) {
+  if (result.notRun) return 'not-run';
+  if (result.skipped) return 'skipped';
+  if (result.success) return 'success';
+  if (result.interrupted) return 'interrupted';
+  if (isWarning(result)) return 'warning';
+  if (result.timedOut) return 'timeout';
+  return 'failed';
+}
+
+// Função para calcular o código de saída a partir dos resultados
+function computeExitCode(testResults) {
+  if (runState.abortReason === 'interrupted') return EXIT_CODES.interrupted;
+  
+  const failures = testResults.filter(isFailure);
+  if (failures.some(result => !result.timedOut)) return EXIT_CODES.failures;
+  if (failures.length > 0 || runState.abortReason === 'timeout') return EXIT_CODES.timeout;
+  return EXIT_CODES.success;
+}
+
+// Função para criar resultados das verificações desativadas que a política exige (skipped:<id>)
+function createDisabledResults(disabledChecks) {
+  return disabledChecks
+    .filter(check => policyMentions(failPolicy.rules, 'skipped:', check))
+    .map(check => {
+      const reason = `Verificação desativada (condição: ${describeCondition(check.condition)})`;
+      return {
+        id: check.id,
+        checkId: check.checkId,
+        workspace: check.workspace,
+        command: `${check.command} ${check.args.join(' ')}`,
+        description: check.label,
+        code: null,
         success: false,
+        skipped: true,
+        disabled: true,
         stdout: '',
-        stderr: error.message,
-        output: error.message,
-        timestamp: new Date().toISOString(),
-        skipped: true
-      });
+        stderr: reason,
+        output: reason,
+        durationMs: 0,
+        timestamp: new Date().toISOString()
+      };
     });
-  });
 }
 
-// Função para verificar se o Prisma está instalado
-function isPrismaInstalled() {
-  try {
-    const packageJsonPath = path.join(process.cwd(), 'package.json');
-    
-    if (!fs.existsSync(packageJsonPath)) {
-      return false;
-    }
-    
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    
-    // Verificar se Prisma está nas dependências ou devDependencies
-    const hasPrisma = (packageJson.dependencies && packageJson.dependencies.prisma) ||
-                     (packageJson.devDependencies && packageJson.devDependencies.prisma) ||
-                     (packageJson.dependencies && packageJson.dependencies['@prisma/client']) ||
-                     (packageJson.devDependencies && packageJson.devDependencies['@prisma/client']);
-    
-    return hasPrisma;
-  } catch (error) {
-    console.log('⚠️  Erro ao verificar package.json:', error.message);
-    return false;
+// Função para remover emoji e cores ANSI de um texto (modo --ci)
+function stripDecorations(text) {
+  return text
+    .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+    .replace(/(?:\p{Extended_Pictographic}|\p{Regional_Indicator})\uFE0F?[ \t]*/gu, '');
+}
+
+// Função para ativar a saída de CI: console sem emoji e sem cores
+function enableCiConsole() {
+  for (const method of ['log', 'error', 'warn']) {
+    const original = console[method].bind(console);
+    console[method] = (...parts) => original(...parts.map(part => (
+      typeof part === 'string' ? stripDecorations(part) : part
+    )));
   }
 }
 
-// Função para verificar se existe schema do Prisma
-function hasPrismaSchema() {
-  return fs.existsSync(path.join(process.cwd(), 'prisma', 'schema.prisma'));
+// Função para formatar milissegundos em segundos (ex.: 12.3s)
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
 }
 
-// Função para verificar erros recorrentes
-function checkIfErrorIsRecurrent(testResults, logsDir) {
-  try {
-    if (!fs.existsSync(logsDir)) return false;
-    
-    const logFiles = fs.readdirSync(logsDir)
-      .filter(file => file.endsWith('.log'))
-      .sort((a, b) => {
-        const aTime = fs.statSync(path.join(logsDir, a)).mtime;
-        const bTime = fs.statSync(path.join(logsDir, b)).mtime;
-        return bTime - aTime;
-      });
-    
-    // Pegar apenas os 3 logs mais recentes para comparação
-    const recentLogs = logFiles.slice(0, 3);
+// Função para resumir os resultados por pacote do workspace (verificações da raiz ficam em "(raiz)")
+function summarizeWorkspaces(testResults, workspaces) {
+  const groups = [
+    ...workspaces.map(workspace => ({ name: workspace.name, dir: workspace.dir })),
+    { name: null, dir: '.' }
+  ];
+  
+  return groups.map(group => {
+    const results = testResults.filter(result => (result.workspace || null) === group.name);
+    const failed = results.filter(isFailure);
     
-    for (const logFile of recentLogs) {
-      const logPath = path.join(logsDir, logFile);
-      const logContent = fs.readFileSync(logPath, 'utf8');
-      
-      // Verificar se algum erro similar já apareceu
-      const hasFailedTests = testResults.some(result => !result.success && !result.skipped);
-      if (hasFailedTests && logContent.includes('❌ Status: ERRO')) {
-        // Verificar se o mesmo tipo de erro já apareceu
-        const currentErrors = testResults
-          .filter(r => !r.success && !r.skipped)
-          .map(r => r.description);
-        
-        const hasRecurrentError = currentErrors.some(errorType => 
-          logContent.includes(errorType) && logContent.includes('FALHOU')
-        );
-        
-        if (hasRecurrentError) {
-          return true;
-        }
-      }
+    return {
+      name: group.name || '(raiz)',
+      dir: group.dir,
+      prisma: group.name ? Boolean(isPrismaInstalled(path.join(process.cwd(), group.dir)) && hasPrismaSchema(path.join(process.cwd(), group.dir))) : null,
+      total: results.length,
+      success: results.filter(result => result.success).length,
+      failed: failed.length,
+      warnings: results.filter(isWarning).length,
+      skipped: results.filter(result => result.skipped).length,
+      diagnostics: failed.reduce((total, result) => total + (result.diagnostics || []).length, 0),
+      failedChecks: failed.map(result => result.checkId || result.id)
+    };
+  }).filter(summary => summary.total > 0);
+}
+
+// Função para montar a seção do log com o resultado de cada pacote do workspace
+function formatWorkspaceSection(workspaceSummary) {
+  let section = `🗂️  PACOTES DO WORKSPACE\n`;
+  section += `${'-'.repeat(30)}\n`;
+  
+  workspaceSummary.forEach(summary => {
+    const icon = summary.failed > 0 ? '❌' : summary.warnings > 0 ? '🟡' : '✅';
+    section += `${icon} ${summary.name} (${summary.dir}): ${summary.success}/${summary.total} com sucesso`;
+    if (summary.failed > 0) {
+      section += `, falhas: ${summary.failedChecks.join(', ')} (${summary.diagnostics} diagnóstico(s))`;
     }
-    
-    return false;
-  } catch (error) {
-    return false;
-  }
+    if (summary.skipped > 0) {
+      section += `, ${summary.skipped} ignorada(s)`;
+    }
+    if (summary.prisma) {
+      section += ` [Prisma]`;
+    }
+    section += `\n`;
+  });
+  
+  return `${section}\n`;
 }
 
 // Função para gerar log detalhado com todos os resultados
-function generateComprehensiveLog(testResults, isRecurrent = false) {
+function generateComprehensiveLog(testResults, { isRecurrent = false, disabledChecks = [], recurrence = null, runId, suppressionReport = null, baselineReport = null, dependencyHealth = null, workspaceSummary = null, packageManager = null, performanceReport = null } = {}) {
   const logsDir = path.join(process.cwd(), 'logs');
   
   // Criar pasta logs se não existir
@@ -164,13 +2726,13 @@ function generateComprehensiveLog(testResults, isRecurrent = false) {
     console.log('📁 Pasta "logs" criada.');
   }
   
-  const logFileName = createLogFileName();
+  const logFileName = runId ? `${runId}.log` : createLogFileName();
   const logPath = path.join(logsDir, logFileName);
   
   const timestamp = new Date().toISOString();
   
-  // Verificar se todos os testes foram bem-sucedidos (incluindo filtrados)
-  const overallSuccess = testResults.every(result => result.success || result.skipped);
+  // Verificar se todos os testes foram bem-sucedidos (incluindo suprimidos e opcionais)
+  const overallSuccess = !testResults.some(isFailure);
   
   // Verificar status do Prisma para incluir no log
   const prismaInstalled = isPrismaInstalled();
@@ -184,26 +2746,44 @@ function generateComprehensiveLog(testResults, isRecurrent = false) {
   logContent += `${'-'.repeat(30)}\n`;
   logContent += `Node.js: ${process.version}\n`;
   logContent += `Plataforma: ${process.platform}\n`;
+  if (packageManager) {
+    logContent += `Gerenciador de pacotes: ${packageManager.name} (${packageManager.source})\n`;
+  }
   logContent += `Prisma instalado: ${prismaInstalled ? 'Sim' : 'Não'}\n`;
   logContent += `Schema Prisma: ${prismaSchemaExists ? 'Encontrado' : 'Não encontrado'}\n`;
+  if (workspaceSummary) {
+    logContent += `Pacotes do workspace: ${workspaceSummary.filter(summary => summary.dir !== '.').length}\n`;
+  }
   logContent += `\n`;
   
-  // Status geral - baseado no sucesso APÓS filtros
+  // Execução cancelada - o relatório contém apenas o que foi concluído
+  if (runState.abortReason === 'interrupted') {
+    logContent += `⛔ EXECUÇÃO INTERROMPIDA (Ctrl+C): relatório parcial.\n\n`;
+  } else if (runState.abortReason === 'timeout') {
+    logContent += `⏰ TEMPO LIMITE GLOBAL EXCEDIDO: relatório parcial.\n\n`;
+  }
+  
+  // Status geral - baseado no sucesso APÓS supressões
   if (overallSuccess) {
     logContent += `✅ Status: SUCESSO\n\n`;
     
-    // Verificar se houve filtros aplicados
-    const filteredTests = testResults.filter(r => r.filtered);
-    if (filteredTests.length > 0) {
-      logContent += `🔧 FILTROS APLICADOS: Erros dos scripts de log foram removidos automaticamente.\n`;
-      logContent += `Arquivos filtrados: ${filteredTests.map(t => t.description).join(', ')}\n\n`;
+    // Verificações que só passaram por causa das supressões
+    const suppressedTests = testResults.filter(r => r.suppressed);
+    if (suppressedTests.length > 0) {
+      logContent += `🔇 SUPRESSÕES APLICADAS: ${suppressedTests.map(t => t.description).join(', ')}\n\n`;
+    }
+    
+    // Verificações que só passaram porque todos os diagnósticos estão no baseline
+    const baselinedTests = testResults.filter(r => r.baselined);
+    if (baselinedTests.length > 0) {
+      logContent += `📐 BASELINE APLICADO: ${baselinedTests.map(t => t.description).join(', ')}\n\n`;
     }
     
     logContent += `Todos os testes passaram com sucesso!\n\n`;
   } else {
     logContent += `❌ Status: ERRO\n\n`;
     if (isRecurrent) {
-      logContent += `⚠️  ERRO RECORRENTE: Problemas similares já foram detectados em logs anteriores.\n\n`;
+      logContent += `⚠️  ERRO RECORRENTE: ${recurrence.recurring.length} diagnóstico(s) já apareceram em execuções anteriores.\n\n`;
     }
   }
   
@@ -212,44 +2792,100 @@ function generateComprehensiveLog(testResults, isRecurrent = false) {
   logContent += `${'-'.repeat(30)}\n`;
   
   const successCount = testResults.filter(r => r.success).length;
-  const failedCount = testResults.filter(r => !r.success && !r.skipped).length;
+  const failedCount = testResults.filter(isFailure).length;
+  const warningCount = testResults.filter(isWarning).length;
+  const timeoutCount = testResults.filter(r => r.timedOut).length;
+  const interruptedCount = testResults.filter(r => r.interrupted || r.notRun).length;
   const skippedCount = testResults.filter(r => r.skipped).length;
-  const filteredCount = testResults.filter(r => r.filtered).length;
+  const cachedCount = testResults.filter(r => r.cached).length;
   
   logContent += `✅ Sucessos: ${successCount}\n`;
   logContent += `❌ Falhas: ${failedCount}\n`;
+  if (timeoutCount > 0) {
+    logContent += `⏰ Timeouts: ${timeoutCount}\n`;
+  }
+  if (interruptedCount > 0) {
+    logContent += `⛔ Interrompidos/não executados: ${interruptedCount}\n`;
+  }
+  if (warningCount > 0) {
+    logContent += `🟡 Avisos: ${warningCount}\n`;
+  }
   logContent += `⚠️  Ignorados: ${skippedCount}\n`;
-  if (filteredCount > 0) {
-    logContent += `🔧 Filtrados: ${filteredCount} (erros de scripts de log removidos)\n`;
+  if (cachedCount > 0) {
+    logContent += `♻️  Em cache: ${cachedCount}\n`;
+  }
+  if (suppressionReport && suppressionReport.total > 0) {
+    logContent += `🔇 Diagnósticos suprimidos: ${suppressionReport.total}\n`;
+  }
+  if (baselineReport && baselineReport.totals.baselined > 0) {
+    logContent += `📐 Diagnósticos no baseline: ${baselineReport.totals.baselined}\n`;
   }
   logContent += `📈 Total: ${testResults.length}\n\n`;
   
+  // Resultado agregado por pacote (monorepo)
+  if (workspaceSummary) {
+    logContent += formatWorkspaceSection(workspaceSummary);
+  }
+  
   // Detalhes de cada teste
   logContent += `📋 DETALHES DOS TESTES\n`;
   logContent += `${'-'.repeat(30)}\n\n`;
   
   testResults.forEach((result, index) => {
     let status;
-    if (result.skipped) {
+    if (result.notRun) {
+      status = '⏭️  NÃO EXECUTADO';
+    } else if (result.skipped) {
       status = '⚠️  IGNORADO';
-    } else if (result.success && result.filtered) {
-      status = '🔧 SUCESSO (FILTRADO)';
+    } else if (result.success && result.suppressed) {
+      status = '🔇 SUCESSO (SUPRIMIDO)';
+    } else if (result.success && result.baselined) {
+      status = '📐 SUCESSO (BASELINE)';
     } else if (result.success) {
       status = '✅ SUCESSO';
-    } else if (result.filtered) {
-      status = '🔧 FALHOU (FILTRADO)';
+    } else if (result.interrupted) {
+      status = '⛔ INTERROMPIDO';
+    } else if (result.timedOut) {
+      status = isWarning(result) ? '⏰ TIMEOUT (AVISO)' : '⏰ TIMEOUT';
+    } else if (isWarning(result)) {
+      status = '🟡 FALHOU (AVISO)';
     } else {
       status = '❌ FALHOU';
     }
+    if (result.cached) {
+      status += ' (CACHE)';
+    }
     
     logContent += `${index + 1}. ${result.description}\n`;
     logContent += `   Status: ${status}\n`;
     logContent += `   Comando: ${result.command}\n`;
     logContent += `   Código de saída: ${result.code}\n`;
     logContent += `   Horário: ${new Date(result.timestamp).toLocaleString('pt-BR')}\n`;
+    if (result.cached) {
+      logContent += `   Em cache desde: ${new Date(result.cachedAt).toLocaleString('pt-BR')} (duração original: ${formatSeconds(result.cachedDurationMs || 0)})\n`;
+    } else if (typeof result.durationMs === 'number') {
+      logContent += `   Duração: ${formatSeconds(result.durationMs)}\n`;
+    }
+    if (result.dependsOn && result.dependsOn.length > 0) {
+      logContent += `   Depende de: ${result.dependsOn.join(', ')}\n`;
+    }
+    
+    if (result.suppressedDiagnostics && result.suppressedDiagnostics.length > 0) {
+      logContent += `   Diagnósticos suprimidos: ${result.suppressedDiagnostics.length}\n`;
+    }
+    if (result.baselinedDiagnostics && result.baselinedDiagnostics.length > 0) {
+      logContent += `   Diagnósticos no baseline: ${result.baselinedDiagnostics.length}\n`;
+    }
     
-    // Só mostrar output se NÃO for um teste filtrado (para manter log limpo)
-    if (!result.filtered && result.output && result.output.length > 0) {
+    // Só mostrar output se a falha NÃO foi totalmente suprimida (para manter log limpo)
+    // Saídas em JSON (eslint, npm audit) aparecem como a lista de diagnósticos
+    const fullyCovered = result.suppressed || result.baselined;
+    if (!fullyCovered && JSON_OUTPUT_PARSERS.has(result.parser) && result.diagnostics && result.diagnostics.length > 0) {
+      logContent += `   Diagnósticos:\n`;
+      result.diagnostics.forEach(diagnostic => {
+        logContent += `     ${formatDiagnosticLine(diagnostic)}\n`;
+      });
+    } else if (!fullyCovered && result.output && result.output.length > 0) {
       logContent += `   Output:\n`;
       const outputLines = result.output.split('\n');
       outputLines.forEach(line => {
@@ -257,168 +2893,821 @@ function generateComprehensiveLog(testResults, isRecurrent = false) {
           logContent += `     ${line}\n`;
         }
       });
-    } else if (result.filtered) {
-      logContent += `   ℹ️  Output: [Filtrado - erros dos scripts de log removidos]\n`;
+    } else if (result.suppressed) {
+      logContent += `   ℹ️  Output: [Suprimido - todos os diagnósticos cobertos por supressões]\n`;
+    } else if (result.baselined) {
+      logContent += `   ℹ️  Output: [Baseline - todos os diagnósticos já estão no baseline]\n`;
     }
     
     logContent += `\n`;
   });
   
-  // Seção de erros detalhados (apenas para falhas reais, não filtradas)
-  const failedTests = testResults.filter(r => !r.success && !r.skipped && !r.filtered);
-  if (failedTests.length > 0) {
-    logContent += `🚨 ERROS DETALHADOS\n`;
-    logContent += `${'-'.repeat(30)}\n\n`;
+  // Seção de erros detalhados (apenas para falhas reais)
+  const failedTests = testResults.filter(isFailure);
+  if (failedTests.length > 0) {
+    logContent += `🚨 ERROS DETALHADOS\n`;
+    logContent += `${'-'.repeat(30)}\n\n`;
+    
+    failedTests.forEach((result, index) => {
+      logContent += `Erro ${index + 1}: ${result.description}\n`;
+      logContent += `${'-'.repeat(20)}\n`;
+      
+      if (JSON_OUTPUT_PARSERS.has(result.parser) && result.diagnostics && result.diagnostics.length > 0) {
+        logContent += `Detalhes do erro:\n${result.diagnostics.map(formatDiagnosticLine).join('\n')}\n\n`;
+        return;
+      }
+      
+      if (result.stderr) {
+        logContent += `Detalhes do erro:\n${result.stderr}\n\n`;
+      }
+      
+      if (result.stdout && result.stdout !== result.stderr) {
+        logContent += `Output adicional:\n${result.stdout}\n\n`;
+      }
+    });
+  }
+  
+  // Histórico dos diagnósticos em relação às execuções anteriores
+  if (recurrence) {
+    logContent += formatRecurrenceSection(recurrence);
+  }
+  
+  // Supressões aplicadas, sem correspondência ou expiradas
+  if (suppressionReport && (suppressionReport.total > 0 || suppressionReport.unmatched.length > 0 || suppressionReport.expired.length > 0)) {
+    logContent += formatSuppressionSection(suppressionReport);
+  }
+  
+  // Diagnósticos novos, corrigidos e já conhecidos (baseline)
+  if (baselineReport && Object.keys(baselineReport.checks).length > 0) {
+    logContent += formatBaselineSection(baselineReport, testResults);
+  }
+  
+  // Vulnerabilidades e problemas de instalação (npm audit / npm ls)
+  if (dependencyHealth) {
+    logContent += formatDependencyHealthSection(dependencyHealth);
+  }
+  
+  // Tempos por verificação e tamanhos das rotas em relação às execuções anteriores
+  if (performanceReport && (performanceReport.checks.length > 0 || performanceReport.bundles.length > 0)) {
+    logContent += formatPerformanceSection(performanceReport);
+  }
+  
+  // Rodapé
+  logContent += `${'='.repeat(60)}\n`;
+  logContent += `Testes executados: ${testResults.map(r => r.description).join(', ')}\n`;
+  
+  // Informações sobre testes ignorados (num monorepo o Prisma é detectado por pacote)
+  if (!workspaceSummary && (!prismaInstalled || !prismaSchemaExists)) {
+    logContent += `Testes ignorados: `;
+    const ignoredTests = [];
+    if (!prismaInstalled) {
+      ignoredTests.push('Prisma (não instalado)');
+    } else if (!prismaSchemaExists) {
+      ignoredTests.push('Prisma (schema não encontrado)');
+    }
+    logContent += `${ignoredTests.join(', ')}\n`;
+  }
+  
+  if (disabledChecks.length > 0) {
+    logContent += `Verificações desativadas: ${disabledChecks.map(check => `${check.label} [${check.id}] (condição: ${describeCondition(check.condition)})`).join(', ')}\n`;
+  }
+  
+  logContent += `Data/Hora: ${timestamp}\n`;
+  logContent += `Duração total: ${Math.round((Date.now() - startTime) / 1000)}s\n`;
+  
+  const criticalPath = computeCriticalPath(testResults);
+  if (criticalPath.path.length > 0) {
+    const summedMs = testResults.reduce((total, r) => total + (r.durationMs || 0), 0);
+    logContent += `Caminho crítico: ${formatSeconds(criticalPath.durationMs)} (${criticalPath.path.join(' → ')})\n`;
+    logContent += `Tempo somado das verificações: ${formatSeconds(summedMs)}\n`;
+  }
+  
+  fs.writeFileSync(logPath, logContent);
+  console.log(`📄 Log completo salvo em: ${logPath}`);
+  
+  // Relatório estruturado (JSON) ao lado do log legível
+  const jsonPath = logPath.replace(/\.log$/, '.json');
+  const runRecord = buildRunRecord(testResults, isRecurrent, {
+    runId: path.basename(logFileName, '.log'),
+    recurrence,
+    timestamp,
+    prismaInstalled,
+    prismaSchemaExists,
+    disabledChecks,
+    suppressionReport,
+    baselineReport,
+    dependencyHealth,
+    workspaceSummary,
+    packageManager,
+    performanceReport
+  });
+  fs.writeFileSync(jsonPath, JSON.stringify(runRecord, null, 2) + '\n');
+  console.log(`🧾 Relatório JSON salvo em: ${jsonPath}`);
+  
+  return logPath;
+}
+
+// Função para formatar um diagnóstico em uma linha do log (arquivo:linha:coluna  severidade  mensagem  código)
+function formatDiagnosticLine(diagnostic) {
+  const position = [diagnostic.file, diagnostic.line, diagnostic.column].filter(Boolean).join(':');
+  return [position, diagnostic.severity, diagnostic.message, diagnostic.code].filter(Boolean).join('  ');
+}
+
+// Função para montar a seção de histórico de erros do log
+function formatRecurrenceSection(recurrence) {
+  const limit = 20;
+  const list = (items, format) => {
+    let text = items.slice(0, limit).map(item => `  - ${format(item)}\n`).join('');
+    if (items.length > limit) {
+      text += `  ... e mais ${items.length - limit}\n`;
+    }
+    return text;
+  };
+  
+  let section = `🔁 HISTÓRICO DE ERROS\n`;
+  section += `${'-'.repeat(30)}\n`;
+  
+  if (recurrence.previousRunId) {
+    section += `Comparado com a execução anterior (${recurrence.previousRunId}): `;
+    section += `${recurrence.introduced.length} novo(s), ${recurrence.fixed.length} corrigido(s)\n\n`;
+  } else {
+    section += `Primeira execução registrada no histórico.\n\n`;
+  }
+  
+  if (recurrence.introduced.length > 0 && recurrence.previousRunId) {
+    section += `🆕 Novos:\n${list(recurrence.introduced, describeDiagnostic)}\n`;
+  }
+  
+  if (recurrence.fixed.length > 0) {
+    section += `✅ Corrigidos:\n${list(recurrence.fixed, describeDiagnostic)}\n`;
+  }
+  
+  if (recurrence.recurring.length > 0) {
+    section += `♻️  Recorrentes:\n`;
+    section += list(recurrence.recurring, item => {
+      let text = `${describeDiagnostic(item)}\n      primeira vez em ${item.firstSeenRun}, visto ${item.seenCount} vezes`;
+      if (item.lastFixedRun) {
+        text += `, última correção em ${item.lastFixedRun}`;
+      }
+      return text;
+    });
+    section += `\n`;
+  }
+  
+  return section;
+}
+
+// Função para descrever uma condição "enabled" em texto
+function describeCondition(condition) {
+  if (typeof condition === 'function') return 'função personalizada';
+  if (Array.isArray(condition)) return condition.map(describeCondition).join(' e ');
+  return String(condition);
+}
+
+// Função para escapar texto para XML (remove cores ANSI e caracteres inválidos em XML 1.0)
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Função para gerar o relatório JUnit XML (um testcase por verificação)
+function generateJUnitReport(testResults, junitPath) {
+  const toSeconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+  const failures = testResults.filter(isFailure);
+  const skipped = testResults.filter(r => r.skipped && !isFailure(r));
+  const totalMs = Date.now() - startTime;
+  const timestamp = new Date(startTime).toISOString();
+  
+  const testcases = testResults.map(result => {
+    const status = getResultStatus(result);
+    let xml = `    <testcase classname="build-logger.${escapeXml(result.id || 'main')}" name="${escapeXml(result.description)}" time="${toSeconds(result.durationMs)}">\n`;
+    
+    if (isFailure(result)) {
+      const message = result.timedOut
+        ? 'Tempo limite excedido'
+        : result.skipped
+          ? 'Verificação ignorada (exigida por --fail-on)'
+          : `Falhou (código: ${result.code})`;
+      xml += `      <failure message="${escapeXml(message)}" type="${status}">${escapeXml(result.output)}</failure>\n`;
+    } else if (result.skipped || result.interrupted) {
+      xml += `      <skipped message="${escapeXml(result.stderr || status)}"/>\n`;
+    }
+    
+    if (result.stdout) {
+      xml += `      <system-out>${escapeXml(isWarning(result) ? `[AVISO]\n${result.stdout}` : result.stdout)}</system-out>\n`;
+    }
+    if (result.stderr && !result.skipped) {
+      xml += `      <system-err>${escapeXml(result.stderr)}</system-err>\n`;
+    }
+    
+    xml += `    </testcase>\n`;
+    return xml;
+  }).join('');
+  
+  const counts = `tests="${testResults.length}" failures="${failures.length}" errors="0" skipped="${skipped.length}" time="${toSeconds(totalMs)}"`;
+  
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  xml += `<testsuites name="build-logger" ${counts}>\n`;
+  xml += `  <testsuite name="build-logger" ${counts} timestamp="${timestamp}" hostname="${escapeXml(os.hostname())}">\n`;
+  xml += testcases;
+  xml += `  </testsuite>\n`;
+  xml += `</testsuites>\n`;
+  
+  fs.mkdirSync(path.dirname(junitPath), { recursive: true });
+  fs.writeFileSync(junitPath, xml);
+  console.log(`🧪 Relatório JUnit salvo em: ${junitPath}`);
+  
+  return junitPath;
+}
+
+// Versão do formato do relatório JSON (incrementar ao mudar a estrutura)
+const RUN_RECORD_VERSION = 2;
+
+// Função para montar o registro estruturado da execução (relatório JSON)
+function buildRunRecord(testResults, isRecurrent, { runId, recurrence, timestamp, prismaInstalled, prismaSchemaExists, disabledChecks = [], suppressionReport = null, baselineReport = null, dependencyHealth = null, workspaceSummary = null, packageManager = null, performanceReport = null }) {
+  const overallSuccess = !testResults.some(isFailure);
+  
+  return {
+    version: RUN_RECORD_VERSION,
+    runId,
+    timestamp,
+    startedAt: new Date(startTime).toISOString(),
+    durationMs: Date.now() - startTime,
+    status: overallSuccess ? 'success' : 'error',
+    exitCode: computeExitCode(testResults),
+    failOn: [...failPolicy.rules, ...[...failPolicy.warnOnly].map(id => `!${id}`)],
+    aborted: runState.abortReason,
+    isRecurrent: Boolean(isRecurrent),
+    environment: {
+      node: process.version,
+      platform: process.platform,
+      arch: process.arch,
+      cwd: process.cwd(),
+      prismaInstalled: Boolean(prismaInstalled),
+      prismaSchemaExists: Boolean(prismaSchemaExists),
+      packageManager: packageManager ? packageManager.name : null
+    },
+    summary: {
+      total: testResults.length,
+      success: testResults.filter(r => r.success).length,
+      failed: testResults.filter(isFailure).length,
+      warnings: testResults.filter(isWarning).length,
+      timeouts: testResults.filter(r => r.timedOut).length,
+      interrupted: testResults.filter(r => r.interrupted || r.notRun).length,
+      skipped: testResults.filter(r => r.skipped).length,
+      suppressed: testResults.filter(r => r.suppressed).length,
+      cached: testResults.filter(r => r.cached).length,
+      suppressedDiagnostics: suppressionReport ? suppressionReport.total : 0,
+      baselined: testResults.filter(r => r.baselined).length,
+      baselinedDiagnostics: baselineReport ? baselineReport.totals.baselined : 0,
+      performanceRegressions: performanceReport ? performanceReport.regressions.length : 0
+    },
+    criticalPath: computeCriticalPath(testResults),
+    history: recurrence,
+    suppressions: suppressionReport,
+    baseline: baselineReport,
+    dependencyHealth,
+    workspaces: workspaceSummary,
+    performance: performanceReport,
+    disabledChecks: disabledChecks.map(check => ({
+      id: check.id,
+      label: check.label,
+      condition: describeCondition(check.condition)
+    })),
+    testResults: testResults.map(result => ({
+      id: result.id || null,
+      checkId: result.checkId || result.id || null,
+      workspace: result.workspace || null,
+      description: result.description,
+      command: result.command,
+      status: getResultStatus(result),
+      code: result.code,
+      signal: result.signal || null,
+      success: result.success,
+      skipped: Boolean(result.skipped),
+      suppressed: Boolean(result.suppressed),
+      baselined: Boolean(result.baselined),
+      cached: Boolean(result.cached),
+      cachedAt: result.cachedAt || null,
+      optional: Boolean(result.optional),
+      timedOut: Boolean(result.timedOut),
+      interrupted: Boolean(result.interrupted),
+      notRun: Boolean(result.notRun),
+      disabled: Boolean(result.disabled),
+      startedAt: result.startedAt || null,
+      finishedAt: result.timestamp,
+      durationMs: typeof result.durationMs === 'number' ? result.durationMs : null,
+      dependsOn: result.dependsOn || [],
+      parser: result.parser || null,
+      diagnostics: result.diagnostics || [],
+      suppressedDiagnostics: result.suppressedDiagnostics || [],
+      baselinedDiagnostics: result.baselinedDiagnostics || [],
+      stdout: result.stdout,
+      stderr: result.stderr
+    }))
+  };
+}
+
+// Arquivo do cache de resultados das verificações (chaveado pelo hash das entradas)
+const CHECK_CACHE_FILE = 'check-cache.json';
+
+// Pastas nunca percorridas ao calcular o hash das entradas
+const CACHE_IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.next', 'logs', 'out', 'coverage']);
+
+// Função para listar os arquivos do projeto (caminhos relativos com "/")
+function listProjectFiles(dir = process.cwd(), prefix = '') {
+  const files = [];
+  
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
     
-    failedTests.forEach((result, index) => {
-      logContent += `Erro ${index + 1}: ${result.description}\n`;
-      logContent += `${'-'.repeat(20)}\n`;
-      
-      if (result.stderr) {
-        logContent += `Detalhes do erro:\n${result.stderr}\n\n`;
-      }
-      
-      if (result.stdout && result.stdout !== result.stderr) {
-        logContent += `Output adicional:\n${result.stdout}\n\n`;
+    if (entry.isDirectory()) {
+      if (!CACHE_IGNORED_DIRECTORIES.has(entry.name)) {
+        files.push(...listProjectFiles(path.join(dir, entry.name), relative));
       }
-    });
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
   }
   
-  // Seção para informar sobre erros filtrados (sem mostrar detalhes)
-  const filteredFailedTests = testResults.filter(r => !r.success && r.filtered);
-  if (filteredFailedTests.length > 0) {
-    logContent += `🔧 ERROS FILTRADOS\n`;
-    logContent += `${'-'.repeat(30)}\n\n`;
-    
-    filteredFailedTests.forEach((result, index) => {
-      logContent += `Filtrado ${index + 1}: ${result.description}\n`;
-      logContent += `${'-'.repeat(20)}\n`;
-      logContent += `Tipo: Erros dos scripts de log removidos\n`;
-      logContent += `Motivo: Continha referências a build-logger.js, analyze-logs.js ou setup-ignore-scripts.js\n\n`;
-    });
+  return files;
+}
+
+// Função para ler a versão instalada de um pacote (node_modules/<pacote>/package.json)
+function getInstalledVersion(packageName) {
+  try {
+    const packagePath = path.join(process.cwd(), 'node_modules', packageName, 'package.json');
+    return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version;
+  } catch (error) {
+    return null;
   }
+}
+
+// Função para calcular o hash das entradas de uma verificação
+// (comando, versão do Node, versões das ferramentas e conteúdo dos arquivos declarados)
+function hashCheckInputs(check, projectFiles) {
+  const patterns = check.inputs.map(globToRegExp);
+  const files = new Set(projectFiles.filter(file => patterns.some(pattern => pattern.test(file))));
   
-  // Rodapé
-  logContent += `${'='.repeat(60)}\n`;
-  logContent += `Testes executados: ${testResults.map(r => r.description).join(', ')}\n`;
+  // Caminhos explícitos dentro de pastas ignoradas (ex.: node_modules/.package-lock.json)
+  check.inputs
+    .filter(input => !/[*?]/.test(input) && fs.existsSync(input) && fs.statSync(input).isFile())
+    .forEach(input => files.add(input));
   
-  // Informações sobre testes ignorados
-  if (!prismaInstalled || !prismaSchemaExists) {
-    logContent += `Testes ignorados: `;
-    const ignoredTests = [];
-    if (!prismaInstalled) {
-      ignoredTests.push('Prisma (não instalado)');
-    } else if (!prismaSchemaExists) {
-      ignoredTests.push('Prisma (schema não encontrado)');
+  const hash = crypto.createHash('sha1');
+  hash.update(JSON.stringify({
+    command: check.command,
+    args: check.args,
+    node: process.version,
+    tools: check.tools.map(name => `${name}@${getInstalledVersion(name)}`)
+  }));
+  
+  [...files].sort().forEach(file => {
+    hash.update(`\n${file}\n`);
+    hash.update(fs.readFileSync(file));
+  });
+  
+  return hash.digest('hex');
+}
+
+// Função para criar o cache de resultados (logs/check-cache.json)
+// reuse: false (--no-cache) ignora os resultados guardados, mas continua atualizando o cache
+function createCheckCache(logsDir, { reuse = true } = {}) {
+  const cachePath = path.join(logsDir, CHECK_CACHE_FILE);
+  let entries = {};
+  let projectFiles = null;
+  
+  try {
+    if (fs.existsSync(cachePath)) {
+      entries = JSON.parse(fs.readFileSync(cachePath, 'utf8')).entries || {};
     }
-    logContent += `${ignoredTests.join(', ')}\n`;
+  } catch (error) {
+    console.log(`⚠️  Cache de verificações inválido (${error.message}) - recriando`);
   }
   
-  logContent += `Data/Hora: ${timestamp}\n`;
-  logContent += `Duração total: ${Math.round((Date.now() - startTime) / 1000)}s\n`;
+  return {
+    // Verificações sem "inputs" nunca usam cache
+    keyFor(check) {
+      if (!check.inputs || check.inputs.length === 0) return null;
+      projectFiles = projectFiles || listProjectFiles();
+      return hashCheckInputs(check, projectFiles);
+    },
+    lookup(check, key) {
+      const entry = entries[check.id];
+      if (!reuse || !entry || entry.key !== key) return null;
+      if (check.cacheTtl && Date.now() - Date.parse(entry.storedAt) > check.cacheTtl) return null;
+      
+      const now = new Date().toISOString();
+      return {
+        ...entry.result,
+        cached: true,
+        cachedAt: entry.storedAt,
+        cachedDurationMs: entry.result.durationMs,
+        startedAt: now,
+        durationMs: 0,
+        timestamp: now
+      };
+    },
+    store(check, key, result) {
+      // Timeouts, interrupções e falhas ao iniciar não dizem nada sobre as entradas
+      if (!hasCompleted(result)) {
+        delete entries[check.id];
+        return;
+      }
+      
+      entries[check.id] = {
+        key,
+        storedAt: result.timestamp,
+        result: {
+          command: result.command,
+          description: result.description,
+          code: result.code,
+          signal: result.signal || null,
+          success: result.success,
+          stdout: result.stdout,
+          stderr: result.stderr,
+          output: result.output,
+          durationMs: result.durationMs
+        }
+      };
+    },
+    save() {
+      fs.mkdirSync(logsDir, { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({ version: 1, entries }, null, 2) + '\n');
+    }
+  };
+}
+
+// Função para executar uma verificação, reaproveitando o resultado em cache quando as entradas não mudaram
+async function runCheck(check, { reporter, cache }) {
+  const cacheKey = cache ? cache.keyFor(check) : null;
+  const cached = cacheKey ? cache.lookup(check, cacheKey) : null;
   
-  fs.writeFileSync(logPath, logContent);
-  console.log(`📄 Log completo salvo em: ${logPath}`);
+  if (cached) {
+    reporter.start(check);
+    reporter.finish(check, cached);
+    return cached;
+  }
   
-  return logPath;
+  const result = await runCommand(check.command, check.args, check.label, { timeout: check.timeout, reporter, check, cwd: check.cwd });
+  if (cacheKey) {
+    cache.store(check, cacheKey, result);
+  }
+  return result;
 }
 
+// Número padrão de verificações executadas ao mesmo tempo
+const DEFAULT_CONCURRENCY = 4;
+
 // Função principal para executar todos os testes
-async function runAllTests() {
+// only: lista de ids para rodar apenas parte das verificações (modo --watch e --only)
+// config.cache: false desativa o cache; reuseCache: false (--no-cache) força a execução de tudo
+async function runAllTests({ concurrency = DEFAULT_CONCURRENCY, config = { checks: [] }, outputMode = 'plain', only = null, reuseCache = true } = {}) {
   console.log('🚀 Iniciando bateria completa de testes...\n');
   
-  const testResults = [];
+  if (config.path) {
+    console.log(`🧩 Configuração carregada: ${path.basename(config.path)}`);
+  }
   
-  // Verificar se Prisma está instalado
-  const prismaInstalled = isPrismaInstalled();
-  const prismaSchemaExists = hasPrismaSchema();
+  const packageManager = detectPackageManager(process.cwd(), config.packageManager);
+  console.log(`📦 Gerenciador de pacotes: ${packageManager.name} (${packageManager.source})`);
+  
+  // Verificações vêm do registro (embutidas + build-logger.config.*).
+  // Verificações sem dependência entre si (dependsOn) rodam em paralelo.
+  const { checks: allChecks, disabledChecks, workspaces } = resolveChecks(config);
   
-  if (prismaInstalled && prismaSchemaExists) {
-    console.log('✅ Prisma detectado - testes do Prisma serão incluídos');
-  } else if (!prismaInstalled) {
-    console.log('⚠️  Prisma não instalado - testes do Prisma serão ignorados');
-  } else if (!prismaSchemaExists) {
-    console.log('⚠️  Schema do Prisma não encontrado - testes do Prisma serão ignorados');
+  // Verificar se Prisma está instalado (em cada pacote, num monorepo)
+  if (workspaces.length > 0) {
+    console.log(`🗂️  Workspace com ${workspaces.length} pacote(s): ${workspaces.map(workspace => workspace.name).join(', ')}`);
+    workspaces.forEach(workspace => {
+      const hasPrisma = isPrismaInstalled(workspace.path) && hasPrismaSchema(workspace.path);
+      console.log(`   ${hasPrisma ? '✅' : '➖'} ${workspace.name} (${workspace.dir})${hasPrisma ? ' - Prisma detectado' : ''}`);
+    });
+  } else {
+    const prismaInstalled = isPrismaInstalled();
+    const prismaSchemaExists = hasPrismaSchema();
+    
+    if (prismaInstalled && prismaSchemaExists) {
+      console.log('✅ Prisma detectado - testes do Prisma serão incluídos');
+    } else if (!prismaInstalled) {
+      console.log('⚠️  Prisma não instalado - testes do Prisma serão ignorados');
+    } else if (!prismaSchemaExists) {
+      console.log('⚠️  Schema do Prisma não encontrado - testes do Prisma serão ignorados');
+    }
   }
   console.log('');
   
-  // 1. TypeScript Check
-  testResults.push(
-    await runCommand('npx', ['tsc', '--noEmit'], 'Verificação TypeScript')
-  );
+  const checks = only ? allChecks.filter(check => only.includes(check.id)) : allChecks;
+  const unknownChecks = only ? only.filter(id => !allChecks.some(check => check.id === id)) : [];
+  if (unknownChecks.length > 0) {
+    console.log(`⚠️  Verificações não encontradas (ou desativadas) em --only: ${unknownChecks.join(', ')}\n`);
+  }
+  
+  console.log(`⚙️  Executando ${checks.length} verificações (concorrência máxima: ${concurrency}, saída: ${outputMode})\n`);
   
-  // 2. ESLint Check
-  testResults.push(
-    await runCommand('npx', ['eslint', '.', '--max-warnings', '0'], 'Verificação ESLint')
-  );
+  const cache = config.cache !== false
+    ? createCheckCache(path.join(process.cwd(), 'logs'), { reuse: reuseCache })
+    : null;
   
-  // 3. Prisma Generate (apenas se Prisma estiver instalado e schema existir)
-  if (prismaInstalled && prismaSchemaExists) {
-    testResults.push(
-      await runCommand('npx', ['prisma', 'generate'], 'Geração do Cliente Prisma')
-    );
+  const reporter = createReporter(outputMode, checks);
+  const testResults = await runChecksWithDependencies(checks, concurrency, reporter, cache);
+  reporter.stop();
+  
+  if (cache) {
+    cache.save();
   }
   
-  // 4. Prisma Migrate Status (apenas se Prisma estiver instalado e schema existir)
-  if (prismaInstalled && prismaSchemaExists) {
-    testResults.push(
-      await runCommand('npx', ['prisma', 'migrate', 'status'], 'Status das Migrações Prisma')
-    );
+  return { testResults, disabledChecks, workspaces, packageManager };
+}
+
+// Função para validar o grafo de dependências entre as verificações
+// Dependências para verificações desativadas (ex.: Prisma ausente) são ignoradas
+function validateCheckGraph(checks) {
+  const byId = new Map(checks.map(check => [check.id, check]));
+  const visiting = new Set();
+  const visited = new Set();
+  
+  function visit(check, trail) {
+    if (visited.has(check.id)) return;
+    if (visiting.has(check.id)) {
+      throw new Error(`Dependência circular entre verificações: ${[...trail, check.id].join(' → ')}`);
+    }
+    
+    visiting.add(check.id);
+    for (const dep of check.dependsOn || []) {
+      if (byId.has(dep)) {
+        visit(byId.get(dep), [...trail, check.id]);
+      }
+    }
+    visiting.delete(check.id);
+    visited.add(check.id);
   }
   
-  // 5. Build do Next.js
-  testResults.push(
-    await runCommand('npm', ['run', 'build:dev'], 'Build do Next.js')
-  );
+  checks.forEach(check => visit(check, []));
+}
+
+// Função para executar as verificações respeitando dependências e limite de concorrência
+// Os resultados são devolvidos na ordem em que as verificações foram declaradas
+function runChecksWithDependencies(checks, concurrency, reporter = createPlainReporter(), cache = null) {
+  validateCheckGraph(checks);
+  
+  const knownIds = new Set(checks.map(check => check.id));
+  const dependenciesOf = (check) => (check.dependsOn || []).filter(dep => knownIds.has(dep));
+  
+  return new Promise((resolve) => {
+    const results = new Array(checks.length);
+    const started = new Set();
+    const finished = new Set();
+    let running = 0;
+    
+    function schedule() {
+      // Execução cancelada: verificações que não começaram ficam como não executadas
+      if (runState.abortReason) {
+        checks.forEach((check, index) => {
+          if (started.has(check.id)) return;
+          started.add(check.id);
+          finished.add(check.id);
+          results[index] = createNotRunResult(check, runState.abortReason);
+        });
+      }
+      
+      if (finished.size === checks.length) {
+        resolve(results);
+        return;
+      }
+      
+      checks.forEach((check, index) => {
+        if (running >= concurrency || started.has(check.id)) return;
+        if (!dependenciesOf(check).every(dep => finished.has(dep))) return;
+        
+        started.add(check.id);
+        running++;
+        
+        runCheck(check, { reporter, cache }).then(result => {
+          results[index] = {
+            ...result,
+            id: check.id,
+            checkId: check.checkId,
+            workspace: check.workspace,
+            cwd: check.cwd,
+            parser: check.parser,
+            dependsOn: dependenciesOf(check),
+            optional: !check.required
+          };
+          running--;
+          finished.add(check.id);
+          schedule();
+        });
+      });
+    }
+    
+    schedule();
+  });
+}
+
+// Função para criar o resultado de uma verificação que não chegou a rodar
+function createNotRunResult(check, abortReason) {
+  const reason = abortReason === 'timeout'
+    ? 'Não executada: tempo limite global da execução excedido'
+    : 'Não executada: execução interrompida pelo usuário';
+  
+  return {
+    id: check.id,
+    checkId: check.checkId,
+    workspace: check.workspace,
+    command: `${check.command} ${check.args.join(' ')}`,
+    description: check.label,
+    code: null,
+    success: false,
+    skipped: true,
+    notRun: true,
+    optional: !check.required,
+    stdout: '',
+    stderr: reason,
+    output: reason,
+    durationMs: 0,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Função para calcular o caminho crítico (maior cadeia de dependências em tempo)
+function computeCriticalPath(testResults) {
+  const byId = new Map(testResults.filter(r => r.id).map(r => [r.id, r]));
+  const memo = new Map();
   
-  // 6. Verificação de dependências (opcional)
-  testResults.push(
-    await runCommand('npm', ['audit', '--audit-level', 'high'], 'Auditoria de Segurança')
-  );
+  function longestChainTo(result) {
+    if (memo.has(result.id)) return memo.get(result.id);
+    
+    let best = { durationMs: 0, path: [] };
+    for (const dep of result.dependsOn || []) {
+      if (!byId.has(dep)) continue;
+      const chain = longestChainTo(byId.get(dep));
+      if (chain.durationMs > best.durationMs) best = chain;
+    }
+    
+    const chain = {
+      durationMs: best.durationMs + (result.durationMs || 0),
+      path: [...best.path, result.id]
+    };
+    memo.set(result.id, chain);
+    return chain;
+  }
   
-  // 7. Verificação de tipos do package.json
-  testResults.push(
-    await runCommand('npm', ['ls', '--depth=0'], 'Verificação de Dependências')
-  );
+  let critical = { durationMs: 0, path: [] };
+  for (const result of byId.values()) {
+    const chain = longestChainTo(result);
+    if (chain.durationMs > critical.durationMs) critical = chain;
+  }
   
-  return testResults;
+  return critical;
 }
 
 // Variável para medir tempo total
 let startTime;
 
 // Função principal
-async function main() {
+async function main(options = {}) {
   startTime = Date.now();
   
   try {
     // Executar todos os testes
-    const rawTestResults = await runAllTests();
+    const config = applyCliOverrides(loadBuildLoggerConfig(options.configPath), options);
+    const concurrency = options.concurrency || config.concurrency || DEFAULT_CONCURRENCY;
+    setFailPolicy(options.failOn || config.failOn || DEFAULT_FAIL_ON);
+    
+    // Supressões carregadas antes das verificações para que erros no arquivo apareçam logo
+    const { path: suppressionsPath, suppressions } = loadSuppressions(options.suppressionsPath || config.suppressionsFile);
+    if (suppressionsPath) {
+      console.log(`🔇 Supressões carregadas: ${path.basename(suppressionsPath)} (${suppressions.length})`);
+    }
+    
+    // Tempo limite global da execução (em ms)
+    const runTimeout = options.runTimeout || config.runTimeout;
+    const runTimer = runTimeout ? setTimeout(() => {
+      console.log(`\n⏰ Tempo limite global excedido (${formatSeconds(runTimeout)}) - encerrando verificações...`);
+      abortRun('timeout');
+    }, runTimeout) : null;
+    
+    // No modo --watch os sinais são tratados pelo próprio watch
+    if (!options.watchCycle) {
+      process.on('SIGINT', handleInterrupt);
+      process.on('SIGTERM', handleInterrupt);
+    }
     
-    console.log('\n🔧 Filtrando erros dos scripts de log...');
+    const outputMode = options.outputMode || detectOutputMode();
+    const { testResults: rawTestResults, disabledChecks, workspaces, packageManager } = await runAllTests({
+      concurrency,
+      config,
+      outputMode,
+      only: options.only,
+      reuseCache: options.cache !== false
+    });
+    clearTimeout(runTimer);
+    
+    const testResults = [
+      ...rawTestResults,
+      ...createDisabledResults(disabledChecks)
+    ];
+    
+    // Diagnósticos individuais (com fingerprint), supressões e histórico entre execuções
+    testResults.forEach(result => {
+      result.diagnostics = result.success ? [] : parseDiagnostics(result, { packageManager });
+    });
     
-    // Filtrar erros relacionados aos scripts de log
-    const testResults = filterLogScriptErrors(rawTestResults);
+    const suppressionReport = applySuppressions(testResults, suppressions);
+    
+    // Baseline: com --update-baseline os diagnósticos atuais passam a ser a dívida conhecida
+    const baselinePath = path.resolve(process.cwd(), options.baselinePath || config.baselineFile || DEFAULT_BASELINE_FILE);
+    if (options.updateBaseline) {
+      const updated = updateBaseline(baselinePath, testResults);
+      const entryCount = Object.values(updated.checks).reduce((total, entries) => total + entries.reduce((sum, entry) => sum + entry.count, 0), 0);
+      console.log(`📐 Baseline atualizado: ${path.basename(baselinePath)} (${entryCount} diagnóstico(s) em ${Object.keys(updated.checks).length} verificação(ões))`);
+    } else if (options.baselinePath && !fs.existsSync(baselinePath)) {
+      throw new Error(`Arquivo de baseline não encontrado: ${options.baselinePath} (crie com --update-baseline)`);
+    }
+    const baseline = loadBaseline(baselinePath);
+    const baselineReport = baseline ? applyBaseline(testResults, baseline) : null;
+    
+    const dependencyHealth = buildDependencyHealth(testResults, packageManager);
+    const workspaceSummary = workspaces.length > 0 ? summarizeWorkspaces(testResults, workspaces) : null;
     
     console.log('\n' + '='.repeat(60));
     console.log('📊 RESULTADO FINAL');
     console.log('='.repeat(60));
     
-    // Verificar se há erros recorrentes
     const logsDir = path.join(process.cwd(), 'logs');
-    const isRecurrent = checkIfErrorIsRecurrent(testResults, logsDir);
+    const runId = path.basename(createLogFileName(), '.log');
+    const recurrence = updateErrorHistory(testResults, logsDir, runId);
+    const isRecurrent = recurrence.recurring.length > 0;
+    
+    // Tempos e tamanhos das rotas comparados com a mediana das execuções anteriores (performance: false desativa)
+    const performanceReport = config.performance === false
+      ? null
+      : updatePerformanceHistory(testResults, logsDir, runId, resolvePerformanceThresholds(config));
     
     // Análise dos resultados (após filtro)
     const successCount = testResults.filter(r => r.success).length;
-    const failedCount = testResults.filter(r => !r.success && !r.skipped).length;
+    const failedCount = testResults.filter(isFailure).length;
+    const warningCount = testResults.filter(isWarning).length;
+    const timeoutCount = testResults.filter(r => r.timedOut).length;
+    const interruptedCount = testResults.filter(r => r.interrupted || r.notRun).length;
     const skippedCount = testResults.filter(r => r.skipped).length;
-    const filteredCount = testResults.filter(r => r.filtered).length;
+    const cachedCount = testResults.filter(r => r.cached).length;
     
     console.log(`✅ Sucessos: ${successCount}`);
     console.log(`❌ Falhas: ${failedCount}`);
+    if (timeoutCount > 0) {
+      console.log(`⏰ Timeouts: ${timeoutCount}`);
+    }
+    if (interruptedCount > 0) {
+      console.log(`⛔ Interrompidos/não executados: ${interruptedCount}`);
+    }
+    if (warningCount > 0) {
+      console.log(`🟡 Avisos: ${warningCount}`);
+    }
     console.log(`⚠️  Ignorados: ${skippedCount}`);
-    if (filteredCount > 0) {
-      console.log(`🔧 Filtrados: ${filteredCount} (erros de scripts de log removidos)`);
+    if (cachedCount > 0) {
+      console.log(`♻️  Em cache: ${cachedCount} (use --no-cache para executar tudo de novo)`);
+    }
+    if (suppressionReport.total > 0) {
+      console.log(`🔇 Diagnósticos suprimidos: ${suppressionReport.total}`);
+      Object.entries(suppressionReport.ruleCounts).forEach(([rule, count]) => {
+        console.log(`   - ${rule}: ${count}`);
+      });
+    }
+    suppressionReport.unmatched.forEach(item => {
+      console.log(`⚠️  Supressão ${item.id} não corresponde a nenhum diagnóstico - pode ser removida`);
+    });
+    suppressionReport.expired.forEach(item => {
+      console.log(`⌛ Supressão ${item.id} expirou em ${item.expires} e foi ignorada`);
+    });
+    if (baselineReport && Object.keys(baselineReport.checks).length > 0) {
+      console.log(`📐 Baseline: ${describeBaselineCounts(baselineReport.totals)}`);
+      Object.entries(baselineReport.checks).forEach(([checkId, counts]) => {
+        console.log(`   - ${checkId}: ${describeBaselineCounts(counts)}`);
+      });
+    }
+    if (dependencyHealth) {
+      printDependencyHealthSummary(dependencyHealth);
+    }
+    if (workspaceSummary) {
+      console.log('🗂️  Por pacote:');
+      workspaceSummary.forEach(summary => {
+        const icon = summary.failed > 0 ? '❌' : summary.warnings > 0 ? '🟡' : '✅';
+        console.log(`   ${icon} ${summary.name}: ${summary.success}/${summary.total}${summary.failed > 0 ? ` - falhas: ${summary.failedChecks.join(', ')}` : ''}`);
+      });
+    }
+    if (performanceReport && performanceReport.regressions.length > 0) {
+      console.log(`🐢 Regressões de desempenho: ${performanceReport.regressions.length}`);
+      performanceReport.regressions.forEach(regression => {
+        console.log(`   - ${describeRegression(regression)}`);
+      });
     }
     
     if (failedCount === 0) {
@@ -427,37 +3716,66 @@ async function main() {
       console.log('\n❌ Alguns testes falharam. Verifique os detalhes no log.');
       
       if (isRecurrent) {
-        console.log('⚠️  ATENÇÃO: Erros recorrentes detectados!');
+        console.log(`⚠️  ATENÇÃO: ${recurrence.recurring.length} erro(s) recorrente(s) detectado(s)!`);
       }
       
       // Mostrar resumo dos erros
-      const failedTests = testResults.filter(r => !r.success && !r.skipped);
+      const failedTests = testResults.filter(isFailure);
       console.log('\n🚨 Testes que falharam:');
       failedTests.forEach((test, index) => {
-        console.log(`   ${index + 1}. ${test.description}`);
+        console.log(`   ${index + 1}. ${test.description}${test.timedOut ? ' (TIMEOUT)' : ''}`);
       });
     }
     
+    if (recurrence.previousRunId) {
+      console.log(`\n🔁 Em relação a ${recurrence.previousRunId}: ${recurrence.introduced.length} novo(s), ${recurrence.fixed.length} corrigido(s)`);
+    }
+    
     // Gerar log detalhado
-    const logPath = generateComprehensiveLog(testResults, isRecurrent);
+    const logPath = generateComprehensiveLog(testResults, { isRecurrent, disabledChecks, recurrence, runId, suppressionReport, baselineReport, dependencyHealth, workspaceSummary, packageManager, performanceReport });
     
-    console.log('\n' + '=' .repeat(60));
-    console.log('📋 PRÓXIMOS PASSOS:');
-    console.log('='.repeat(60));
+    // Relatório JUnit XML (--junit ou --junit=arquivo)
+    if (options.junit) {
+      const junitPath = options.junit === true
+        ? logPath.replace(/\.log$/, '.junit.xml')
+        : path.resolve(process.cwd(), options.junit);
+      generateJUnitReport(testResults, junitPath);
+    }
     
-    if (failedCount > 0) {
-      console.log('1. 📄 Analise o log detalhado gerado');
-      console.log('2. 🔍 Execute: node analyze-logs.js');
-      console.log('3. 🛠️  Siga as instruções específicas do relatório');
-      console.log('4. 🔄 Execute novamente este script após as correções');
-    } else {
-      console.log('1. ✅ Projeto está funcionando corretamente');
-      console.log('2. 🚀 Pode fazer deploy ou continuar desenvolvimento');
+    // Retenção automática (config.retention)
+    if (config.retention) {
+      const retention = applyLogRetention(logsDir, config.retention);
+      if (retention.removed.length > 0 || retention.compressed.length > 0) {
+        console.log(`🧹 Retenção de logs: ${retention.removed.length} execução(ões) removida(s), ${retention.compressed.length} compactada(s)`);
+      }
+    }
+    
+    // No modo --watch o resumo do ciclo substitui os próximos passos
+    if (!options.watchCycle) {
+      console.log('\n' + '=' .repeat(60));
+      console.log('📋 PRÓXIMOS PASSOS:');
+      console.log('='.repeat(60));
+      
+      if (failedCount > 0) {
+        console.log('1. 📄 Analise o log detalhado gerado');
+        console.log('2. 🔍 Execute: node analyze-logs.js');
+        console.log('3. 🛠️  Siga as instruções específicas do relatório');
+        console.log('4. 🔄 Execute novamente este script após as correções');
+      } else {
+        console.log('1. ✅ Projeto está funcionando corretamente');
+        console.log('2. 🚀 Pode fazer deploy ou continuar desenvolvimento');
+      }
     }
     
     const duration = Math.round((Date.now() - startTime) / 1000);
+    const criticalPath = computeCriticalPath(testResults);
     console.log(`\n⏱️  Tempo total: ${duration}s`);
+    console.log(`🧭 Caminho crítico: ${formatSeconds(criticalPath.durationMs)} (${criticalPath.path.join(' → ')})`);
+    
+    process.exitCode = computeExitCode(testResults);
+    console.log(`🚪 Código de saída: ${process.exitCode}`);
     
+    return testResults;
   } catch (error) {
     console.error('\n❌ Erro durante a execução dos testes:', error.message);
     
@@ -473,9 +3791,191 @@ async function main() {
       timestamp: new Date().toISOString()
     }];
     
-    generateComprehensiveLog(errorResult, false);
-    process.exit(1);
+    generateComprehensiveLog(errorResult);
+    
+    // No modo --watch um erro (ex.: configuração inválida) não encerra o watch
+    if (options.watchCycle) {
+      process.exitCode = EXIT_CODES.internalError;
+      return null;
+    }
+    process.exit(EXIT_CODES.internalError);
+  }
+}
+
+// Pastas observadas recursivamente no modo --watch (além dos arquivos da raiz)
+const WATCH_DIRECTORIES = ['src', 'prisma', 'public'];
+
+// Padrões usados por verificações sem "watch" próprio
+const DEFAULT_WATCH_PATTERNS = ['src/**', 'package.json'];
+
+// Tempo de espera após a última alteração antes de iniciar um ciclo
+const WATCH_DEBOUNCE_MS = 300;
+
+// Função para saber se uma verificação é afetada pelos arquivos alterados
+function isCheckAffected(check, changedFiles) {
+  const patterns = (check.watch || DEFAULT_WATCH_PATTERNS).map(globToRegExp);
+  return changedFiles.some(file => patterns.some(pattern => pattern.test(file)));
+}
+
+// Função para mostrar a situação mais recente de cada verificação no modo --watch
+function printWatchSummary(lastResults, cycle) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`📡 WATCH - ciclo ${cycle} (${new Date().toLocaleTimeString('pt-BR')})`);
+  console.log('='.repeat(60));
+  
+  for (const { result, cycle: resultCycle } of lastResults.values()) {
+    const age = resultCycle === cycle ? '' : ` [ciclo ${resultCycle}]`;
+    console.log(`   ${formatResultLine(result.description, result)}${age}`);
+  }
+  
+  console.log('\n👀 Aguardando alterações... (Ctrl+C para sair)');
+}
+
+// Função do modo --watch: roda tudo uma vez e depois só as verificações afetadas por cada alteração
+// Cada ciclo gera o próprio log; configuração e supressões alteradas fazem tudo rodar de novo
+async function watchProject(options) {
+  const configFiles = [...CONFIG_FILE_NAMES, ...SUPPRESSION_FILE_NAMES];
+  const lastResults = new Map();
+  const pending = new Set();
+  const watchers = [];
+  let cycle = 0;
+  let running = false;
+  let stopping = false;
+  let debounceTimer = null;
+  
+  async function runCycle(changedFiles) {
+    running = true;
+    cycle++;
+    
+    let only = null;
+    if (changedFiles && !changedFiles.some(file => configFiles.includes(file))) {
+      try {
+        const { checks } = resolveChecks(applyCliOverrides(loadBuildLoggerConfig(options.configPath), options));
+        only = checks.filter(check => isCheckAffected(check, changedFiles)).map(check => check.id);
+      } catch (error) {
+        console.error(`\n❌ Erro ao carregar a configuração: ${error.message}`);
+        only = [];
+      }
+    }
+    
+    if (only && only.length === 0) {
+      console.log(`\n📝 ${changedFiles.join(', ')} - nenhuma verificação afetada`);
+      running = false;
+      return;
+    }
+    
+    if (process.stdout.isTTY && options.outputMode !== 'plain') {
+      console.clear();
+    }
+    console.log(`🔄 Ciclo ${cycle}${changedFiles ? `: ${changedFiles.join(', ')}` : ''}`);
+    if (only) {
+      console.log(`🎯 Verificações afetadas: ${only.join(', ')}\n`);
+    }
+    
+    runState.abortReason = null;
+    const testResults = await main({ ...options, only, watchCycle: true });
+    
+    (testResults || [])
+      .filter(result => !result.notRun && result.id)
+      .forEach(result => lastResults.set(result.id, { result, cycle }));
+    
+    printWatchSummary(lastResults, cycle);
+    running = false;
+    
+    if (stopping) {
+      process.exit(process.exitCode || 0);
+    }
+    if (pending.size > 0) {
+      scheduleCycle();
+    }
+  }
+  
+  function scheduleCycle() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      if (running) return;
+      const changedFiles = [...pending].sort();
+      pending.clear();
+      runCycle(changedFiles);
+    }, WATCH_DEBOUNCE_MS);
+  }
+  
+  function onChange(baseDir, fileName) {
+    if (!fileName) return;
+    
+    const file = path.posix.join(baseDir, String(fileName).split(path.sep).join('/'));
+    pending.add(file);
+    scheduleCycle();
+  }
+  
+  // Arquivos da raiz: só interessam configurações e os que alguma verificação observa
+  // (evita ciclos disparados por arquivos gerados, como tsconfig.tsbuildinfo)
+  let initialChecks = createBuiltinChecks();
+  let workspaces = [];
+  try {
+    ({ checks: initialChecks, workspaces } = resolveChecks(applyCliOverrides(loadBuildLoggerConfig(options.configPath), options)));
+  } catch (error) {
+    // Configuração inválida: o primeiro ciclo mostra o erro
   }
+  const watchPatterns = [...new Set(initialChecks.flatMap(check => check.watch || DEFAULT_WATCH_PATTERNS))];
+  const rootPatterns = watchPatterns
+    .filter(pattern => !pattern.includes('/'))
+    .map(globToRegExp);
+  const packagePatterns = watchPatterns.map(globToRegExp);
+  
+  watchers.push(fs.watch(process.cwd(), (eventType, fileName) => {
+    if (fileName && (configFiles.includes(fileName) || rootPatterns.some(pattern => pattern.test(fileName)))) {
+      onChange('', fileName);
+    }
+  }));
+  
+  // Monorepo: arquivos da raiz de cada pacote e as mesmas pastas dentro dele
+  workspaces.forEach(workspace => {
+    watchers.push(fs.watch(workspace.path, (eventType, fileName) => {
+      if (fileName && packagePatterns.some(pattern => pattern.test(`${workspace.dir}/${fileName}`))) {
+        onChange(workspace.dir, fileName);
+      }
+    }));
+  });
+  
+  const watchedDirectories = [
+    ...WATCH_DIRECTORIES,
+    ...workspaces.flatMap(workspace => WATCH_DIRECTORIES.map(dir => `${workspace.dir}/${dir}`))
+  ].filter(dir => fs.existsSync(path.join(process.cwd(), dir)));
+  
+  watchedDirectories
+    .forEach(dir => {
+      try {
+        watchers.push(fs.watch(path.join(process.cwd(), dir), { recursive: true }, (eventType, fileName) => {
+          onChange(dir, fileName);
+        }));
+      } catch (error) {
+        // No Linux, fs.watch recursivo só existe a partir do Node 19.1
+        if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+        watchers.forEach(watcher => watcher.close());
+        throw new Error(`o modo watch precisa de fs.watch recursivo, indisponível no Node ${process.version} nesta plataforma (use o Node 20 ou mais recente)`);
+      }
+    });
+  
+  // Ctrl+C: encerra o ciclo em andamento (com relatório parcial) e para de observar
+  const stop = () => {
+    stopping = true;
+    clearTimeout(debounceTimer);
+    watchers.forEach(watcher => watcher.close());
+    
+    if (running) {
+      handleInterrupt();
+    } else {
+      // Código de saída conforme a situação mais recente de cada verificação
+      process.exitCode = computeExitCode([...lastResults.values()].map(entry => entry.result));
+      console.log('\n👋 Modo watch encerrado.');
+    }
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  
+  console.log(`👀 Modo watch: observando ${['raiz', ...workspaces.map(workspace => workspace.dir), ...watchedDirectories].join(', ')}\n`);
+  await runCycle(null);
 }
 
 // Função para testar a detecção do Prisma (modo debug)
@@ -508,127 +4008,144 @@ function testPrismaDetection() {
 // Verificar se estamos na raiz do projeto
 if (!fs.existsSync('package.json')) {
   console.error('❌ Erro: package.json não encontrado. Execute este script na raiz do projeto.');
-  process.exit(1);
+  process.exit(EXIT_CODES.internalError);
 }
 
 // Verificar argumentos de linha de comando
 const args = process.argv.slice(2);
 
+// Modo CI: sem emoji/cores no terminal e sem spinner
+const ciMode = args.includes('--ci');
+if (ciMode) {
+  enableCiConsole();
+}
+
+if (args[0] === 'prune') {
+  // Comando de retenção: node build-logger.js prune [--keep N] [--max-age-days N]
+  //   [--max-size-mb N] [--gzip-after N] [--dry-run]
+  try {
+    pruneLogs(args.slice(1));
+    process.exit(EXIT_CODES.success);
+  } catch (error) {
+    console.error(`❌ Erro ao aplicar retenção: ${error.message}`);
+    process.exit(EXIT_CODES.internalError);
+  }
+}
+
+if (args[0] === 'audit-offline') {
+  // Auditoria sem rede: node build-logger.js audit-offline [--snapshot arquivo]
+  //   [--audit-level low|moderate|high|critical] [--update-snapshot]
+  try {
+    process.exit(runOfflineAudit(args.slice(1)));
+  } catch (error) {
+    console.error(`❌ Erro na auditoria offline: ${error.message}`);
+    process.exit(EXIT_CODES.internalError);
+  }
+}
+
+if (args[0] === 'trend') {
+  // Tendência de desempenho: node build-logger.js trend [--last 20]
+  try {
+    process.exit(printPerformanceTrend(args.slice(1)));
+  } catch (error) {
+    console.error(`❌ Erro ao montar a tendência de desempenho: ${error.message}`);
+    process.exit(EXIT_CODES.internalError);
+  }
+}
+
 if (args.includes('--test-prisma') || args.includes('-t')) {
   // Modo de teste da detecção do Prisma
   testPrismaDetection();
   process.exit(0);
 }
 
-// Executar o script principal
-main();
+// Limite de concorrência (--concurrency N ou -j N)
+const concurrencyValue = getOptionValue(args, '--concurrency', '-j');
+const concurrency = concurrencyValue ? parseInt(concurrencyValue, 10) : undefined;
 
-// Função para filtrar erros relacionados aos scripts de log
-function filterLogScriptErrors(testResults) {
-  const logScriptFiles = ['build-logger.js', 'analyze-logs.js', 'setup-ignore-scripts.js'];
-  
-  const filteredResults = testResults.map(result => {
-    if (result.skipped || result.success) {
-      return result; // Não modificar resultados bem-sucedidos ou ignorados
-    }
-    
-    // Verificar se o erro está relacionado aos scripts de log
-    const hasLogScriptError = logScriptFiles.some(scriptFile => {
-      return result.output.includes(scriptFile) || 
-             result.stdout.includes(scriptFile) || 
-             result.stderr.includes(scriptFile);
-    });
-    
-    if (hasLogScriptError) {
-      console.log(`🔧 Ignorando erros de ${result.description} relacionados aos scripts de log`);
-      
-      // Filtrar linhas de erro dos scripts de log
-      const filteredOutput = filterLogScriptLines(result.output, logScriptFiles);
-      const filteredStdout = filterLogScriptLines(result.stdout, logScriptFiles);
-      const filteredStderr = filterLogScriptLines(result.stderr, logScriptFiles);
-      
-      // Verificar se há erros restantes após filtro
-      const hasRemainingErrors = checkForRemainingErrors(filteredOutput, filteredStdout, filteredStderr);
-      
-      if (!hasRemainingErrors) {
-        console.log(`   ✅ ${result.description} agora é considerado bem-sucedido após filtro`);
-        return {
-          ...result,
-          success: true,
-          code: 0,
-          output: '',
-          stdout: '',
-          stderr: '',
-          filtered: true // Flag para indicar que foi filtrado
-        };
-      } else {
-        console.log(`   ⚠️  ${result.description} ainda tem erros após filtro`);
-        return {
-          ...result,
-          output: filteredOutput,
-          stdout: filteredStdout,
-          stderr: filteredStderr,
-          filtered: true
-        };
-      }
-    }
-    
-    return result;
-  });
-  
-  return filteredResults;
+if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+  console.error(`❌ Erro: valor inválido para --concurrency: ${concurrencyValue}`);
+  process.exit(EXIT_CODES.internalError);
 }
 
-// Função auxiliar para verificar se há erros restantes após filtro
-function checkForRemainingErrors(output, stdout, stderr) {
-  const combinedText = (output + stdout + stderr).trim();
-  
-  // Se não há texto restante, não há erros
-  if (!combinedText) return false;
-  
-  // Verificar indicadores de erro comuns
-  const errorIndicators = [
-    'error',
-    'Error:',
-    'TypeError:',
-    'SyntaxError:',
-    'ReferenceError:',
-    'warning',
-    'Warning:',
-    'fail',
-    'failed',
-    'FAIL',
-    'FAILED'
-  ];
-  
-  const lowerText = combinedText.toLowerCase();
-  return errorIndicators.some(indicator => lowerText.includes(indicator.toLowerCase()));
+// Tempo limite global em segundos (--run-timeout N)
+const runTimeoutValue = getOptionValue(args, '--run-timeout');
+const runTimeoutSeconds = runTimeoutValue ? Number(runTimeoutValue) : undefined;
+
+if (runTimeoutSeconds !== undefined && (!Number.isFinite(runTimeoutSeconds) || runTimeoutSeconds <= 0)) {
+  console.error(`❌ Erro: valor inválido para --run-timeout: ${runTimeoutValue}`);
+  process.exit(EXIT_CODES.internalError);
 }
 
-// Função auxiliar para filtrar linhas específicas dos scripts de log
-function filterLogScriptLines(text, logScriptFiles) {
-  if (!text) return '';
-  
-  const lines = text.split('\n');
-  const filteredLines = [];
-  
-  for (const line of lines) {
-    // Verificar se a linha contém referência aos scripts de log
-    const hasScriptReference = logScriptFiles.some(scriptFile => {
-      // Verificar diferentes formatos de referência aos arquivos
-      return line.includes(scriptFile) || 
-             line.includes(`./${scriptFile}`) ||
-             line.includes(`/${scriptFile}`) ||
-             line.includes(`"${scriptFile}"`) ||
-             line.includes(`'${scriptFile}'`);
-    });
-    
-    if (!hasScriptReference) {
-      filteredLines.push(line);
-    } else {
-      console.log(`   📝 Removendo linha: ${line.trim()}`);
+// Modo de saída (--stream, ou --output stream|progress|plain)
+const outputMode = args.includes('--stream')
+  ? 'stream'
+  : getOptionValue(args, '--output') || (ciMode ? 'plain' : undefined);
+
+if (outputMode !== undefined && !OUTPUT_MODES.includes(outputMode)) {
+  console.error(`❌ Erro: valor inválido para --output: ${outputMode} (use ${OUTPUT_MODES.join(', ')})`);
+  process.exit(EXIT_CODES.internalError);
+}
+
+// Política de falha (--fail-on error,timeout,warning,skipped,skipped:<id>,!<id>)
+const failOnValue = getOptionValue(args, '--fail-on');
+const failOn = failOnValue ? failOnValue.split(',').map(rule => rule.trim()).filter(Boolean) : undefined;
+
+// Relatório JUnit: --junit (ao lado do log) ou --junit arquivo.xml
+const junit = getOptionalValue(args, '--junit');
+
+// Pacotes do monorepo a verificar (--workspace web,api)
+const workspaceValue = getOptionValue(args, '--workspace');
+
+// Só algumas verificações (--only tsc,eslint), usado pelo analyze-logs.js --fix para confirmar correções
+const onlyValue = getOptionValue(args, '--only');
+
+// Executar o script principal (--watch: continua observando alterações)
+const mainOptions = {
+  junit,
+  outputMode,
+  failOn,
+  concurrency,
+  runTimeout: runTimeoutSeconds ? runTimeoutSeconds * 1000 : undefined,
+  configPath: getOptionValue(args, '--config', '-c'),
+  suppressionsPath: getOptionValue(args, '--suppressions'),
+  cache: !args.includes('--no-cache'),
+  offline: args.includes('--offline'),
+  baselinePath: getOptionValue(args, '--baseline'),
+  updateBaseline: args.includes('--update-baseline'),
+  packageManager: getOptionValue(args, '--package-manager'),
+  workspaces: !args.includes('--no-workspaces'),
+  workspaceFilter: workspaceValue ? workspaceValue.split(',').map(name => name.trim()).filter(Boolean) : undefined,
+  only: onlyValue ? onlyValue.split(',').map(id => id.trim()).filter(Boolean) : undefined
+};
+
+if (args.includes('--watch') || args.includes('-w')) {
+  watchProject(mainOptions).catch(error => {
+    console.error(`❌ Erro no modo watch: ${error.message}`);
+    process.exit(EXIT_CODES.internalError);
+  });
+} else {
+  main(mainOptions);
+}
+
+// Função para ler o valor de uma opção (--opcao valor ou --opcao=valor)
+function getOptionValue(argv, ...names) {
+  for (let i = 0; i < argv.length; i++) {
+    for (const name of names) {
+      if (argv[i] === name) return argv[i + 1];
+      if (argv[i].startsWith(`${name}=`)) return argv[i].slice(name.length + 1);
     }
   }
-  
-  return filteredLines.join('\n');
-}
\ No newline at end of file
+  return undefined;
+}
+
+// Função para ler uma opção de valor opcional: true quando aparece sozinha
+// (ou seguida de outra opção), o valor quando informado e undefined quando ausente
+function getOptionalValue(argv, name) {
+  const index = argv.indexOf(name);
+  if (index !== -1) {
+    const next = argv[index + 1];
+    return next !== undefined && !next.startsWith('-') ? next : true;
+  }
+  return getOptionValue(argv, name);
+}
@@ -0,0 +1,194 @@
+// Detecção do gerenciador de pacotes do projeto (npm, pnpm, yarn ou bun)
+// e comandos equivalentes para instalar, executar binários, auditar e listar dependências.
+// Usado pelo build-logger.js, analyze-logs.js e setup-auth.js.
+
+const fs = require('fs');
+const path = require('path');
+
+// Comandos de cada gerenciador (partes do comando, sem os argumentos finais)
+// e o arquivo que ele grava em node_modules a cada instalação (installState)
+const PACKAGE_MANAGERS = {
+  npm: {
+    lockfile: 'package-lock.json',
+    install: ['npm', 'install'],
+    add: ['npm', 'install'],
+    addDev: ['npm', 'install', '-D'],
+    exec: ['npx'],
+    dlx: ['npx'],
+    run: ['npm', 'run'],
+    audit: (level) => ['npm', 'audit', '--audit-level', level, '--json'],
+    auditFix: ['npm', 'audit', 'fix'],
+    list: ['npm', 'ls', '--depth=0', '--json'],
+    installState: 'node_modules/.package-lock.json'
+  },
+  pnpm: {
+    lockfile: 'pnpm-lock.yaml',
+    install: ['pnpm', 'install'],
+    add: ['pnpm', 'add'],
+    addDev: ['pnpm', 'add', '-D'],
+    exec: ['pnpm', 'exec'],
+    dlx: ['pnpm', 'dlx'],
+    run: ['pnpm', 'run'],
+    audit: (level) => ['pnpm', 'audit', '--audit-level', level, '--json'],
+    auditFix: ['pnpm', 'audit', '--fix'],
+    list: ['pnpm', 'ls', '--depth', '0', '--json'],
+    installState: 'node_modules/.modules.yaml'
+  },
+  yarn: {
+    lockfile: 'yarn.lock',
+    install: ['yarn', 'install'],
+    add: ['yarn', 'add'],
+    addDev: ['yarn', 'add', '-D'],
+    exec: ['yarn'],
+    dlx: ['npx'],
+    run: ['yarn', 'run'],
+    audit: (level) => ['yarn', 'audit', '--level', level, '--json'],
+    auditFix: null,
+    list: ['yarn', 'list', '--depth=0', '--json'],
+    installState: 'node_modules/.yarn-integrity'
+  },
+  // Yarn 2+ (Berry): dlx nativo e auditoria via "yarn npm audit"
+  'yarn-berry': {
+    lockfile: 'yarn.lock',
+    install: ['yarn', 'install'],
+    add: ['yarn', 'add'],
+    addDev: ['yarn', 'add', '-D'],
+    exec: ['yarn', 'exec'],
+    dlx: ['yarn', 'dlx'],
+    run: ['yarn', 'run'],
+    audit: (level) => ['yarn', 'npm', 'audit', '--recursive', '--severity', level, '--json'],
+    auditFix: null,
+    list: ['yarn', 'info', '--recursive', '--json'],
+    installState: 'node_modules/.yarn-state.yml'
+  },
+  bun: {
+    lockfile: 'bun.lockb',
+    install: ['bun', 'install'],
+    add: ['bun', 'add'],
+    addDev: ['bun', 'add', '-d'],
+    exec: ['bun', 'x'],
+    dlx: ['bun', 'x'],
+    run: ['bun', 'run'],
+    audit: (level) => ['bun', 'audit', `--audit-level=${level}`, '--json'],
+    auditFix: null,
+    list: ['bun', 'pm', 'ls'],
+    // O bun não grava um arquivo de estado da instalação em node_modules
+    installState: null
+  }
+};
+
+// Lockfiles em ordem de prioridade (projetos com mais de um lockfile usam o primeiro encontrado)
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm']
+];
+
+// Função para ler o campo "packageManager" do package.json (ex.: "pnpm@9.1.0")
+function parsePackageManagerField(value) {
+  const match = String(value || '').match(/^(npm|pnpm|yarn|bun)@(\d+)/);
+  return match ? { name: match[1], major: parseInt(match[2]) } : null;
+}
+
+// Função para montar o gerenciador a partir do nome (e da versão principal, para o Yarn)
+function createPackageManager(name, { major = null, source, lockfile = null } = {}) {
+  const key = name === 'yarn' && major !== null && major >= 2 ? 'yarn-berry' : name;
+  const commands = PACKAGE_MANAGERS[key];
+  
+  return {
+    name,
+    variant: key,
+    source,
+    ...commands,
+    lockfile: lockfile || commands.lockfile
+  };
+}
+
+// Função para detectar o gerenciador de pacotes
+// Prioridade: override (--package-manager / configuração), campo "packageManager"
+// do package.json, lockfile e, por fim, npm
+function detectPackageManager(dir = process.cwd(), override = null) {
+  let packageJson = {};
+  try {
+    packageJson = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+  } catch (error) {
+    // Sem package.json: só os lockfiles e o padrão valem
+  }
+  const declared = parsePackageManagerField(packageJson.packageManager);
+  
+  if (override) {
+    const requested = parsePackageManagerField(override) || { name: override, major: null };
+    if (!['npm', 'pnpm', 'yarn', 'bun'].includes(requested.name)) {
+      throw new Error(`Gerenciador de pacotes inválido: ${override} (use npm, pnpm, yarn ou bun)`);
+    }
+    const major = requested.major !== null ? requested.major : declared && declared.name === requested.name ? declared.major : null;
+    return createPackageManager(requested.name, { major, source: 'opção' });
+  }
+  
+  if (declared) {
+    return createPackageManager(declared.name, { major: declared.major, source: `packageManager (${packageJson.packageManager})` });
+  }
+  
+  const found = LOCKFILES.find(([lockfile]) => fs.existsSync(path.join(dir, lockfile)));
+  if (found) {
+    const [lockfile, name] = found;
+    // Yarn Berry gera lockfile com "__metadata"
+    const major = name === 'yarn' && fs.readFileSync(path.join(dir, lockfile), 'utf8').includes('__metadata:') ? 2 : null;
+    return createPackageManager(name, { major, source: lockfile, lockfile });
+  }
+  
+  return createPackageManager('npm', { source: 'padrão' });
+}
+
+// Função para montar uma linha de comando a partir das partes
+function formatCommand(parts) {
+  return parts.join(' ');
+}
+
+// Função para converter um comando escrito para o npm no equivalente do gerenciador
+// (ex.: "npx prisma generate" => "pnpm exec prisma generate"); aceita cadeias com "&&" e comentários "#"
+function translateCommand(command, packageManager) {
+  if (!packageManager || packageManager.variant === 'npm') return command;
+  
+  const [commandPart, ...comment] = command.split(' # ');
+  const translated = commandPart.split(' && ').map(step => {
+    const execMatch = step.match(/^npx (.+)$/);
+    if (execMatch) {
+      return formatCommand([...packageManager.exec, execMatch[1]]);
+    }
+    
+    const runMatch = step.match(/^npm run (\S+)(?: -- (.+))?$/);
+    if (runMatch) {
+      return formatCommand([...packageManager.run, runMatch[1], ...(runMatch[2] ? [runMatch[2]] : [])]);
+    }
+    
+    if (step === 'npm install') {
+      return formatCommand(packageManager.install);
+    }
+    
+    const addMatch = step.match(/^npm install( -D| --save-dev)? (.+)$/);
+    if (addMatch) {
+      return formatCommand([...(addMatch[1] ? packageManager.addDev : packageManager.add), addMatch[2]]);
+    }
+    
+    if (step === 'npm audit fix') {
+      return packageManager.auditFix
+        ? formatCommand(packageManager.auditFix)
+        : `${formatCommand(packageManager.audit('high')).replace(/ --json$/, '')} # corrija as versões manualmente`;
+    }
+    
+    return step.replace(/\bpackage-lock\.json\b/g, packageManager.lockfile);
+  }).join(' && ');
+  
+  return [translated, ...comment].join(' # ');
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  formatCommand,
+  translateCommand
+};
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { detectPackageManager, translateCommand } = require('./package-manager');
 
 // Cores para console
 const colors = {
@@ -93,6 +94,16 @@ async function checkNodeModules() {
   return false;
 }
 
+// Gerenciador de pacotes forçado por --package-manager <nome> (ou --package-manager=<nome>)
+function getPackageManagerOverride() {
+  const args = process.argv.slice(2);
+  const index = args.indexOf('--package-manager');
+  if (index !== -1) return args[index + 1];
+  
+  const inline = args.find(arg => arg.startsWith('--package-manager='));
+  return inline ? inline.slice('--package-manager='.length) : null;
+}
+
 async function main() {
   log('\n🚀 Iniciando configuração do sistema de autenticação...', 'bold');
   
@@ -103,14 +114,19 @@ async function main() {
     const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
     const tsConfig = JSON.parse(fs.readFileSync('tsconfig.json', 'utf8'));
     
+    // Comandos escritos para o npm são convertidos para o gerenciador do projeto (pnpm, yarn ou bun)
+    const packageManager = detectPackageManager(process.cwd(), getPackageManagerOverride());
+    const pm = (command) => translateCommand(command, packageManager);
+    
     log('✅ Configurações lidas com sucesso', 'green');
+    log(`📦 Gerenciador de pacotes: ${packageManager.name} (${packageManager.source})`, 'blue');
     
     // PASSO 2: Instalar dependências essenciais primeiro
     logStep(2, 'Instalando dependências essenciais');
     
     const essentialCommands = [
-      'npm install @prisma/client prisma bcryptjs jsonwebtoken',
-      'npm install -D @types/bcryptjs @types/jsonwebtoken tsx'
+      pm('npm install @prisma/client prisma bcryptjs jsonwebtoken'),
+      pm('npm install -D @types/bcryptjs @types/jsonwebtoken tsx')
     ];
     
     for (const command of essentialCommands) {
@@ -122,7 +138,7 @@ async function main() {
     // PASSO 3: Instalar NextAuth.js
     logStep(3, 'Instalando NextAuth.js');
     
-    if (!execCommand('npm install next-auth@beta @auth/prisma-adapter', 'Instalação do NextAuth.js')) {
+    if (!execCommand(pm('npm install next-auth@beta @auth/prisma-adapter'), 'Instalação do NextAuth.js')) {
       throw new Error('Falha na instalação do NextAuth.js');
     }
     
@@ -195,7 +211,7 @@ PORT=3000
       fs.rmSync('prisma', { recursive: true, force: true });
     }
     
-    if (!execCommand('npx prisma init --datasource-provider postgresql', 'Inicialização do Prisma')) {
+    if (!execCommand(pm('npx prisma init --datasource-provider postgresql'), 'Inicialização do Prisma')) {
       throw new Error('Falha na inicialização do Prisma');
     }
     
@@ -282,14 +298,14 @@ model VerificationToken {
     // PASSO 9: Gerar Prisma Client
     logStep(9, 'Gerando Prisma Client');
     
-    if (!execCommand('npx prisma generate', 'Geração do Prisma Client')) {
+    if (!execCommand(pm('npx prisma generate'), 'Geração do Prisma Client')) {
       throw new Error('Falha na geração do Prisma Client');
     }
     
     // Aguardar e verificar se o cliente foi gerado
     await checkNodeModules();
     
-    if (!execCommand('npx prisma db push', 'Aplicação do schema no banco')) {
+    if (!execCommand(pm('npx prisma db push'), 'Aplicação do schema no banco')) {
       throw new Error('Falha na aplicação do schema');
     }
     
@@ -684,7 +700,7 @@ Content-Type: application/json
 }
 
 ### Comandos úteis:
-# Para iniciar o servidor: npm run dev
+# Para iniciar o servidor: ${pm('npm run dev')}
 # Para parar o banco: docker compose down
 # Para ver logs do banco: docker logs auth-postgres
 
@@ -702,7 +718,7 @@ Content-Type: application/json
     // PASSO FINAL: Teste rápido de conectividade
     logStep('FINAL', 'Testando conectividade com o banco');
     
-    const testResult = execCommandSilent('npx prisma db push --force-reset');
+    const testResult = execCommandSilent(pm('npx prisma db push --force-reset'));
     if (testResult.success) {
       log('✅ Teste de conectividade passou!', 'green');
     } else {
@@ -721,7 +737,7 @@ Content-Type: application/json
     log('• Arquivo auth.http para testes criado', 'green');
     
     log('\n🚀 Para testar:', 'bold');
-    log('1. Execute: npm run dev', 'yellow');
+    log(`1. Execute: ${pm('npm run dev')}`, 'yellow');
     log('2. Acesse: http://localhost:3000/api/auth/signin', 'yellow');
     log('3. Use as credenciais: teste@exemplo.com / 123456', 'yellow');
     log('4. Ou use o arquivo auth.http com a extensão REST Client', 'yellow');
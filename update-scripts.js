@@ -9,7 +9,7 @@ const packageJsonPath = path.join(__dirname, 'package.json');
 const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'));
 
 // Atualiza o script de build
-packageJson.scripts.build = 'prisma generate && npx prisma migrate deploy && next build';
+packageJson.scripts.build = 'prisma generate && prisma migrate deploy && next build';
 // Adiciona o build:dev logo abaixo do build
 const scripts = {};
 for (const [key, value] of Object.entries(packageJson.scripts)) {